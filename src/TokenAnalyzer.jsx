@@ -1,329 +1,568 @@
-import React, { useState, useMemo, useCallback } from 'react';
-
-// GPT-4 tokenizer approximation (cl100k_base patterns)
-const approximateTokenize = (text) => {
-  if (!text) return [];
-  // Simplified BPE-like tokenization
-  const tokens = [];
-  let remaining = text;
-  
-  while (remaining.length > 0) {
-    // Common patterns get single tokens
-    const patterns = [
-      /^[\s]+/, // whitespace
-      /^[A-Z][a-z]+/, // Capitalized words
-      /^[a-z]+/, // lowercase words
-      /^[0-9]+/, // numbers
-      /^[.,!?;:'"()\[\]{}]/, // punctuation
-      /^[^\s\w]/, // special chars
-    ];
-    
-    let matched = false;
-    for (const pattern of patterns) {
-      const match = remaining.match(pattern);
-      if (match) {
-        const word = match[0];
-        // Long words split into ~4 char chunks (BPE approximation)
-        if (word.length > 4 && /^[a-zA-Z]+$/.test(word)) {
-          for (let i = 0; i < word.length; i += 4) {
-            tokens.push(word.slice(i, Math.min(i + 4, word.length)));
-          }
-        } else {
-          tokens.push(word);
-        }
-        remaining = remaining.slice(word.length);
-        matched = true;
-        break;
-      }
-    }
-    if (!matched) {
-      tokens.push(remaining[0]);
-      remaining = remaining.slice(1);
-    }
-  }
-  return tokens;
-};
+import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react';
+import { ENCODINGS, loadEncoding } from './tokenizers/bpe';
+import {
+  BASELINE_TOKENIZER_ID,
+  createTokenizerRegistry,
+  loadTokenizerFile,
+} from './tokenizers/registry';
+import {
+  ATTENTION_PRESETS,
+  DEFAULT_ATTENTION_CURVE,
+  getAttentionScore,
+  getAttentionColor,
+} from './analysis/attention';
+import { CHUNK_STRATEGIES, CHUNK_HEADER_PLACEHOLDERS } from './analysis/strategies';
+import { LANGUAGES, usesSegmenter } from './analysis/language';
+import { parseGlossary } from './analysis/entities';
+import { generateHints, resolveHintRules } from './analysis/hints';
+import { buildBm25Index, rankChunks } from './analysis/retrieval';
+import { parseKeywordList, analyzeKeywordCoverage } from './analysis/keywords';
+import { getModelPricing, getRetrievalOrder } from './analysis/contextWindow';
+import { applyEdits } from './analysis/rewrite';
+import { compareVersions } from './analysis/compare';
+import { DEFAULT_SCORE_WEIGHTS, computeReadinessScore } from './analysis/score';
+import { CONTENT_FILE_ACCEPT, isContentFile, importContentFile } from './importers';
+import { listDocuments, saveDocument, deleteDocument } from './workspace/documents';
+import { isShareFragment, decodeShareFragment, buildShareUrl } from './workspace/share';
+import { DEFAULT_WORKSPACE_SETTINGS, CHUNK_SIZE_OPTIONS, MAX_OVERLAP_PERCENT, sanitizeWorkspaceSettings } from './workspace/settings';
+import { getAnalysisClient, useAnalysisTask } from './worker/client';
+import ChunkComparison from './components/ChunkComparison';
+import DriftChart from './components/DriftChart';
+import QueryPanel from './components/QueryPanel';
+import KeywordMatrix from './components/KeywordMatrix';
+import ContextAssembly from './components/ContextAssembly';
+import AttentionCurveEditor from './components/AttentionCurveEditor';
+import TokenHeatMap from './components/TokenHeatMap';
+import RewritePanel from './components/RewritePanel';
+import ComparePanel from './components/ComparePanel';
+import HintRulesEditor from './components/HintRulesEditor';
+import ReadinessScore from './components/ReadinessScore';
+import WorkspacePanel from './components/WorkspacePanel';
+import AnalysisProgress from './components/AnalysisProgress';
+import CalibrationPanel from './components/CalibrationPanel';
+import QaPanel from './components/QaPanel';
+import QualityMetrics from './components/QualityMetrics';
 
-// Claude tokenizer approximation (slightly different patterns)
-const approximateClaudeTokenize = (text) => {
-  if (!text) return [];
-  const tokens = [];
-  let remaining = text;
-  
-  while (remaining.length > 0) {
-    const patterns = [
-      /^[\s]+/,
-      /^[A-Z][a-z]{0,5}/, // Claude tends to split caps differently
-      /^[a-z]{1,5}/, // Shorter word chunks
-      /^[0-9]+/,
-      /^[.,!?;:'"()\[\]{}]/,
-      /^[^\s\w]/,
-    ];
-    
-    let matched = false;
-    for (const pattern of patterns) {
-      const match = remaining.match(pattern);
-      if (match) {
-        tokens.push(match[0]);
-        remaining = remaining.slice(match[0].length);
-        matched = true;
-        break;
-      }
-    }
-    if (!matched) {
-      tokens.push(remaining[0]);
-      remaining = remaining.slice(1);
-    }
+// Saved attention curves, the entity glossary, hint rule settings, score
+// weights, tokenizer calibration and the open document's id live in
+// localStorage; documents themselves are in IndexedDB
+const CURVES_STORAGE_KEY = 'rag-token-analyzer.attention-curves';
+const GLOSSARY_STORAGE_KEY = 'rag-token-analyzer.glossary';
+const HINT_RULES_STORAGE_KEY = 'rag-token-analyzer.hint-rules';
+const SCORE_WEIGHTS_STORAGE_KEY = 'rag-token-analyzer.score-weights';
+const CURRENT_DOCUMENT_STORAGE_KEY = 'rag-token-analyzer.current-document';
+const CALIBRATION_STORAGE_KEY = 'rag-token-analyzer.calibration';
+
+const loadSavedCurves = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CURVES_STORAGE_KEY)) || [];
+  } catch {
+    return [];
   }
-  return tokens;
 };
 
-// Gemini approximation (SentencePiece-like)
-const approximateGeminiTokenize = (text) => {
-  if (!text) return [];
-  const tokens = [];
-  let remaining = text;
-  
-  while (remaining.length > 0) {
-    const patterns = [
-      /^▁?[A-Za-z]{1,6}/, // SentencePiece underscore prefix
-      /^[\s]+/,
-      /^[0-9]+/,
-      /^[^\s\w]/,
-    ];
-    
-    let matched = false;
-    for (const pattern of patterns) {
-      const match = remaining.match(pattern);
-      if (match) {
-        tokens.push(match[0]);
-        remaining = remaining.slice(match[0].length);
-        matched = true;
-        break;
-      }
-    }
-    if (!matched) {
-      tokens.push(remaining[0]);
-      remaining = remaining.slice(1);
-    }
+const loadHintRuleSettings = () => {
+  try {
+    return { overrides: {}, custom: [], ...JSON.parse(localStorage.getItem(HINT_RULES_STORAGE_KEY)) };
+  } catch {
+    return { overrides: {}, custom: [] };
   }
-  return tokens;
 };
 
-// Entity extraction (basic proper noun detection)
-const extractEntities = (text) => {
-  const entities = [];
-  // Capitalized words not at sentence start
-  const matches = text.matchAll(/(?<=[.!?]\s+[^A-Z]*|^[^A-Z]*)([A-Z][a-zA-Z]+(?:\s+[A-Z][a-zA-Z]+)*)/g);
-  for (const match of matches) {
-    if (match[1] && match[1].length > 2) {
-      entities.push({
-        text: match[1],
-        position: match.index,
-      });
-    }
-  }
-  // Also catch ALL CAPS (acronyms, brands)
-  const acronyms = text.matchAll(/\b([A-Z]{2,})\b/g);
-  for (const match of acronyms) {
-    entities.push({
-      text: match[1],
-      position: match.index,
-    });
+const loadScoreWeights = () => {
+  try {
+    return { ...DEFAULT_SCORE_WEIGHTS, ...JSON.parse(localStorage.getItem(SCORE_WEIGHTS_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_SCORE_WEIGHTS;
   }
-  return entities;
 };
 
-// Calculate attention score based on position within chunk
-const getAttentionScore = (positionInChunk, chunkSize) => {
-  const normalizedPos = positionInChunk / chunkSize;
-  
-  // U-shaped curve: high at start, drops in middle, rises at end
-  // Based on primacy/recency bias research
-  if (normalizedPos < 0.15) {
-    return 0.95 - (normalizedPos * 0.5); // First 15%: 95% -> 87.5%
-  } else if (normalizedPos > 0.85) {
-    return 0.7 + ((normalizedPos - 0.85) * 1.5); // Last 15%: 70% -> 92.5%
-  } else {
-    // Middle: degraded attention (murky middle)
-    const midPoint = 0.5;
-    const distFromMid = Math.abs(normalizedPos - midPoint);
-    return 0.55 + (distFromMid * 0.3); // 55% at center, up to 70% at edges
+const loadCalibration = () => {
+  try {
+    return { samples: [], scales: {}, ...JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY)) };
+  } catch {
+    return { samples: [], scales: {} };
   }
 };
 
-// Chunk content at specified token boundaries
-const chunkContent = (text, tokens, chunkSize) => {
-  const chunks = [];
-  let currentChunk = [];
-  let currentText = '';
-  let tokenIndex = 0;
-  let charIndex = 0;
-  
-  for (let i = 0; i < tokens.length; i++) {
-    currentChunk.push(tokens[i]);
-    currentText += tokens[i];
-    
-    if (currentChunk.length >= chunkSize || i === tokens.length - 1) {
-      chunks.push({
-        tokens: [...currentChunk],
-        text: currentText,
-        startToken: tokenIndex,
-        endToken: tokenIndex + currentChunk.length - 1,
-        tokenCount: currentChunk.length,
-      });
-      tokenIndex += currentChunk.length;
-      currentChunk = [];
-      currentText = '';
-    }
-  }
-  
-  return chunks;
+// Select a character range in the content box and bring it into view
+const revealRange = (textarea, start, end) => {
+  textarea.scrollTop = (start / Math.max(1, textarea.value.length)) * textarea.scrollHeight - textarea.clientHeight / 3;
+  textarea.focus({ preventScroll: true });
+  textarea.setSelectionRange(start, end);
+  textarea.scrollIntoView({ behavior: 'smooth', block: 'center' });
 };
 
-// Split into paragraphs
-const splitParagraphs = (text) => {
-  return text.split(/\n\n+/).filter(p => p.trim().length > 0);
+const ENTITY_TYPE_COLORS = {
+  Person: '#F59E0B',
+  Organization: '#4FD1C5',
+  Product: '#A78BFA',
+  Place: '#60A5FA',
+  Acronym: '#9CA3AF',
 };
 
 export default function TokenAnalyzer() {
   const [content, setContent] = useState('');
-  const [chunkSize, setChunkSize] = useState(100);
+  const [chunkSize, setChunkSize] = useState(DEFAULT_WORKSPACE_SETTINGS.chunkSize);
+  const [overlapValue, setOverlapValue] = useState(DEFAULT_WORKSPACE_SETTINGS.overlapValue);
+  const [overlapUnit, setOverlapUnit] = useState(DEFAULT_WORKSPACE_SETTINGS.overlapUnit);
+  const [strategy, setStrategy] = useState(DEFAULT_WORKSPACE_SETTINGS.strategy);
+  const [headerTemplate, setHeaderTemplate] = useState(DEFAULT_WORKSPACE_SETTINGS.headerTemplate);
+  const [language, setLanguage] = useState(DEFAULT_WORKSPACE_SETTINGS.language);
   const [activeTab, setActiveTab] = useState('overview');
+  const [encodingName, setEncodingName] = useState(DEFAULT_WORKSPACE_SETTINGS.encodingName);
+  const [encoder, setEncoder] = useState(null);
+  const [customTokenizers, setCustomTokenizers] = useState([]);
+  const [chunkModelId, setChunkModelId] = useState(DEFAULT_WORKSPACE_SETTINGS.chunkModelId);
+  const [tokenizerError, setTokenizerError] = useState(null);
+  const [chunkView, setChunkView] = useState('single');
+  const [importedFile, setImportedFile] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [queries, setQueries] = useState(DEFAULT_WORKSPACE_SETTINGS.queries);
+  const [topK, setTopK] = useState(DEFAULT_WORKSPACE_SETTINGS.topK);
+  const [keywords, setKeywords] = useState(DEFAULT_WORKSPACE_SETTINGS.keywords);
+  const [contextSettings, setContextSettings] = useState(DEFAULT_WORKSPACE_SETTINGS.contextSettings);
+  const [modelPricing, setModelPricing] = useState({});
+  const [attentionCurve, setAttentionCurve] = useState(DEFAULT_WORKSPACE_SETTINGS.attentionCurve);
+  const [savedCurves, setSavedCurves] = useState(loadSavedCurves);
+  const [glossary, setGlossary] = useState(() => localStorage.getItem(GLOSSARY_STORAGE_KEY) || '');
+  const [rejectedEdits, setRejectedEdits] = useState(() => new Set());
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareContent, setCompareContent] = useState('');
+  const [hintRuleSettings, setHintRuleSettings] = useState(loadHintRuleSettings);
+  const [showHintRules, setShowHintRules] = useState(false);
+  const [scoreWeights, setScoreWeights] = useState(loadScoreWeights);
+  const [documents, setDocuments] = useState([]);
+  const [currentDocId, setCurrentDocId] = useState(() => localStorage.getItem(CURRENT_DOCUMENT_STORAGE_KEY));
+  const [docName, setDocName] = useState('');
+  const [docTags, setDocTags] = useState('');
+  const [workspaceStatus, setWorkspaceStatus] = useState(null);
+  const [calibration, setCalibration] = useState(loadCalibration);
+  const [showCalibration, setShowCalibration] = useState(false);
+  const contentRef = useRef(null);
+  
+  // Load the selected BPE encoding; analysis waits until its ranks are parsed
+  useEffect(() => {
+    let cancelled = false;
+    setEncoder(null);
+    loadEncoding(encodingName).then(enc => {
+      if (!cancelled) setEncoder(enc);
+    });
+    return () => { cancelled = true; };
+  }, [encodingName]);
+  
+  // Overlap is entered in tokens or as a % of the chunk; windows must still advance
+  const overlap = Math.min(
+    chunkSize - 1,
+    Math.max(0, Math.round(overlapUnit === 'percent' ? (chunkSize * overlapValue) / 100 : overlapValue) || 0)
+  );
   
-  const analysis = useMemo(() => {
-    if (!content.trim()) return null;
-    
-    const gptTokens = approximateTokenize(content);
-    const claudeTokens = approximateClaudeTokenize(content);
-    const geminiTokens = approximateGeminiTokenize(content);
-    
-    const paragraphs = splitParagraphs(content);
-    const paragraphAnalysis = paragraphs.map((p, idx) => {
-      const pTokens = approximateTokenize(p);
-      return {
-        index: idx,
-        text: p,
-        tokenCount: pTokens.length,
-        exceedsChunk: pTokens.length > chunkSize,
-        chunksRequired: Math.ceil(pTokens.length / chunkSize),
-      };
+  const tokenizers = useMemo(
+    () => (encoder ? createTokenizerRegistry(encoder, customTokenizers, calibration.scales) : null),
+    [encoder, customTokenizers, calibration.scales]
+  );
+  
+  // The worker builds its own copy of every tokenizer; custom ones travel as
+  // their tokenizer.json
+  useEffect(() => {
+    getAnalysisClient().configure({
+      encodingName,
+      customTokenizers: customTokenizers.map(({ id, label, json }) => ({ id, label, json })),
+      calibration: calibration.scales,
     });
-    
-    const chunks = chunkContent(content, gptTokens, chunkSize);
-    const entities = extractEntities(content);
-    
-    // Calculate entity positions relative to tokens
-    const entityAnalysis = entities.map(entity => {
-      let tokenPosition = 0;
-      let charCount = 0;
-      for (let i = 0; i < gptTokens.length; i++) {
-        if (charCount >= entity.position) {
-          tokenPosition = i;
-          break;
+  }, [encodingName, customTokenizers, calibration.scales]);
+  
+  // Register tokenizer.json files as extra models
+  const handleTokenizerFiles = useCallback(async (files) => {
+    setTokenizerError(null);
+    for (const file of files) {
+      try {
+        const tokenizer = await loadTokenizerFile(file);
+        setCustomTokenizers(prev => [...prev, tokenizer]);
+      } catch (err) {
+        setTokenizerError(err.message);
+      }
+    }
+  }, []);
+  
+  // Custom tokenizers only live for the session; a saved or shared document
+  // that chunked with one falls back to the baseline
+  useEffect(() => {
+    if (tokenizers && !tokenizers.some(t => t.id === chunkModelId)) setChunkModelId(BASELINE_TOKENIZER_ID);
+  }, [tokenizers, chunkModelId]);
+  
+  const removeTokenizer = (id) => {
+    setCustomTokenizers(prev => prev.filter(t => t.id !== id));
+    if (chunkModelId === id) setChunkModelId(BASELINE_TOKENIZER_ID);
+  };
+  
+  // Replace the content with an imported page; only the first file is used
+  const handleContentFile = useCallback(async (file) => {
+    setImportError(null);
+    try {
+      const imported = await importContentFile(file);
+      setContent(imported.text);
+      setImportedFile(imported);
+    } catch (err) {
+      setImportError(err.message);
+    }
+  }, []);
+  
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const files = [...e.dataTransfer.files];
+    const tokenizerFiles = files.filter(f => /\.json$/i.test(f.name));
+    const contentFile = files.find(isContentFile);
+    if (tokenizerFiles.length > 0) handleTokenizerFiles(tokenizerFiles);
+    if (contentFile) handleContentFile(contentFile);
+  };
+  
+  useEffect(() => {
+    localStorage.setItem(CURVES_STORAGE_KEY, JSON.stringify(savedCurves));
+  }, [savedCurves]);
+  
+  useEffect(() => {
+    localStorage.setItem(GLOSSARY_STORAGE_KEY, glossary);
+  }, [glossary]);
+  
+  useEffect(() => {
+    localStorage.setItem(HINT_RULES_STORAGE_KEY, JSON.stringify(hintRuleSettings));
+  }, [hintRuleSettings]);
+  
+  useEffect(() => {
+    localStorage.setItem(SCORE_WEIGHTS_STORAGE_KEY, JSON.stringify(scoreWeights));
+  }, [scoreWeights]);
+  
+  // Large sample sets may not fit in localStorage; the scales always do
+  useEffect(() => {
+    try {
+      localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibration));
+    } catch {
+      localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify({ ...calibration, samples: [] }));
+    }
+  }, [calibration]);
+  
+  useEffect(() => {
+    if (currentDocId) localStorage.setItem(CURRENT_DOCUMENT_STORAGE_KEY, currentDocId);
+    else localStorage.removeItem(CURRENT_DOCUMENT_STORAGE_KEY);
+  }, [currentDocId]);
+  
+  // Content plus every setting that shapes the analysis; what documents save
+  // and share links carry
+  const getWorkspaceState = () => ({
+    content,
+    settings: {
+      chunkSize,
+      overlapValue,
+      overlapUnit,
+      strategy,
+      headerTemplate,
+      language,
+      encodingName,
+      chunkModelId,
+      attentionCurve,
+      glossary,
+      queries,
+      topK,
+      keywords,
+      contextSettings,
+    },
+  });
+  
+  // Saved and shared settings are checked before they reach the controls
+  const applyWorkspaceState = ({ content: savedContent = '', settings = {} }) => {
+    const valid = sanitizeWorkspaceSettings(settings, tokenizers?.map(t => t.id));
+    setContent(typeof savedContent === 'string' ? savedContent : '');
+    setImportedFile(null);
+    if (valid.chunkSize !== undefined) setChunkSize(valid.chunkSize);
+    if (valid.overlapValue !== undefined) setOverlapValue(valid.overlapValue);
+    if (valid.overlapUnit !== undefined) setOverlapUnit(valid.overlapUnit);
+    if (valid.strategy !== undefined) setStrategy(valid.strategy);
+    if (valid.headerTemplate !== undefined) setHeaderTemplate(valid.headerTemplate);
+    if (valid.language !== undefined) setLanguage(valid.language);
+    if (valid.encodingName !== undefined) setEncodingName(valid.encodingName);
+    if (valid.chunkModelId !== undefined) setChunkModelId(valid.chunkModelId);
+    if (valid.attentionCurve !== undefined) setAttentionCurve(valid.attentionCurve);
+    if (valid.glossary !== undefined) setGlossary(valid.glossary);
+    if (valid.queries !== undefined) setQueries(valid.queries);
+    if (valid.topK !== undefined) setTopK(valid.topK);
+    if (valid.keywords !== undefined) setKeywords(valid.keywords);
+    if (valid.contextSettings !== undefined) setContextSettings(valid.contextSettings);
+  };
+  
+  const openDocument = (doc) => {
+    applyWorkspaceState(doc.state);
+    setCurrentDocId(doc.id);
+    setDocName(doc.name);
+    setDocTags(doc.tags.join(', '));
+    setWorkspaceStatus(null);
+  };
+  
+  // A share link in the URL wins over the document that was open last
+  useEffect(() => {
+    let cancelled = false;
+    const hash = window.location.hash;
+    (async () => {
+      if (isShareFragment(hash)) {
+        try {
+          const state = await decodeShareFragment(hash);
+          if (cancelled) return;
+          applyWorkspaceState(state);
+          setCurrentDocId(null);
+          setWorkspaceStatus({ message: 'Opened a shared analysis. Save it to keep a copy.' });
+          window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        } catch (err) {
+          if (!cancelled) setWorkspaceStatus({ message: err.message, error: true });
         }
-        charCount += gptTokens[i].length;
       }
-      
-      const chunkIndex = Math.floor(tokenPosition / chunkSize);
-      const positionInChunk = tokenPosition % chunkSize;
-      const attention = getAttentionScore(positionInChunk, chunkSize);
-      
-      return {
-        ...entity,
-        tokenPosition,
-        chunkIndex,
-        positionInChunk,
-        attentionScore: attention,
-        isLowAttention: attention < 0.65,
-      };
-    });
-    
-    // Word efficiency
-    const wordCount = content.split(/\s+/).filter(w => w.length > 0).length;
-    const wordsPerToken = wordCount / gptTokens.length;
-    
+      try {
+        const saved = await listDocuments();
+        if (cancelled) return;
+        setDocuments(saved);
+        const last = saved.find(d => d.id === localStorage.getItem(CURRENT_DOCUMENT_STORAGE_KEY));
+        if (!last) setCurrentDocId(null);
+        else if (!isShareFragment(hash)) openDocument(last);
+      } catch {
+        if (!cancelled) setWorkspaceStatus({ message: 'Saved documents are unavailable in this browser.', error: true });
+      }
+    })();
+    return () => { cancelled = true; };
+  }, []);
+  
+  const saveCurve = (label) => {
+    const saved = { id: `curve-${Date.now()}`, label, points: attentionCurve.points };
+    setSavedCurves(prev => [...prev, saved]);
+    setAttentionCurve(saved);
+  };
+  
+  const deleteCurve = (id) => {
+    setSavedCurves(prev => prev.filter(c => c.id !== id));
+    if (attentionCurve.id === id) setAttentionCurve(DEFAULT_ATTENTION_CURVE);
+  };
+  
+  // {title} in chunk headers: the document's name, else the imported page's
+  // title; chunking falls back to the first H1
+  const headerTitle = docName.trim() || importedFile?.title || '';
+  
+  // Settings for the worker's analyzeContent; tokenizerKey only makes a
+  // tokenizer change re-run the analysis
+  const analysisOptions = useMemo(() => ({
+    chunkModelId,
+    chunkSize,
+    overlap,
+    strategy,
+    headerTemplate,
+    title: headerTitle,
+    glossary: parseGlossary(glossary),
+    curve: attentionCurve,
+    language,
+    tokenizerKey: [
+      encodingName,
+      ...customTokenizers.map(t => t.id),
+      ...Object.entries(calibration.scales).map(([id, scale]) => `${id}×${scale}`),
+    ].join(','),
+  }), [chunkModelId, chunkSize, overlap, strategy, headerTemplate, headerTitle, glossary, attentionCurve, language, encodingName, customTokenizers, calibration.scales]);
+  
+  // Analysis runs in the worker, debounced. Until a newer run finishes, the
+  // last analysis stays on screen along with the content it describes.
+  const analysisInput = useMemo(
+    () => (content.trim() ? { content, options: analysisOptions } : null),
+    [content, analysisOptions]
+  );
+  const analysisTask = useAnalysisTask('analysis', 'analyze', analysisInput);
+  const analysis = analysisTask.result;
+  const analyzedContent = analysisTask.input?.content ?? '';
+  
+  // Target questions ranked against the chunks; kept out of the main analysis
+  // so typing a query doesn't re-tokenize the content
+  const bm25Index = useMemo(() => (analysis ? buildBm25Index(analysis.chunks) : null), [analysis]);
+  const queryList = useMemo(() => queries.split('\n').map(q => q.trim()).filter(Boolean), [queries]);
+  const rankings = useMemo(
+    () => (bm25Index ? queryList.map(q => rankChunks(bm25Index, q, topK, attentionCurve)) : []),
+    [bm25Index, queryList, topK, attentionCurve]
+  );
+  
+  // Prompt assembly per model, with our chunks in the first question's BM25
+  // order. It re-tokenizes every chunk, so it runs in the worker and only
+  // while the Context tab is open.
+  const contextInput = useMemo(() => {
+    if (activeTab !== 'context' || !analysis) return null;
+    const ranking = rankings[0];
     return {
-      gptTokens: gptTokens.length,
-      claudeTokens: claudeTokens.length,
-      geminiTokens: geminiTokens.length,
-      variance: Math.round(((Math.max(gptTokens.length, claudeTokens.length, geminiTokens.length) - 
-                            Math.min(gptTokens.length, claudeTokens.length, geminiTokens.length)) / 
-                           gptTokens.length) * 100),
-      paragraphs: paragraphAnalysis,
-      chunks,
-      entities: entityAnalysis,
-      wordCount,
-      wordsPerToken: wordsPerToken.toFixed(3),
-      efficiency: wordsPerToken >= 0.75 ? 'optimal' : wordsPerToken >= 0.65 ? 'acceptable' : 'verbose',
+      chunks: analysis.chunks.map(({ header, text }) => ({ header, text })),
+      order: getRetrievalOrder(analysis.chunks, ranking),
+      settings: contextSettings,
+      question: ranking?.query,
+      modelPricing,
+      curve: attentionCurve,
     };
-  }, [content, chunkSize]);
+  }, [activeTab, analysis, rankings, contextSettings, modelPricing, attentionCurve]);
+  const contextAssemblies = useAnalysisTask('context', 'assemble', contextInput).result ?? [];
+  
+  const updatePricing = (id, field, value) => {
+    setModelPricing(prev => ({ ...prev, [id]: { ...getModelPricing(prev, id), [field]: value } }));
+  };
+  
+  const keywordCoverage = useMemo(
+    () => (analysis ? analyzeKeywordCoverage(analyzedContent, parseKeywordList(keywords), analysis.chunks, attentionCurve) : []),
+    [analysis, analyzedContent, keywords, attentionCurve]
+  );
+  
+  // Rewrite draft from the accepted edits. Its metrics (entity extraction
+  // included) are only computed while the Rewrite tab is open.
+  useEffect(() => {
+    setRejectedEdits(new Set());
+  }, [analyzedContent]);
+  
+  const toggleEdit = (id) => {
+    setRejectedEdits(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+  
+  const draft = useMemo(
+    () => (analysis ? applyEdits(analyzedContent, analysis.edits, e => !rejectedEdits.has(e.id)) : ''),
+    [analysis, analyzedContent, rejectedEdits]
+  );
+  
+  const originalMetricsInput = useMemo(
+    () => (activeTab === 'rewrite' && analyzedContent ? { text: analyzedContent, options: analysisOptions } : null),
+    [activeTab, analyzedContent, analysisOptions]
+  );
+  const draftMetricsInput = useMemo(
+    () => (activeTab === 'rewrite' && draft ? { text: draft, options: analysisOptions } : null),
+    [activeTab, draft, analysisOptions]
+  );
+  const originalMetrics = useAnalysisTask('draft-original', 'measure', originalMetricsInput).result;
+  const draftMetrics = useAnalysisTask('draft', 'measure', draftMetricsInput).result;
   
   // Generate optimization hints
-  const hints = useMemo(() => {
-    if (!analysis) return [];
-    const h = [];
-    
-    // Check for buried value props
-    const firstChunkEntities = analysis.entities.filter(e => e.chunkIndex === 0);
-    const laterEntities = analysis.entities.filter(e => e.chunkIndex > 0);
-    if (laterEntities.length > firstChunkEntities.length) {
-      h.push({
-        type: 'warning',
-        message: `${laterEntities.length} entities appear after chunk 1. Front-load key terms for higher citation probability.`,
-      });
-    }
-    
-    // Check for low attention entities
-    const lowAttentionEntities = analysis.entities.filter(e => e.isLowAttention);
-    if (lowAttentionEntities.length > 0) {
-      h.push({
-        type: 'critical',
-        message: `${lowAttentionEntities.length} entities in low-attention zones (middle of chunks). Consider repositioning: ${lowAttentionEntities.slice(0, 3).map(e => e.text).join(', ')}`,
-      });
-    }
-    
-    // Check for paragraphs exceeding chunk size
-    const longParagraphs = analysis.paragraphs.filter(p => p.exceedsChunk);
-    if (longParagraphs.length > 0) {
-      h.push({
-        type: 'warning',
-        message: `${longParagraphs.length} paragraph(s) exceed ${chunkSize} tokens and will split across multiple chunks.`,
+  const hintRules = useMemo(() => resolveHintRules(hintRuleSettings), [hintRuleSettings]);
+  const hints = useMemo(
+    () => (analysis
+      ? generateHints(analysis, { content: analyzedContent, rankings, keywordCoverage, chunkSize, overlap, strategy }, hintRules)
+      : []),
+    [analysis, analyzedContent, rankings, keywordCoverage, chunkSize, overlap, strategy, hintRules]
+  );
+  
+  const readiness = useMemo(
+    () => (analysis ? computeReadinessScore(analysis, scoreWeights, attentionCurve) : null),
+    [analysis, scoreWeights, attentionCurve]
+  );
+  
+  // Version B, analyzed in the worker with the same settings, questions and
+  // keywords as A
+  const compareInput = useMemo(
+    () => (compareMode && compareContent.trim() ? { content: compareContent, options: analysisOptions } : null),
+    [compareMode, compareContent, analysisOptions]
+  );
+  const compareTask = useAnalysisTask('compare', 'analyze', compareInput);
+  
+  // The task object is new on every render; its result and input only change
+  // when a run finishes
+  const { result: compareResult, input: compareResultInput } = compareTask;
+  const comparison = useMemo(() => {
+    if (!compareMode || !analysis || !compareResult) return null;
+    const other = compareResult;
+    const otherContent = compareResultInput.content;
+    const index = buildBm25Index(other.chunks);
+    const otherHints = generateHints(other, {
+      content: otherContent,
+      rankings: queryList.map(q => rankChunks(index, q, topK, attentionCurve)),
+      keywordCoverage: analyzeKeywordCoverage(otherContent, parseKeywordList(keywords), other.chunks, attentionCurve),
+      chunkSize,
+      overlap,
+      strategy,
+    }, hintRules);
+    return compareVersions(
+      { content: analyzedContent, analysis, hints, score: readiness },
+      { content: otherContent, analysis: other, hints: otherHints, score: computeReadinessScore(other, scoreWeights, attentionCurve) },
+      attentionCurve
+    );
+  }, [compareMode, compareResult, compareResultInput, analyzedContent, analysis, hints, readiness, queryList, topK, keywords, chunkSize, overlap, strategy, attentionCurve, hintRules, scoreWeights]);
+  
+  // A save waits for the analysis of the content and settings being saved, so
+  // the revision's metrics describe that content. If the run fails, the
+  // revision is saved without metrics.
+  const [queuedSave, setQueuedSave] = useState(null);
+  const analysisIsCurrent = analysisTask.input === analysisInput;
+
+  const writeRevision = async (asNew) => {
+    const baseline = analysis?.tokenCounts.find(t => t.id === BASELINE_TOKENIZER_ID);
+    const metrics = analysis && analysisIsCurrent ? {
+      score: readiness.total,
+      tokens: baseline.count,
+      chunks: analysis.chunks.length,
+      wordsPerToken: Number(analysis.wordsPerToken),
+      lowAttentionEntities: analysis.entities.filter(e => e.isLowAttention).length,
+      hints: hints.length,
+    } : {};
+    try {
+      const doc = await saveDocument({
+        id: asNew ? null : currentDocId,
+        name: docName,
+        tags: docTags.split(',').map(t => t.trim()).filter(Boolean),
+        state: getWorkspaceState(),
+        metrics,
       });
+      setCurrentDocId(doc.id);
+      setDocName(doc.name);
+      setDocuments(await listDocuments());
+      setWorkspaceStatus({ message: `Saved revision ${doc.revisions.length} of "${doc.name}"` });
+    } catch (err) {
+      setWorkspaceStatus({ message: `Could not save: ${err.message}`, error: true });
     }
-    
-    // Check token efficiency
-    if (analysis.efficiency === 'verbose') {
-      h.push({
-        type: 'optimize',
-        message: `Token efficiency ${analysis.wordsPerToken} words/token is below optimal (0.75+). Reduce filler words.`,
-      });
+  };
+
+  const saveToWorkspace = (asNew) => {
+    if (analysisIsCurrent || !analysisTask.pending) {
+      writeRevision(asNew);
+      return;
     }
-    
-    // Chunk count assessment
-    if (analysis.chunks.length > 5) {
-      h.push({
-        type: 'info',
-        message: `Content spans ${analysis.chunks.length} chunks. Position 1 and ${analysis.chunks.length} have highest attention.`,
-      });
+    setQueuedSave({ asNew });
+    setWorkspaceStatus({ message: 'Saving once the analysis of the latest edits finishes…' });
+  };
+
+  useEffect(() => {
+    if (!queuedSave || analysisTask.pending) return;
+    setQueuedSave(null);
+    writeRevision(queuedSave.asNew);
+  }, [queuedSave, analysisTask.pending]);
+  
+  const removeDocument = async (doc) => {
+    if (!window.confirm(`Delete "${doc.name}" and its ${doc.revisions.length} revision(s)?`)) return;
+    try {
+      await deleteDocument(doc.id);
+      if (doc.id === currentDocId) setCurrentDocId(null);
+      setDocuments(await listDocuments());
+    } catch (err) {
+      setWorkspaceStatus({ message: `Could not delete: ${err.message}`, error: true });
     }
-    
-    // Optimal chunk size hint
-    if (chunkSize > 120) {
-      h.push({
-        type: 'optimize',
-        message: `Research suggests 90-120 token chunks optimize for LLM attention patterns.`,
-      });
+  };
+  
+  const newDocument = () => {
+    setCurrentDocId(null);
+    setDocName('');
+    setDocTags('');
+    setContent('');
+    setImportedFile(null);
+    setWorkspaceStatus(null);
+  };
+  
+  // Copy a link with the whole state in its fragment; if the clipboard is
+  // blocked, put it in the address bar instead
+  const shareWorkspace = async () => {
+    const url = await buildShareUrl(getWorkspaceState());
+    try {
+      await navigator.clipboard.writeText(url);
+      setWorkspaceStatus({ message: `Share link copied (${url.length.toLocaleString()} characters)` });
+    } catch {
+      window.history.replaceState(null, '', url);
+      setWorkspaceStatus({ message: 'Clipboard unavailable: the share link is in the address bar' });
     }
-    
-    return h;
-  }, [analysis, chunkSize]);
-  
-  const getAttentionColor = (score) => {
-    if (score >= 0.85) return '#4FD1C5'; // teal - hot
-    if (score >= 0.70) return '#38A89D'; // medium teal
-    if (score >= 0.60) return '#6B7280'; // gray - degraded
-    return '#FF4444'; // red - cold
   };
   
   const getHintIcon = (type) => {
@@ -345,13 +584,17 @@ export default function TokenAnalyzer() {
   };
 
   return (
-    <div style={{
-      minHeight: '100vh',
-      backgroundColor: '#0D1117',
-      color: '#E6EDF3',
-      fontFamily: '"JetBrains Mono", "Fira Code", monospace',
-      padding: '24px',
-    }}>
+    <div
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={handleDrop}
+      style={{
+        minHeight: '100vh',
+        backgroundColor: '#0D1117',
+        color: '#E6EDF3',
+        fontFamily: '"JetBrains Mono", "Fira Code", monospace',
+        padding: '24px',
+      }}
+    >
       {/* Header */}
       <div style={{ marginBottom: '32px' }}>
         <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
@@ -384,6 +627,26 @@ export default function TokenAnalyzer() {
         </p>
       </div>
 
+      <WorkspacePanel
+        documents={documents}
+        currentId={currentDocId}
+        name={docName}
+        tags={docTags}
+        onNameChange={setDocName}
+        onTagsChange={setDocTags}
+        onSave={() => saveToWorkspace(false)}
+        onSaveAsNew={() => saveToWorkspace(true)}
+        onNew={newDocument}
+        onOpen={openDocument}
+        onDelete={removeDocument}
+        onRestore={(revision) => {
+          applyWorkspaceState(revision.state);
+          setWorkspaceStatus({ message: `Restored the revision from ${new Date(revision.savedAt).toLocaleString()}. Save to keep it as the latest.` });
+        }}
+        onShare={shareWorkspace}
+        status={workspaceStatus}
+      />
+
       {/* Input Area */}
       <div style={{ marginBottom: '24px' }}>
         <label style={{ 
@@ -394,12 +657,16 @@ export default function TokenAnalyzer() {
           textTransform: 'uppercase',
           letterSpacing: '1px',
         }}>
-          Content Input
+          Content Input{compareMode && ' · Version A'}
         </label>
         <textarea
+          ref={contentRef}
           value={content}
-          onChange={(e) => setContent(e.target.value)}
-          placeholder="Paste content to analyze..."
+          onChange={(e) => {
+            setContent(e.target.value);
+            setImportedFile(null);
+          }}
+          placeholder="Paste content to analyze, or drop an .html, .md or .txt file..."
           style={{
             width: '100%',
             height: '160px',
@@ -414,6 +681,104 @@ export default function TokenAnalyzer() {
             outline: 'none',
           }}
         />
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '8px', flexWrap: 'wrap' }}>
+          <label style={{
+            padding: '6px 12px',
+            backgroundColor: '#1F2937',
+            color: '#E6EDF3',
+            border: '1px dashed #30363D',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '12px',
+          }}>
+            Import file
+            <input
+              type="file"
+              accept={CONTENT_FILE_ACCEPT}
+              onChange={(e) => {
+                if (e.target.files[0]) handleContentFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+              style={{ display: 'none' }}
+            />
+          </label>
+          <span style={{ fontSize: '11px', color: importError ? '#FF4444' : '#4B5563' }}>
+            {importError ?? (importedFile
+              ? `${importedFile.name}${importedFile.title ? ` · “${importedFile.title}”` : ''}${importedFile.format === 'html'
+                ? ` · main content kept, ${(importedFile.removedRatio * 100).toFixed(0)}% of page text dropped as boilerplate`
+                : ''}`
+              : '.html pages are reduced to their main content; headings, lists and tables are kept as Markdown')}
+          </span>
+          <span style={{ flex: 1 }} />
+          <button
+            onClick={() => {
+              if (compareMode && activeTab === 'compare') setActiveTab('overview');
+              setCompareMode(!compareMode);
+            }}
+            style={{
+              padding: '6px 12px',
+              backgroundColor: compareMode ? '#4FD1C5' : '#1F2937',
+              color: compareMode ? '#0D1117' : '#E6EDF3',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '12px',
+              fontFamily: 'inherit',
+            }}
+          >
+            A/B compare
+          </button>
+        </div>
+        <AnalysisProgress progress={analysisTask.progress} error={analysisTask.error} />
+        {compareMode && (
+          <>
+            <label style={{ 
+              display: 'flex', 
+              justifyContent: 'space-between',
+              margin: '16px 0 8px 0', 
+              fontSize: '12px',
+              color: '#4FD1C5',
+              textTransform: 'uppercase',
+              letterSpacing: '1px',
+            }}>
+              Version B
+              <button
+                onClick={() => setCompareContent(content)}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  color: '#6B7280',
+                  cursor: 'pointer',
+                  fontFamily: 'inherit',
+                  fontSize: '11px',
+                  textTransform: 'none',
+                  letterSpacing: 0,
+                }}
+              >
+                copy from A
+              </button>
+            </label>
+            <textarea
+              value={compareContent}
+              onChange={(e) => setCompareContent(e.target.value)}
+              placeholder="Paste the revised version to compare against A..."
+              style={{
+                width: '100%',
+                height: '160px',
+                backgroundColor: '#161B22',
+                border: '1px solid #30363D',
+                borderRadius: '6px',
+                padding: '16px',
+                color: '#E6EDF3',
+                fontFamily: 'inherit',
+                fontSize: '13px',
+                resize: 'vertical',
+                outline: 'none',
+              }}
+            />
+            <AnalysisProgress progress={compareTask.progress} error={compareTask.error} />
+          </>
+        )}
       </div>
 
       {/* Chunk Size Control */}
@@ -428,7 +793,7 @@ export default function TokenAnalyzer() {
           Chunk Size:
         </label>
         <div style={{ display: 'flex', gap: '8px' }}>
-          {[90, 100, 120, 256, 512].map(size => (
+          {CHUNK_SIZE_OPTIONS.map(size => (
             <button
               key={size}
               onClick={() => setChunkSize(size)}
@@ -451,7 +816,267 @@ export default function TokenAnalyzer() {
         <span style={{ fontSize: '11px', color: '#6B7280' }}>
           {chunkSize <= 120 ? '✓ optimal range' : '△ larger than recommended'}
         </span>
+        <label style={{ fontSize: '12px', color: '#6B7280' }}>
+          Overlap:
+        </label>
+        <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+          <input
+            type="number"
+            min={0}
+            max={overlapUnit === 'percent' ? MAX_OVERLAP_PERCENT : chunkSize - 1}
+            value={overlapValue}
+            onChange={(e) => setOverlapValue(Number(e.target.value))}
+            style={{
+              width: '64px',
+              padding: '6px 8px',
+              backgroundColor: '#1F2937',
+              color: '#E6EDF3',
+              border: 'none',
+              borderRadius: '4px',
+              fontSize: '12px',
+              fontFamily: 'inherit',
+            }}
+          />
+          {[['percent', '%'], ['tokens', 'tokens']].map(([unit, label]) => (
+            <button
+              key={unit}
+              onClick={() => setOverlapUnit(unit)}
+              style={{
+                padding: '6px 8px',
+                backgroundColor: overlapUnit === unit ? '#4FD1C5' : '#1F2937',
+                color: overlapUnit === unit ? '#0D1117' : '#E6EDF3',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px',
+                fontFamily: 'inherit',
+              }}
+            >
+              {label}
+            </button>
+          ))}
+          {overlap > 0 && (
+            <span style={{ fontSize: '11px', color: '#6B7280', marginLeft: '4px' }}>
+              = {overlap} tokens
+            </span>
+          )}
+        </div>
+        {tokenizers && (
+          <>
+            <label style={{ fontSize: '12px', color: '#6B7280' }}>
+              Chunk with:
+            </label>
+            <select
+              value={chunkModelId}
+              onChange={(e) => setChunkModelId(e.target.value)}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: '#1F2937',
+                color: '#E6EDF3',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '12px',
+                fontFamily: 'inherit',
+              }}
+            >
+              {tokenizers.map(t => (
+                <option key={t.id} value={t.id}>{t.label} ({t.sub})</option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+
+      {/* Chunking Strategy Control */}
+      <div style={{ 
+        marginBottom: '24px', 
+        display: 'flex', 
+        alignItems: 'center', 
+        gap: '16px',
+        flexWrap: 'wrap',
+      }}>
+        <label style={{ fontSize: '12px', color: '#6B7280' }}>
+          Strategy:
+        </label>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          {CHUNK_STRATEGIES.map(({ id, label, description }) => (
+            <button
+              key={id}
+              onClick={() => setStrategy(id)}
+              title={description}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: strategy === id ? '#4FD1C5' : '#1F2937',
+                color: strategy === id ? '#0D1117' : '#E6EDF3',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px',
+                fontFamily: 'inherit',
+                transition: 'all 0.15s',
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <span style={{ fontSize: '11px', color: '#6B7280' }}>
+          {CHUNK_STRATEGIES.find(s => s.id === strategy).description}
+          {strategy !== 'fixed' && ` · max ${chunkSize} tokens`}
+        </span>
+      </div>
+
+      {/* Chunk Header Control */}
+      <div style={{ 
+        marginBottom: '24px', 
+        display: 'flex', 
+        alignItems: 'center', 
+        gap: '16px',
+        flexWrap: 'wrap',
+      }}>
+        <label style={{ fontSize: '12px', color: '#6B7280' }}>
+          Chunk header:
+        </label>
+        <input
+          value={headerTemplate}
+          onChange={(e) => setHeaderTemplate(e.target.value)}
+          placeholder="none, e.g. {title} > {h2} > {h3}"
+          style={{
+            width: '260px',
+            padding: '6px 12px',
+            backgroundColor: '#1F2937',
+            color: '#E6EDF3',
+            border: 'none',
+            borderRadius: '4px',
+            fontSize: '12px',
+            fontFamily: 'inherit',
+          }}
+        />
+        <span style={{ fontSize: '11px', color: '#6B7280' }}>
+          {analysis?.chunkHeaders
+            ? `+${analysis.chunkHeaders.tokens} tokens embedded · ${analysis.chunkHeaders.perChunk.toFixed(1)} per chunk · ${(analysis.chunkHeaders.share * 100).toFixed(1)}% overhead`
+            : `Prepended to every chunk before embedding; placeholders ${CHUNK_HEADER_PLACEHOLDERS.join(' ')}`}
+          {headerTemplate.includes('{title}') && ` · title: ${headerTitle || 'first H1'}`}
+        </span>
+      </div>
+
+      {/* Language Control */}
+      <div style={{ 
+        marginBottom: '24px', 
+        display: 'flex', 
+        alignItems: 'center', 
+        gap: '16px',
+        flexWrap: 'wrap',
+      }}>
+        <label style={{ fontSize: '12px', color: '#6B7280' }}>
+          Language:
+        </label>
+        <select
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+          style={{
+            padding: '6px 12px',
+            backgroundColor: '#1F2937',
+            color: '#E6EDF3',
+            border: 'none',
+            borderRadius: '4px',
+            fontSize: '12px',
+            fontFamily: 'inherit',
+          }}
+        >
+          <option value="auto">Auto-detect</option>
+          {LANGUAGES.map(l => (
+            <option key={l.id} value={l.id}>{l.label}</option>
+          ))}
+        </select>
+        {analysis && (
+          <span style={{ fontSize: '11px', color: '#6B7280' }}>
+            {analysis.language.auto ? 'Detected' : 'Using'} {analysis.language.label}
+            {' · '}words {usesSegmenter(analysis.language.id) ? 'segmented by dictionary (Intl.Segmenter)' : 'split on spaces'}
+            {' · '}optimal at {analysis.language.optimalWordsPerToken}+ words/token
+          </span>
+        )}
+      </div>
+
+      {/* Tokenizer Control */}
+      <div style={{ 
+        marginBottom: '24px', 
+        display: 'flex', 
+        alignItems: 'center', 
+        gap: '16px',
+        flexWrap: 'wrap',
+      }}>
+        <label style={{ fontSize: '12px', color: '#6B7280' }}>
+          Tokenizer:
+        </label>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          {Object.entries(ENCODINGS).map(([name, { label }]) => (
+            <button
+              key={name}
+              onClick={() => setEncodingName(name)}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: encodingName === name ? '#4FD1C5' : '#1F2937',
+                color: encodingName === name ? '#0D1117' : '#E6EDF3',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px',
+                fontFamily: 'inherit',
+                transition: 'all 0.15s',
+              }}
+            >
+              {label} · {name}
+            </button>
+          ))}
+        </div>
+        <span style={{ fontSize: '11px', color: '#6B7280' }}>
+          {encoder ? '✓ exact BPE' : '… loading merge ranks'}
+        </span>
+        <label style={{
+          padding: '6px 12px',
+          backgroundColor: '#1F2937',
+          color: '#E6EDF3',
+          border: '1px dashed #30363D',
+          borderRadius: '4px',
+          cursor: 'pointer',
+          fontSize: '12px',
+        }}>
+          + tokenizer.json
+          <input
+            type="file"
+            accept=".json,application/json"
+            multiple
+            onChange={(e) => {
+              handleTokenizerFiles([...e.target.files]);
+              e.target.value = '';
+            }}
+            style={{ display: 'none' }}
+          />
+        </label>
+        <span style={{ fontSize: '11px', color: tokenizerError ? '#FF4444' : '#4B5563' }}>
+          {tokenizerError ?? 'or drop a Hugging Face tokenizer.json on the page'}
+        </span>
+        <span style={{ flex: 1 }} />
+        <button
+          onClick={() => setShowCalibration(!showCalibration)}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: '#6B7280',
+            cursor: 'pointer',
+            fontFamily: 'inherit',
+            fontSize: '11px',
+            padding: 0,
+          }}
+        >
+          {showCalibration ? '▾' : '▸'} Calibration
+          {Object.keys(calibration.scales).length > 0 && ` (${Object.keys(calibration.scales).length} calibrated)`}
+        </button>
       </div>
+      {showCalibration && tokenizers && (
+        <CalibrationPanel tokenizers={tokenizers} settings={calibration} onSettingsChange={setCalibration} />
+      )}
 
       {analysis && (
         <>
@@ -463,9 +1088,7 @@ export default function TokenAnalyzer() {
             marginBottom: '24px',
           }}>
             {[
-              { label: 'GPT-4/4o', value: analysis.gptTokens, sub: 'cl100k_base' },
-              { label: 'Claude', value: analysis.claudeTokens, sub: 'anthropic' },
-              { label: 'Gemini', value: analysis.geminiTokens, sub: 'sentencepiece' },
+              ...analysis.tokenCounts.map(t => ({ ...t, value: t.count })),
               { label: 'Variance', value: `±${analysis.variance}%`, sub: 'cross-model' },
             ].map((item, idx) => (
               <div key={idx} style={{
@@ -474,8 +1097,31 @@ export default function TokenAnalyzer() {
                 borderRadius: '6px',
                 padding: '16px',
               }}>
-                <div style={{ fontSize: '11px', color: '#6B7280', marginBottom: '4px' }}>
-                  {item.label}
+                <div style={{ 
+                  display: 'flex', 
+                  justifyContent: 'space-between',
+                  fontSize: '11px', 
+                  color: '#6B7280', 
+                  marginBottom: '4px',
+                }}>
+                  <span>{item.label}</span>
+                  {item.custom && (
+                    <button
+                      onClick={() => removeTokenizer(item.id)}
+                      title="Remove tokenizer"
+                      style={{
+                        background: 'none',
+                        border: 'none',
+                        color: '#6B7280',
+                        cursor: 'pointer',
+                        fontFamily: 'inherit',
+                        fontSize: '11px',
+                        padding: 0,
+                      }}
+                    >
+                      ✕
+                    </button>
+                  )}
                 </div>
                 <div style={{ 
                   fontSize: '28px', 
@@ -527,10 +1173,12 @@ export default function TokenAnalyzer() {
               </span>
             </div>
             <div style={{ fontSize: '12px', color: '#6B7280' }}>
-              {analysis.wordCount} words · {analysis.chunks.length} chunks
+              {analysis.wordCount} words · {analysis.chunks.length} chunks · {analysis.language.label}
             </div>
           </div>
 
+          <ReadinessScore score={readiness} weights={scoreWeights} onWeightsChange={setScoreWeights} />
+
           {/* Tabs */}
           <div style={{ 
             display: 'flex', 
@@ -539,7 +1187,7 @@ export default function TokenAnalyzer() {
             borderBottom: '1px solid #30363D',
             paddingBottom: '8px',
           }}>
-            {['overview', 'chunks', 'entities', 'paragraphs'].map(tab => (
+            {['overview', 'chunks', 'queries', 'keywords', 'qa', 'context', 'entities', 'paragraphs', 'rewrite', ...(compareMode ? ['compare'] : [])].map(tab => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -555,7 +1203,7 @@ export default function TokenAnalyzer() {
                   textTransform: 'capitalize',
                 }}
               >
-                {tab}
+                {tab === 'qa' ? 'Q&A' : tab}
               </button>
             ))}
           </div>
@@ -586,27 +1234,63 @@ export default function TokenAnalyzer() {
                   </div>
                 ) : (
                   <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-                    {hints.map((hint, idx) => (
-                      <div key={idx} style={{
-                        display: 'flex',
-                        gap: '12px',
-                        padding: '12px',
-                        backgroundColor: '#0D1117',
-                        borderRadius: '4px',
-                        borderLeft: `3px solid ${getHintColor(hint.type)}`,
-                      }}>
+                    {hints.map(hint => (
+                      <div
+                        key={hint.id}
+                        onClick={hint.location ? () => revealRange(contentRef.current, hint.location.start, hint.location.end) : undefined}
+                        title={hint.location ? `Show ${hint.location.label} in the content` : undefined}
+                        style={{
+                          display: 'flex',
+                          gap: '12px',
+                          padding: '12px',
+                          backgroundColor: '#0D1117',
+                          borderRadius: '4px',
+                          borderLeft: `3px solid ${getHintColor(hint.type)}`,
+                          cursor: hint.location ? 'pointer' : 'default',
+                        }}
+                      >
                         <span style={{ color: getHintColor(hint.type) }}>
                           {getHintIcon(hint.type)}
                         </span>
-                        <span style={{ fontSize: '13px', lineHeight: 1.5 }}>
+                        <span style={{ fontSize: '13px', lineHeight: 1.5, flex: 1 }}>
                           {hint.message}
                         </span>
+                        {hint.location && (
+                          <span style={{ fontSize: '11px', color: '#6B7280', whiteSpace: 'nowrap' }}>
+                            → {hint.location.label}
+                          </span>
+                        )}
                       </div>
                     ))}
                   </div>
                 )}
                 
-                {/* Attention Heat Map Legend */}
+                <button
+                  onClick={() => setShowHintRules(!showHintRules)}
+                  style={{
+                    marginTop: '12px',
+                    background: 'none',
+                    border: 'none',
+                    color: '#6B7280',
+                    cursor: 'pointer',
+                    fontFamily: 'inherit',
+                    fontSize: '11px',
+                    padding: 0,
+                  }}
+                >
+                  {showHintRules ? '▾' : '▸'} Hint rules ({hintRules.filter(r => r.enabled).length} of {hintRules.length} enabled)
+                </button>
+                {showHintRules && (
+                  <div style={{ marginTop: '8px' }}>
+                    <HintRulesEditor
+                      rules={hintRules}
+                      settings={hintRuleSettings}
+                      onSettingsChange={setHintRuleSettings}
+                    />
+                  </div>
+                )}
+                
+                {/* Attention curve used for every score */}
                 <div style={{ marginTop: '24px' }}>
                   <h4 style={{ 
                     margin: '0 0 12px 0', 
@@ -615,100 +1299,240 @@ export default function TokenAnalyzer() {
                     textTransform: 'uppercase',
                     letterSpacing: '1px',
                   }}>
-                    Attention Decay Model
+                    Attention Decay Model · {attentionCurve.label}
                   </h4>
-                  <div style={{ 
-                    display: 'flex', 
-                    height: '24px', 
-                    borderRadius: '4px', 
-                    overflow: 'hidden',
-                    marginBottom: '8px',
-                  }}>
-                    <div style={{ flex: '15%', backgroundColor: '#4FD1C5' }} />
-                    <div style={{ flex: '70%', background: 'linear-gradient(90deg, #38A89D, #4B5563, #38A89D)' }} />
-                    <div style={{ flex: '15%', backgroundColor: '#4FD1C5' }} />
-                  </div>
-                  <div style={{ 
-                    display: 'flex', 
-                    justifyContent: 'space-between',
-                    fontSize: '10px',
-                    color: '#6B7280',
-                  }}>
-                    <span>Primacy (95%)</span>
-                    <span>Murky Middle (55-70%)</span>
-                    <span>Recency (92%)</span>
-                  </div>
+                  <AttentionCurveEditor
+                    curve={attentionCurve}
+                    presets={ATTENTION_PRESETS}
+                    savedCurves={savedCurves}
+                    onChange={setAttentionCurve}
+                    onSave={saveCurve}
+                    onDelete={deleteCurve}
+                  />
                 </div>
               </div>
             )}
 
             {activeTab === 'chunks' && (
               <div>
-                <h3 style={{ margin: '0 0 16px 0', fontSize: '14px', color: '#4FD1C5' }}>
-                  Chunk Simulation ({chunkSize} tokens/chunk)
-                </h3>
-                <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-                  {analysis.chunks.map((chunk, idx) => (
-                    <div key={idx} style={{
-                      backgroundColor: '#0D1117',
-                      borderRadius: '4px',
-                      padding: '12px',
-                      borderLeft: idx === 0 || idx === analysis.chunks.length - 1 
-                        ? '3px solid #4FD1C5' 
-                        : '3px solid #4B5563',
-                    }}>
-                      <div style={{ 
-                        display: 'flex', 
-                        justifyContent: 'space-between',
-                        marginBottom: '8px',
-                        fontSize: '11px',
-                      }}>
-                        <span style={{ color: '#4FD1C5' }}>
-                          Chunk {idx + 1}
-                          {(idx === 0 || idx === analysis.chunks.length - 1) && 
-                            <span style={{ marginLeft: '8px', color: '#10B981' }}>● HOT ZONE</span>
-                          }
-                        </span>
-                        <span style={{ color: '#6B7280' }}>
-                          {chunk.tokenCount} tokens
-                        </span>
-                      </div>
-                      <div style={{ 
-                        fontSize: '12px', 
-                        color: '#9CA3AF',
-                        lineHeight: 1.6,
-                        maxHeight: '80px',
-                        overflow: 'hidden',
-                        textOverflow: 'ellipsis',
-                      }}>
-                        {chunk.text.slice(0, 200)}{chunk.text.length > 200 && '...'}
-                      </div>
-                      {/* Attention bar for this chunk */}
-                      <div style={{ 
-                        marginTop: '8px',
-                        height: '4px',
-                        borderRadius: '2px',
-                        display: 'flex',
-                        gap: '1px',
+                <div style={{ 
+                  display: 'flex', 
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  marginBottom: '16px',
+                  gap: '12px',
+                  flexWrap: 'wrap',
+                }}>
+                  <h3 style={{ margin: 0, fontSize: '14px', color: '#4FD1C5' }}>
+                    {chunkView === 'compare'
+                      ? `Model Comparison (${chunkSize} tokens/chunk)`
+                      : `${chunkView === 'heatmap' ? 'Token Heat Map' : 'Chunk Simulation'} (${chunkSize} ${analysis.chunkModel} tokens/chunk${overlap > 0 ? `, ${overlap} overlap` : ''})`}
+                  </h3>
+                  <div style={{ display: 'flex', gap: '4px' }}>
+                    {[['single', 'Single model'], ['heatmap', 'Token heat map'], ['compare', 'Compare models']].map(([view, label]) => (
+                      <button
+                        key={view}
+                        onClick={() => setChunkView(view)}
+                        style={{
+                          padding: '4px 10px',
+                          backgroundColor: chunkView === view ? '#1F2937' : 'transparent',
+                          color: chunkView === view ? '#4FD1C5' : '#6B7280',
+                          border: '1px solid #30363D',
+                          borderRadius: '4px',
+                          cursor: 'pointer',
+                          fontSize: '11px',
+                          fontFamily: 'inherit',
+                        }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {chunkView === 'single' && (
+                  <DriftChart
+                    semantics={analysis.semantics}
+                    chunks={analysis.chunks}
+                    contentLength={analyzedContent.length}
+                  />
+                )}
+                {chunkView === 'heatmap' && (
+                  <TokenHeatMap chunks={analysis.chunks} curve={attentionCurve} />
+                )}
+                {chunkView === 'compare' && (
+                  <ChunkComparison
+                    comparison={analysis.modelComparison}
+                    contentLength={analyzedContent.length}
+                  />
+                )}
+                {chunkView === 'single' && (
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                    {analysis.chunks.map((chunk, idx) => (
+                      <div key={idx} style={{
+                        backgroundColor: '#0D1117',
+                        borderRadius: '4px',
+                        padding: '12px',
+                        borderLeft: idx === 0 || idx === analysis.chunks.length - 1 
+                          ? '3px solid #4FD1C5' 
+                          : '3px solid #4B5563',
                       }}>
-                        {Array.from({ length: 20 }).map((_, i) => {
-                          const pos = (i / 20) * chunk.tokenCount;
-                          const attention = getAttentionScore(pos, chunk.tokenCount);
-                          return (
-                            <div 
-                              key={i}
-                              style={{ 
-                                flex: 1, 
-                                backgroundColor: getAttentionColor(attention),
-                                opacity: 0.8,
-                              }} 
-                            />
-                          );
-                        })}
+                        <div style={{ 
+                          display: 'flex', 
+                          justifyContent: 'space-between',
+                          marginBottom: '8px',
+                          fontSize: '11px',
+                        }}>
+                          <span style={{ color: '#4FD1C5' }}>
+                            Chunk {idx + 1}
+                            {(idx === 0 || idx === analysis.chunks.length - 1) && 
+                              <span style={{ marginLeft: '8px', color: '#10B981' }}>● HOT ZONE</span>
+                            }
+                          </span>
+                          <span style={{ color: '#6B7280' }}>
+                            {chunk.overlapTokens > 0 && (
+                              <span style={{ color: '#F59E0B', marginRight: '8px' }}>
+                                ↺ {chunk.overlapTokens} repeated
+                              </span>
+                            )}
+                            {chunk.tokenCount} tokens
+                            {chunk.headerTokenCount > 0 && ` + ${chunk.headerTokenCount} header`}
+                          </span>
+                        </div>
+                        {chunk.headingPath.length > 0 && (
+                          <div style={{ fontSize: '11px', color: '#6B7280', marginBottom: '6px' }}>
+                            § {chunk.headingPath.join(' › ')}
+                          </div>
+                        )}
+                        <div style={{ 
+                          fontSize: '12px', 
+                          color: '#9CA3AF',
+                          lineHeight: 1.6,
+                          maxHeight: '80px',
+                          overflow: 'hidden',
+                          textOverflow: 'ellipsis',
+                        }}>
+                          {chunk.header && (
+                            <span
+                              title="Contextual header, embedded in front of the chunk"
+                              style={{ display: 'block', color: '#4FD1C5', whiteSpace: 'pre-wrap' }}
+                            >
+                              {chunk.header.trimEnd()}
+                            </span>
+                          )}
+                          {chunk.overlapTokens > 0 && (
+                            <span
+                              title="Repeated from the previous chunk"
+                              style={{ backgroundColor: '#2D2A1A', color: '#F59E0B' }}
+                            >
+                              {chunk.overlapText.slice(0, 200)}
+                            </span>
+                          )}
+                          {chunk.text.slice(chunk.overlapText.length, Math.max(chunk.overlapText.length, 200))}
+                          {chunk.text.length > 200 && '...'}
+                        </div>
+                        {/* Attention bar for this chunk */}
+                        <div style={{ 
+                          marginTop: '8px',
+                          height: '4px',
+                          borderRadius: '2px',
+                          display: 'flex',
+                          gap: '1px',
+                        }}>
+                          {Array.from({ length: 20 }).map((_, i) => {
+                            const pos = (i / 20) * chunk.embeddedTokenCount;
+                            const attention = getAttentionScore(pos, chunk.embeddedTokenCount, attentionCurve);
+                            return (
+                              <div 
+                                key={i}
+                                style={{ 
+                                  flex: 1, 
+                                  backgroundColor: getAttentionColor(attention),
+                                  opacity: 0.8,
+                                }} 
+                              />
+                            );
+                          })}
+                        </div>
+                        <div style={{ 
+                          marginTop: '6px',
+                          display: 'flex',
+                          gap: '12px',
+                          fontSize: '10px',
+                          color: '#6B7280',
+                        }}>
+                          <span>coherence {(analysis.semantics.chunks[idx].coherence * 100).toFixed(0)}%</span>
+                          {analysis.semantics.chunks[idx].nextSimilarity !== null && (
+                            <span>→ next chunk {(analysis.semantics.chunks[idx].nextSimilarity * 100).toFixed(0)}%</span>
+                          )}
+                          {analysis.semantics.chunks[idx].mixesTopics && (
+                            <span style={{ color: '#FF4444' }}>⚠ mixes topics</span>
+                          )}
+                          <span style={{ color: analysis.references[idx].selfContainment < 1 ? '#F59E0B' : '#6B7280' }}>
+                            self-contained {(analysis.references[idx].selfContainment * 100).toFixed(0)}%
+                          </span>
+                        </div>
+                        <div style={{ marginTop: '4px' }}>
+                          <QualityMetrics quality={analysis.chunkQuality[idx]} />
+                        </div>
+                        {analysis.references[idx].references.length > 0 && (
+                          <div style={{ marginTop: '4px', fontSize: '10px', color: '#F59E0B' }}>
+                            {analysis.references[idx].references.map(ref => (
+                              ref.resolved
+                                ? `'${ref.text}' → ${ref.resolved.text} (chunk ${ref.resolved.chunkIndex + 1})`
+                                : `'${ref.text}' → unresolved`
+                            )).join(' · ')}
+                          </div>
+                        )}
                       </div>
-                    </div>
-                  ))}
-                </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {activeTab === 'queries' && (
+              <div>
+                <h3 style={{ margin: '0 0 16px 0', fontSize: '14px', color: '#4FD1C5' }}>
+                  Retrieval Simulation
+                </h3>
+                <QueryPanel
+                  queries={queries}
+                  onQueriesChange={setQueries}
+                  topK={topK}
+                  onTopKChange={setTopK}
+                  rankings={rankings}
+                  chunks={analysis.chunks}
+                  curve={attentionCurve}
+                />
+              </div>
+            )}
+
+            {activeTab === 'keywords' && (
+              <div>
+                <h3 style={{ margin: '0 0 16px 0', fontSize: '14px', color: '#4FD1C5' }}>
+                  Keyword Coverage
+                </h3>
+                <KeywordMatrix
+                  keywords={keywords}
+                  onKeywordsChange={setKeywords}
+                  coverage={keywordCoverage}
+                  chunkCount={analysis.chunks.length}
+                />
+              </div>
+            )}
+
+            {activeTab === 'context' && (
+              <div>
+                <h3 style={{ margin: '0 0 16px 0', fontSize: '14px', color: '#4FD1C5' }}>
+                  Context Window Assembly
+                </h3>
+                <ContextAssembly
+                  assemblies={contextAssemblies}
+                  settings={contextSettings}
+                  onSettingsChange={setContextSettings}
+                  onPricingChange={updatePricing}
+                  queryLabel={rankings[0]?.query}
+                />
               </div>
             )}
 
@@ -717,6 +1541,33 @@ export default function TokenAnalyzer() {
                 <h3 style={{ margin: '0 0 16px 0', fontSize: '14px', color: '#4FD1C5' }}>
                   Entity/Claim Position Analysis
                 </h3>
+                <div style={{ fontSize: '12px', color: '#6B7280', marginBottom: '8px' }}>
+                  Glossary: brand and product terms to always track, one per line (optionally "Term: Person|Organization|Product|Place|Acronym")
+                </div>
+                <textarea
+                  value={glossary}
+                  onChange={(e) => setGlossary(e.target.value)}
+                  placeholder={'Acme Widget Pro\nJane Doe: Person'}
+                  style={{
+                    width: '100%',
+                    height: '64px',
+                    backgroundColor: '#0D1117',
+                    border: '1px solid #30363D',
+                    borderRadius: '4px',
+                    padding: '10px',
+                    color: '#E6EDF3',
+                    fontFamily: 'inherit',
+                    fontSize: '12px',
+                    resize: 'vertical',
+                    outline: 'none',
+                    marginBottom: '12px',
+                  }}
+                />
+                {analysis.missingGlossary.length > 0 && (
+                  <div style={{ fontSize: '12px', color: '#FF4444', marginBottom: '12px' }}>
+                    Not found: {analysis.missingGlossary.map(g => g.text).join(', ')}
+                  </div>
+                )}
                 {analysis.entities.length === 0 ? (
                   <div style={{ color: '#6B7280', fontSize: '13px' }}>
                     No entities detected. Add proper nouns, brand names, or acronyms.
@@ -727,20 +1578,32 @@ export default function TokenAnalyzer() {
                     gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))',
                     gap: '12px',
                   }}>
-                    {analysis.entities.map((entity, idx) => (
-                      <div key={idx} style={{
+                    {analysis.entities.map(entity => (
+                      <div key={entity.id} style={{
                         backgroundColor: '#0D1117',
                         borderRadius: '4px',
                         padding: '12px',
                         borderLeft: `3px solid ${getAttentionColor(entity.attentionScore)}`,
                       }}>
                         <div style={{ 
-                          fontWeight: 600, 
+                          display: 'flex',
+                          justifyContent: 'space-between',
+                          alignItems: 'baseline',
+                          gap: '8px',
                           marginBottom: '8px',
-                          color: entity.isLowAttention ? '#FF4444' : '#E6EDF3',
                         }}>
-                          {entity.text}
+                          <span style={{ fontWeight: 600, color: entity.isLowAttention ? '#FF4444' : '#E6EDF3' }}>
+                            {entity.text}
+                          </span>
+                          <span style={{ fontSize: '10px', color: ENTITY_TYPE_COLORS[entity.type], whiteSpace: 'nowrap' }}>
+                            {entity.type}{entity.source === 'glossary' && ' · glossary'}
+                          </span>
                         </div>
+                        {entity.aliases.length > 0 && (
+                          <div style={{ fontSize: '10px', color: '#4B5563', marginBottom: '6px' }}>
+                            also as {entity.aliases.join(', ')}
+                          </div>
+                        )}
                         <div style={{ 
                           fontSize: '11px', 
                           color: '#6B7280',
@@ -748,11 +1611,15 @@ export default function TokenAnalyzer() {
                           gridTemplateColumns: '1fr 1fr',
                           gap: '4px',
                         }}>
-                          <span>Chunk: {entity.chunkIndex + 1}</span>
+                          <span>Mentions: {entity.mentions.length}</span>
+                          <span>
+                            Chunk{entity.chunkIndices.length > 1 ? 's' : ''}: {entity.chunkIndices.map(k => k + 1).join(', ')}
+                          </span>
                           <span>Token: {entity.tokenPosition}</span>
-                          <span>Position: {entity.positionInChunk}/{chunkSize}</span>
-                          <span style={{ color: getAttentionColor(entity.attentionScore) }}>
+                          <span>Position: {entity.positionInChunk}/{analysis.chunks[entity.bestChunkIndex].embeddedTokenCount}</span>
+                          <span style={{ color: getAttentionColor(entity.attentionScore), gridColumn: 'span 2' }}>
                             Attention: {(entity.attentionScore * 100).toFixed(0)}%
+                            {entity.chunkIndices.length > 1 && ` (best, chunk ${entity.bestChunkIndex + 1})`}
                           </span>
                         </div>
                         {entity.isLowAttention && (
@@ -764,7 +1631,7 @@ export default function TokenAnalyzer() {
                             padding: '4px 8px',
                             borderRadius: '3px',
                           }}>
-                            ⚠ Low attention zone - consider repositioning
+                            ⚠ Every mention is in a low attention zone - consider repositioning
                           </div>
                         )}
                       </div>
@@ -774,6 +1641,18 @@ export default function TokenAnalyzer() {
               </div>
             )}
 
+            {activeTab === 'qa' && (
+              <div>
+                <h3 style={{ margin: '0 0 16px 0', fontSize: '14px', color: '#4FD1C5' }}>
+                  Q&A Extractability
+                </h3>
+                <QaPanel
+                  pairs={analysis.qaPairs}
+                  onLocate={(start, end) => revealRange(contentRef.current, start, end)}
+                />
+              </div>
+            )}
+
             {activeTab === 'paragraphs' && (
               <div>
                 <h3 style={{ margin: '0 0 16px 0', fontSize: '14px', color: '#4FD1C5' }}>
@@ -787,7 +1666,7 @@ export default function TokenAnalyzer() {
                       padding: '12px',
                       borderLeft: para.exceedsChunk 
                         ? '3px solid #FF4444' 
-                        : '3px solid #30363D',
+                        : para.isSplit ? '3px solid #F59E0B' : '3px solid #30363D',
                     }}>
                       <div style={{ 
                         display: 'flex', 
@@ -816,6 +1695,15 @@ export default function TokenAnalyzer() {
                               → {para.chunksRequired} chunks
                             </span>
                           )}
+                          <span style={{ 
+                            fontSize: '10px', 
+                            color: para.isSplit ? '#F59E0B' : '#6B7280',
+                          }}>
+                            {para.spannedChunks.length === 1
+                              ? `chunk ${para.spannedChunks[0] + 1}`
+                              : `chunks ${para.spannedChunks[0] + 1}–${para.spannedChunks[para.spannedChunks.length - 1] + 1}`}
+                            {para.isSplit && !para.exceedsChunk && ' · cut'}
+                          </span>
                         </div>
                       </div>
                       <div style={{ 
@@ -827,11 +1715,46 @@ export default function TokenAnalyzer() {
                       }}>
                         {para.text.slice(0, 150)}{para.text.length > 150 && '...'}
                       </div>
+                      <div style={{ marginTop: '6px' }}>
+                        <QualityMetrics quality={para.quality} />
+                      </div>
                     </div>
                   ))}
                 </div>
               </div>
             )}
+
+            {activeTab === 'rewrite' && (
+              <div>
+                <h3 style={{ margin: '0 0 16px 0', fontSize: '14px', color: '#4FD1C5' }}>
+                  Rewrite Assistant
+                </h3>
+                <RewritePanel
+                  content={analyzedContent}
+                  edits={analysis.edits}
+                  rejected={rejectedEdits}
+                  onToggle={toggleEdit}
+                  onSetAll={(accept) => setRejectedEdits(new Set(accept ? [] : analysis.edits.map(e => e.id)))}
+                  metrics={originalMetrics && draftMetrics && { original: originalMetrics, draft: draftMetrics }}
+                  onUseDraft={() => setContent(draft)}
+                />
+              </div>
+            )}
+
+            {activeTab === 'compare' && (
+              <div>
+                <h3 style={{ margin: '0 0 16px 0', fontSize: '14px', color: '#4FD1C5' }}>
+                  A/B Comparison
+                </h3>
+                {comparison ? (
+                  <ComparePanel comparison={comparison} />
+                ) : (
+                  <div style={{ color: '#6B7280', fontSize: '13px' }}>
+                    Paste the revised content into Version B to compare it against A.
+                  </div>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Footer */}
@@ -846,7 +1769,7 @@ export default function TokenAnalyzer() {
             color: '#4B5563',
           }}>
             <span>
-              Token counts are approximations. Actual tokenization varies by model.
+              GPT and tokenizer.json counts are exact. Claude and Gemini counts are approximations.
             </span>
             <a 
               href="https://pixeloni.ai" 
@@ -0,0 +1,125 @@
+// Full analysis of one version of the content: its language, token counts
+// per model, chunks, paragraphs, entities and their attention, chunk
+// references, Q&A pairs, per-chunk and per-paragraph quality and rewrite
+// suggestions. Everything the tabs and hints read
+// comes from here.
+import { BASELINE_TOKENIZER_ID } from '../tokenizers/registry';
+import { splitParagraphs, positionEntities, findChunksInRange } from './chunking';
+import { chunkText } from './strategies';
+import { compareModelChunking } from './modelComparison';
+import { measureDrift, analyzeChunkSemantics } from './semantic';
+import { extractEntities } from './entities';
+import { analyzeChunkReferences } from './references';
+import { proposeEdits } from './rewrite';
+import { analyzeQaPairs } from './qa';
+import { measureQuality, getMentionPositions } from './quality';
+import { resolveLanguage, countWords, scaleWordsPerToken } from './language';
+
+export const analyzeContent = (content, {
+  tokenizers,
+  chunkModelId,
+  chunkSize,
+  overlap,
+  strategy,
+  headerTemplate = '',
+  title = '',
+  glossary,
+  curve,
+  language: languageSetting = 'auto',
+}) => {
+  const language = resolveLanguage(content, languageSetting);
+  const tokenStreams = Object.fromEntries(tokenizers.map(t => [t.id, t.tokenize(content)]));
+  const gptTokens = tokenStreams[BASELINE_TOKENIZER_ID];
+  const chunkTokenizer = tokenizers.find(t => t.id === chunkModelId) ?? tokenizers[0];
+  const chunkTokens = tokenStreams[chunkTokenizer.id];
+  const counts = tokenizers.map(t => tokenStreams[t.id].length);
+
+  const chunkOptions = { strategy, chunkSize, overlap, headerTemplate, title };
+  const chunks = chunkText(content, chunkTokens, { ...chunkOptions, tokenize: chunkTokenizer.tokenize });
+
+  const { entities, missingGlossary } = extractEntities(content, glossary, language.id);
+  const mentionPositions = getMentionPositions(entities);
+
+  const paragraphs = splitParagraphs(content);
+  const paragraphAnalysis = paragraphs.map((p, idx) => {
+    const pTokens = chunkTokenizer.tokenize(p.text);
+    const spannedChunks = findChunksInRange(chunks, p.start, p.end).map(c => chunks.indexOf(c));
+    // Split when no single chunk holds the whole (trimmed) paragraph
+    const textStart = p.start + (p.text.length - p.text.trimStart().length);
+    const textEnd = p.start + p.text.trimEnd().length;
+    const isSplit = !chunks.some(c => c.startChar <= textStart && c.endChar >= textEnd);
+    return {
+      index: idx,
+      text: p.text,
+      start: p.start,
+      tokenCount: pTokens.length,
+      exceedsChunk: pTokens.length > chunkSize,
+      chunksRequired: Math.ceil(pTokens.length / chunkSize),
+      spannedChunks,
+      isSplit,
+      quality: measureQuality(content, p.start, p.end, mentionPositions, language.id),
+    };
+  });
+
+  const semantics = analyzeChunkSemantics(chunks, measureDrift(content));
+  const chunkQuality = chunks.map(c => measureQuality(content, c.startChar, c.endChar, mentionPositions, language.id));
+
+  const entityAnalysis = positionEntities(entities, chunkTokens, chunks, curve);
+  const modelComparison = compareModelChunking(content, tokenizers, tokenStreams, entities, chunkOptions, curve);
+
+  // Entities that would sit in a low-attention zone without the overlap
+  const withoutOverlap = overlap > 0
+    ? positionEntities(entities, chunkTokens, chunkText(content, chunkTokens, { ...chunkOptions, overlap: 0, tokenize: chunkTokenizer.tokenize }), curve)
+    : entityAnalysis;
+  const references = analyzeChunkReferences(chunks, entityAnalysis);
+  const rescuedEntities = entityAnalysis.filter((e, idx) => withoutOverlap[idx].isLowAttention && !e.isLowAttention);
+  const qaPairs = analyzeQaPairs(content, chunkTokens, chunks, curve);
+  const edits = proposeEdits(content, {
+    chunks,
+    entities: entityAnalysis,
+    paragraphs: paragraphAnalysis,
+    chunkSize,
+    tokenize: chunkTokenizer.tokenize,
+    language: language.id,
+  });
+
+  // Tokens the contextual headers add to what gets embedded
+  const headerTokens = chunks.reduce((sum, c) => sum + c.headerTokenCount, 0);
+  const contentTokens = chunks.reduce((sum, c) => sum + c.tokenCount, 0);
+
+  // Word efficiency, rated against what the language can reach
+  const wordCount = countWords(content, language.id);
+  const wordsPerToken = wordCount / gptTokens.length;
+
+  return {
+    language: { id: language.id, label: language.label, auto: language.auto, optimalWordsPerToken: language.optimalWordsPerToken },
+    tokenCounts: tokenizers.map((t, idx) => ({
+      id: t.id,
+      label: t.label,
+      sub: t.sub,
+      count: counts[idx],
+      custom: Boolean(t.custom),
+    })),
+    chunkModel: chunkTokenizer.label,
+    variance: Math.round(((Math.max(...counts) - Math.min(...counts)) / gptTokens.length) * 100),
+    paragraphs: paragraphAnalysis,
+    chunks,
+    chunkHeaders: headerTokens > 0
+      ? { tokens: headerTokens, perChunk: headerTokens / chunks.length, share: headerTokens / contentTokens }
+      : null,
+    semantics,
+    chunkQuality,
+    entities: entityAnalysis,
+    missingGlossary,
+    rescuedEntities,
+    references,
+    qaPairs,
+    edits,
+    modelComparison,
+    wordCount,
+    wordsPerToken: wordsPerToken.toFixed(3),
+    efficiency: wordsPerToken >= scaleWordsPerToken(0.75, language)
+      ? 'optimal'
+      : wordsPerToken >= scaleWordsPerToken(0.65, language) ? 'acceptable' : 'verbose',
+  };
+};
@@ -0,0 +1,96 @@
+// Attention curves are piecewise-linear control points over the normalized
+// position in a chunk (x from 0 to 1, attention y from 0 to 1). Two points at
+// the same x make a step; the curve takes the right-hand value there.
+export const ATTENTION_PRESETS = [
+  {
+    // Primacy/recency bias research: 95% -> 87.5% over the first 15%, a
+    // 55-70% murky middle, and 70% -> 92.5% over the last 15%
+    id: 'u-shaped',
+    label: 'U-shaped (default)',
+    points: [
+      { x: 0, y: 0.95 }, { x: 0.15, y: 0.875 }, { x: 0.15, y: 0.655 }, { x: 0.5, y: 0.55 },
+      { x: 0.85, y: 0.655 }, { x: 0.85, y: 0.7 }, { x: 1, y: 0.925 },
+    ],
+  },
+  {
+    id: 'primacy-heavy',
+    label: 'Primacy-heavy',
+    points: [{ x: 0, y: 0.98 }, { x: 0.2, y: 0.85 }, { x: 0.5, y: 0.6 }, { x: 1, y: 0.55 }],
+  },
+  {
+    id: 'strong-recency',
+    label: 'Strong recency',
+    points: [{ x: 0, y: 0.75 }, { x: 0.5, y: 0.55 }, { x: 0.8, y: 0.75 }, { x: 1, y: 0.98 }],
+  },
+  {
+    id: 'deep-middle',
+    label: 'Lost in the middle',
+    points: [{ x: 0, y: 0.95 }, { x: 0.3, y: 0.5 }, { x: 0.5, y: 0.4 }, { x: 0.7, y: 0.5 }, { x: 1, y: 0.95 }],
+  },
+  {
+    id: 'flat',
+    label: 'Flat',
+    points: [{ x: 0, y: 0.8 }, { x: 1, y: 0.8 }],
+  },
+];
+
+export const DEFAULT_ATTENTION_CURVE = ATTENTION_PRESETS[0];
+
+// What the curve editor can produce: an id and label, and at least two points
+// inside the unit square, in x order, from x = 0 to x = 1
+export const isValidAttentionCurve = (curve) => {
+  if (!curve || typeof curve.id !== 'string' || typeof curve.label !== 'string' || !Array.isArray(curve.points)) return false;
+  const { points } = curve;
+  const inRange = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+  return points.length >= 2
+    && points.every((p, i) => inRange(p?.x) && inRange(p?.y) && (i === 0 || p.x >= points[i - 1].x))
+    && points[0].x === 0
+    && points[points.length - 1].x === 1;
+};
+
+export const evaluateCurve = (points, x) => {
+  const clamped = Math.max(0, Math.min(1, x));
+  let i = 0;
+  while (i < points.length - 2 && points[i + 1].x <= clamped) i++;
+  const [a, b] = [points[i], points[i + 1] ?? points[i]];
+  if (b.x === a.x) return b.y;
+  return a.y + ((clamped - a.x) / (b.x - a.x)) * (b.y - a.y);
+};
+
+// Calculate attention score based on position within chunk
+export const getAttentionScore = (positionInChunk, chunkSize, curve = DEFAULT_ATTENTION_CURVE) =>
+  evaluateCurve(curve.points, positionInChunk / chunkSize);
+
+// Zones are relative to the curve's own range: the top quarter is hot, the
+// bottom quarter is the murky middle. For the default curve that is 85% / 65%.
+// A curve with no real variation has no hot or cold zones at all.
+const thresholdCache = new WeakMap();
+
+export const getAttentionThresholds = (curve = DEFAULT_ATTENTION_CURVE) => {
+  if (thresholdCache.has(curve)) return thresholdCache.get(curve);
+  const ys = curve.points.map(p => p.y);
+  const [min, max] = [Math.min(...ys), Math.max(...ys)];
+  const thresholds = max - min < 0.05
+    ? { hot: Infinity, low: -Infinity, min, max }
+    : { hot: min + (max - min) * 0.75, low: min + (max - min) * 0.25, min, max };
+  thresholdCache.set(curve, thresholds);
+  return thresholds;
+};
+
+export const isLowAttention = (score, curve = DEFAULT_ATTENTION_CURVE) =>
+  score < getAttentionThresholds(curve).low;
+
+export const getAttentionZone = (score, curve = DEFAULT_ATTENTION_CURVE) => {
+  const { hot, low } = getAttentionThresholds(curve);
+  if (score >= hot) return 'hot';
+  if (score < low) return 'cold';
+  return 'warm';
+};
+
+// Heat-map palette shared by every attention visualization
+export const getAttentionColor = (score) => {
+  if (score >= 0.85) return '#4FD1C5'; // teal - hot
+  if (score >= 0.70) return '#38A89D'; // medium teal
+  if (score >= 0.60) return '#6B7280'; // gray - degraded
+  return '#FF4444'; // red - cold
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ATTENTION_PRESETS,
+  DEFAULT_ATTENTION_CURVE,
+  evaluateCurve,
+  getAttentionScore,
+  getAttentionThresholds,
+  getAttentionZone,
+  isValidAttentionCurve,
+} from './attention';
+
+const curve = (id, points) => ({ id, label: id, points });
+
+describe('evaluateCurve', () => {
+  it('interpolates between control points and clamps outside [0, 1]', () => {
+    const points = [{ x: 0, y: 1 }, { x: 0.5, y: 0.5 }, { x: 1, y: 1 }];
+    expect(evaluateCurve(points, 0.25)).toBeCloseTo(0.75);
+    expect(evaluateCurve(points, -1)).toBe(1);
+    expect(evaluateCurve(points, 2)).toBe(1);
+  });
+
+  it('takes the right-hand value at a step', () => {
+    const points = DEFAULT_ATTENTION_CURVE.points;
+    expect(evaluateCurve(points, 0.15)).toBe(0.655);
+    expect(evaluateCurve(points, 0.1499)).toBeCloseTo(0.875, 2);
+  });
+});
+
+describe('getAttentionScore', () => {
+  it('reads the curve at the position\'s share of the chunk', () => {
+    const primacy = ATTENTION_PRESETS.find(p => p.id === 'primacy-heavy');
+    expect(getAttentionScore(0, 100, primacy)).toBe(0.98);
+    expect(getAttentionScore(50, 100, primacy)).toBeCloseTo(0.6);
+    expect(getAttentionScore(50, 100)).toBe(0.55);
+  });
+});
+
+describe('attention zones', () => {
+  it('splits each curve\'s own range into quarters', () => {
+    expect(getAttentionThresholds(DEFAULT_ATTENTION_CURVE)).toMatchObject({ hot: 0.85, low: 0.65 });
+    const recency = ATTENTION_PRESETS.find(p => p.id === 'strong-recency');
+    expect(getAttentionZone(0.98, recency)).toBe('hot');
+    expect(getAttentionZone(0.6, recency)).toBe('cold');
+    expect(getAttentionZone(0.75, recency)).toBe('warm');
+  });
+
+  it('has no hot or cold zone on a flat curve', () => {
+    const flat = ATTENTION_PRESETS.find(p => p.id === 'flat');
+    expect([0, 0.8, 1].map(score => getAttentionZone(score, flat))).toEqual(['warm', 'warm', 'warm']);
+  });
+});
+
+describe('isValidAttentionCurve', () => {
+  it('accepts every preset', () => {
+    expect(ATTENTION_PRESETS.every(isValidAttentionCurve)).toBe(true);
+  });
+
+  it('rejects curves the editor could not draw', () => {
+    expect(isValidAttentionCurve(curve('short', [{ x: 0, y: 1 }]))).toBe(false);
+    expect(isValidAttentionCurve(curve('open', [{ x: 0, y: 1 }, { x: 0.9, y: 1 }]))).toBe(false);
+    expect(isValidAttentionCurve(curve('backwards', [{ x: 0, y: 1 }, { x: 0.6, y: 1 }, { x: 0.4, y: 1 }, { x: 1, y: 1 }]))).toBe(false);
+    expect(isValidAttentionCurve(curve('high', [{ x: 0, y: 1.2 }, { x: 1, y: 1 }]))).toBe(false);
+    expect(isValidAttentionCurve({ points: [{ x: 0, y: 1 }, { x: 1, y: 1 }] })).toBe(false);
+  });
+});
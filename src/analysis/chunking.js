@@ -0,0 +1,187 @@
+import { getAttentionScore, isLowAttention } from './attention';
+
+// Start offset of every token in the text (tokens concatenate back to it)
+export const getTokenOffsets = (tokens) => {
+  const offsets = new Array(tokens.length);
+  let charCount = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    offsets[i] = charCount;
+    charCount += tokens[i].length;
+  }
+  return offsets;
+};
+
+// Index of the token containing a character position
+export const tokenIndexAt = (offsets, position) => {
+  let lo = 0;
+  let hi = offsets.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (offsets[mid] <= position) lo = mid;
+    else hi = mid - 1;
+  }
+  return Math.max(lo, 0);
+};
+
+// Index of the first value at or after a position in a sorted list
+export const firstAtOrAfter = (sorted, position) => {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (sorted[mid] < position) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// Index of the first token starting at or after a character position
+export const tokenBoundaryAt = (offsets, position) => firstAtOrAfter(offsets, position);
+
+// Chunk covering tokens [start, end); the first overlapTokens repeat the
+// previous chunk. A contextual header (see strategies.js) is embedded in
+// front of the tokens, so positions in the chunk and embeddedTokenCount
+// include it.
+export const buildChunk = (tokens, offsets, start, end, overlapTokens = 0) => {
+  const chunkTokens = tokens.slice(start, end);
+  return {
+    tokens: chunkTokens,
+    text: chunkTokens.join(''),
+    startToken: start,
+    endToken: end - 1,
+    tokenCount: end - start,
+    startChar: offsets[start],
+    endChar: offsets[end - 1] + tokens[end - 1].length,
+    overlapTokens,
+    overlapText: chunkTokens.slice(0, overlapTokens).join(''),
+    header: '',
+    headerTokens: [],
+    headerTokenCount: 0,
+    embeddedTokenCount: end - start,
+  };
+};
+
+// Attention at a content token of a chunk (0 = its first token), which sits
+// after the chunk's header
+export const getChunkAttention = (chunk, tokenInChunk, curve) =>
+  getAttentionScore(chunk.headerTokenCount + tokenInChunk, chunk.embeddedTokenCount, curve);
+
+// Chunk content at specified token boundaries. With an overlap, windows
+// advance by chunkSize - overlap tokens, so each chunk repeats the tail of the
+// previous one.
+export const chunkContent = (text, tokens, chunkSize, overlap = 0) => {
+  const chunks = [];
+  const offsets = getTokenOffsets(tokens);
+  const stride = chunkSize - overlap;
+
+  for (let start = 0; start < tokens.length; start += stride) {
+    const end = Math.min(start + chunkSize, tokens.length);
+    chunks.push(buildChunk(tokens, offsets, start, end, start === 0 ? 0 : Math.min(overlap, end - start)));
+    if (end === tokens.length) break;
+  }
+
+  return chunks;
+};
+
+// Split into paragraphs, keeping each one's character range in the text
+export const splitParagraphs = (text) => {
+  const paragraphs = [];
+  let start = 0;
+  const push = (end) => {
+    const paragraph = text.slice(start, end);
+    if (paragraph.trim().length > 0) paragraphs.push({ text: paragraph, start, end });
+  };
+  for (const match of text.matchAll(/\n\n+/g)) {
+    push(match.index);
+    start = match.index + match[0].length;
+  }
+  push(text.length);
+  return paragraphs;
+};
+
+// End of a sentence: terminal punctuation (plus closing quotes/brackets) and
+// whitespace, a CJK full stop (no space follows it), or a blank line
+export const SENTENCE_BOUNDARY = /[.!?…]+["'”’)\]]*\s+|[。！？]+[」』”’）]*\s*|\n\s*\n/g;
+
+// Split into sentences, each range running up to the start of the next one
+export const splitSentences = (text) => {
+  const sentences = [];
+  let start = 0;
+  const push = (end) => {
+    const sentence = text.slice(start, end);
+    if (sentence.trim().length > 0) sentences.push({ text: sentence, start, end });
+  };
+  for (const match of text.matchAll(SENTENCE_BOUNDARY)) {
+    push(match.index + match[0].length);
+    start = match.index + match[0].length;
+  }
+  push(text.length);
+  return sentences;
+};
+
+// Chunks whose character range intersects [start, end)
+export const findChunksInRange = (chunks, start, end) =>
+  chunks.filter(c => c.startChar < end && c.endChar > start);
+
+// Place every mention of each entity on the token stream and score it on the
+// attention curve. With overlapping chunks a mention can appear in several of
+// them: every copy is listed. At the entity level, chunkIndex is the first
+// chunk it is mentioned in, and the attention fields describe its best-placed
+// copy of any mention.
+export const positionEntities = (entities, tokens, chunks, curve) => {
+  const offsets = getTokenOffsets(tokens);
+
+  // Chunks run in token order, so the ones holding a token start at the
+  // first chunk that ends at or after it
+  const firstChunkReaching = (tokenPosition) => {
+    let lo = 0;
+    let hi = chunks.length;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (chunks[mid].endToken < tokenPosition) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  const placeMention = (mention) => {
+    const tokenPosition = tokenIndexAt(offsets, mention.position);
+    const copies = [];
+    for (let k = firstChunkReaching(tokenPosition); k < chunks.length && chunks[k].startToken <= tokenPosition; k++) {
+      const tokenInChunk = tokenPosition - chunks[k].startToken;
+      copies.push({
+        chunkIndex: k,
+        positionInChunk: chunks[k].headerTokenCount + tokenInChunk,
+        attentionScore: getChunkAttention(chunks[k], tokenInChunk, curve),
+      });
+    }
+    return { ...mention, tokenPosition, copies };
+  };
+
+  return entities.map(entity => {
+    const mentions = entity.occurrences.map(placeMention);
+    const chunkIndices = new Set();
+    let best = null;
+    let bestMention = null;
+    mentions.forEach(mention => mention.copies.forEach(copy => {
+      chunkIndices.add(copy.chunkIndex);
+      if (!best || copy.attentionScore > best.attentionScore) {
+        best = copy;
+        bestMention = mention;
+      }
+    }));
+    const sortedChunkIndices = [...chunkIndices].sort((a, b) => a - b);
+
+    return {
+      ...entity,
+      mentions,
+      chunkIndices: sortedChunkIndices,
+      chunkIndex: sortedChunkIndices[0],
+      bestChunkIndex: best.chunkIndex,
+      tokenPosition: bestMention.tokenPosition,
+      positionInChunk: best.positionInChunk,
+      attentionScore: best.attentionScore,
+      isLowAttention: isLowAttention(best.attentionScore, curve),
+    };
+  });
+};
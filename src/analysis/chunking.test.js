@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { chunkContent, positionEntities, getChunkAttention } from './chunking';
+import { getAttentionScore } from './attention';
+
+const words = (text) => text.match(/\S+\s*/g) ?? [];
+const text = 'w0 w1 w2 w3 w4 w5 w6 w7 w8 w9';
+const tokens = words(text);
+
+describe('chunkContent', () => {
+  it('cuts back-to-back windows without an overlap', () => {
+    const chunks = chunkContent(text, tokens, 4);
+    expect(chunks.map(c => [c.startToken, c.endToken, c.overlapTokens])).toEqual([[0, 3, 0], [4, 7, 0], [8, 9, 0]]);
+    expect(chunks.map(c => c.text).join('')).toBe(text);
+  });
+
+  it('repeats the tail of the previous window when overlapping', () => {
+    const chunks = chunkContent(text, tokens, 4, 1);
+    expect(chunks.map(c => [c.startToken, c.endToken, c.overlapTokens])).toEqual([[0, 3, 0], [3, 6, 1], [6, 9, 1]]);
+    expect(chunks[1].overlapText).toBe('w3 ');
+    expect(chunks[1].startChar).toBe(text.indexOf('w3'));
+  });
+
+  it('stops at the window that reaches the end', () => {
+    const chunks = chunkContent(text, tokens, 4, 2);
+    expect(chunks.map(c => [c.startToken, c.endToken])).toEqual([[0, 3], [2, 5], [4, 7], [6, 9]]);
+  });
+});
+
+describe('positionEntities', () => {
+  it('lists every copy of a mention in overlapping chunks and keeps the best placed one', () => {
+    const chunks = chunkContent(text, tokens, 4, 1);
+    const position = text.indexOf('w3');
+    const [entity] = positionEntities([{ text: 'w3', occurrences: [{ position }] }], tokens, chunks);
+    expect(entity.mentions[0].copies.map(c => [c.chunkIndex, c.positionInChunk])).toEqual([[0, 3], [1, 0]]);
+    expect(entity.chunkIndices).toEqual([0, 1]);
+    expect(entity.chunkIndex).toBe(0);
+    // The chunk it opens gives it more attention than the one it closes
+    expect(entity.bestChunkIndex).toBe(1);
+    expect(entity.isLowAttention).toBe(false);
+  });
+
+  it('marks a mention in the middle of its only chunk as low attention', () => {
+    const chunks = chunkContent(text, tokens, 4);
+    const [entity] = positionEntities([{ text: 'w6', occurrences: [{ position: text.indexOf('w6') }] }], tokens, chunks);
+    expect(entity.chunkIndices).toEqual([1]);
+    expect(entity.positionInChunk).toBe(2);
+    expect(entity.isLowAttention).toBe(true);
+  });
+});
+
+describe('getChunkAttention', () => {
+  it('places content tokens after the chunk header', () => {
+    const [chunk] = chunkContent(text, tokens, 4);
+    expect(getChunkAttention(chunk, 1)).toBe(getAttentionScore(1, 4));
+    const withHeader = { ...chunk, headerTokenCount: 4, embeddedTokenCount: 8 };
+    expect(getChunkAttention(withHeader, 1)).toBe(getAttentionScore(5, 8));
+  });
+});
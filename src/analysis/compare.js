@@ -0,0 +1,117 @@
+// A/B comparison of two analyzed versions of the content: metric deltas,
+// hints resolved or introduced, entities moving between attention zones, and
+// a word diff laid out chunk by chunk.
+import { getAttentionZone } from './attention';
+import { diffWords } from './diff';
+
+const ZONE_RANK = { cold: 0, warm: 1, hot: 2 };
+
+const placement = (entity, curve) => ({
+  chunkIndex: entity.bestChunkIndex,
+  score: entity.attentionScore,
+  zone: getAttentionZone(entity.attentionScore, curve),
+});
+
+// Diff pieces for one side, cut to a chunk's own (non-overlap) character range
+const piecesInChunk = (ops, text, chunk, side) => {
+  const start = chunk.startChar + chunk.overlapText.length;
+  const end = chunk.endChar;
+  const skip = side === 'a' ? 'added' : 'removed';
+  return ops
+    .filter(op => op.type !== skip)
+    .map(op => {
+      const from = Math.max(start, side === 'a' ? op.aStart : op.bStart);
+      const to = Math.min(end, side === 'a' ? op.aEnd : op.bEnd);
+      return to > from ? { type: op.type, text: text.slice(from, to) } : null;
+    })
+    .filter(Boolean)
+    // Text kept on both sides can be split by a change on the other side only
+    .reduce((pieces, piece) => {
+      const last = pieces[pieces.length - 1];
+      if (last && last.type === piece.type) last.text += piece.text;
+      else pieces.push(piece);
+      return pieces;
+    }, []);
+};
+
+// Each side is { content, analysis, hints, score }
+export const compareVersions = (a, b, curve) => {
+  const count = (side, pick) => side.analysis.entities.filter(pick).length;
+  const metrics = [
+    { label: 'Citation readiness', a: a.score.total, b: b.score.total, digits: 0, lowerIsBetter: false },
+    ...a.analysis.tokenCounts.map((t, idx) => ({
+      label: `${t.label} tokens`,
+      a: t.count,
+      b: b.analysis.tokenCounts[idx].count,
+      digits: 0,
+      lowerIsBetter: true,
+    })),
+    { label: 'Variance %', a: a.analysis.variance, b: b.analysis.variance, digits: 0, lowerIsBetter: true },
+    { label: 'Words per token', a: Number(a.analysis.wordsPerToken), b: Number(b.analysis.wordsPerToken), digits: 3, lowerIsBetter: false },
+    { label: 'Chunks', a: a.analysis.chunks.length, b: b.analysis.chunks.length, digits: 0, lowerIsBetter: null },
+    {
+      label: 'Entities in chunk 1',
+      a: count(a, e => e.chunkIndex === 0),
+      b: count(b, e => e.chunkIndex === 0),
+      digits: 0,
+      lowerIsBetter: false,
+    },
+    {
+      label: 'Low-attention entities',
+      a: count(a, e => e.isLowAttention),
+      b: count(b, e => e.isLowAttention),
+      digits: 0,
+      lowerIsBetter: true,
+    },
+    { label: 'Hints', a: a.hints.length, b: b.hints.length, digits: 0, lowerIsBetter: true },
+    {
+      label: 'Critical hints',
+      a: a.hints.filter(h => h.type === 'critical').length,
+      b: b.hints.filter(h => h.type === 'critical').length,
+      digits: 0,
+      lowerIsBetter: true,
+    },
+  ];
+
+  const aHintIds = new Set(a.hints.map(h => h.id));
+  const bHintIds = new Set(b.hints.map(h => h.id));
+  const hints = {
+    resolved: a.hints.filter(h => !bHintIds.has(h.id)),
+    added: b.hints.filter(h => !aHintIds.has(h.id)),
+    remaining: b.hints.filter(h => aHintIds.has(h.id)),
+  };
+
+  // Entities matched by name; change is 'better' / 'worse' by zone, 'moved'
+  // when only the chunk changed
+  const aEntities = new Map(a.analysis.entities.map(e => [e.id, e]));
+  const bEntities = new Map(b.analysis.entities.map(e => [e.id, e]));
+  const entities = [...new Set([...aEntities.keys(), ...bEntities.keys()])].map(id => {
+    const before = aEntities.has(id) ? placement(aEntities.get(id), curve) : null;
+    const after = bEntities.has(id) ? placement(bEntities.get(id), curve) : null;
+    let change = 'same';
+    if (!before) change = 'added';
+    else if (!after) change = 'removed';
+    else if (ZONE_RANK[after.zone] > ZONE_RANK[before.zone]) change = 'better';
+    else if (ZONE_RANK[after.zone] < ZONE_RANK[before.zone]) change = 'worse';
+    else if (after.chunkIndex !== before.chunkIndex) change = 'moved';
+    return { id, text: (bEntities.get(id) ?? aEntities.get(id)).text, before, after, change };
+  });
+
+  const ops = diffWords(a.content, b.content);
+  const rowCount = Math.max(a.analysis.chunks.length, b.analysis.chunks.length);
+  const chunks = Array.from({ length: rowCount }, (_, k) => {
+    const aChunk = a.analysis.chunks[k];
+    const bChunk = b.analysis.chunks[k];
+    const aPieces = aChunk ? piecesInChunk(ops, a.content, aChunk, 'a') : [];
+    const bPieces = bChunk ? piecesInChunk(ops, b.content, bChunk, 'b') : [];
+    return {
+      index: k,
+      a: aChunk ? aPieces : null,
+      b: bChunk ? bPieces : null,
+      changed: !aChunk || !bChunk || [...aPieces, ...bPieces].some(p => p.type !== 'same'),
+      entities: entities.filter(e => e.change !== 'same' && e.after?.chunkIndex === k),
+    };
+  });
+
+  return { metrics, hints, entities, chunks };
+};
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { compareVersions } from './compare';
+import { diffWords } from './diff';
+
+describe('diffWords', () => {
+  it('aligns words and merges runs of the same change', () => {
+    const a = 'Acme stores vectors in one big index.';
+    const b = 'Acme stores embeddings in one sharded index.';
+    const ops = diffWords(a, b).map(op => [op.type, a.slice(op.aStart, op.aEnd), b.slice(op.bStart, op.bEnd)]);
+    expect(ops).toEqual([
+      ['same', 'Acme stores ', 'Acme stores '],
+      ['removed', 'vectors ', ''],
+      ['added', '', 'embeddings '],
+      ['same', 'in one ', 'in one '],
+      ['removed', 'big ', ''],
+      ['added', '', 'sharded '],
+      ['same', 'index.', 'index.'],
+    ]);
+  });
+
+  it('ignores changes to the whitespace after a word', () => {
+    expect(diffWords('one  two', 'one two').map(op => op.type)).toEqual(['same']);
+  });
+});
+
+// Just what compareVersions reads from an analysis
+const side = (content, { cuts = [], entities = [], hints = [], score = 50 }) => {
+  const bounds = [0, ...cuts, content.length];
+  return {
+    content,
+    score: { total: score },
+    hints,
+    analysis: {
+      tokenCounts: [{ label: 'GPT-4', count: content.split(' ').length }],
+      variance: 0,
+      wordsPerToken: '1',
+      chunks: bounds.slice(1).map((end, k) => ({ startChar: bounds[k], endChar: end, overlapText: '' })),
+      entities,
+    },
+  };
+};
+const entity = (id, chunkIndex, attentionScore) => ({ id, text: id, chunkIndex, bestChunkIndex: chunkIndex, attentionScore, isLowAttention: attentionScore < 0.65 });
+
+describe('compareVersions', () => {
+  const a = side('Intro text here. Acme is fast.', {
+    cuts: [17],
+    entities: [entity('acme', 1, 0.6), entity('beta', 0, 0.9)],
+    hints: [{ id: 'long', type: 'critical' }, { id: 'filler', type: 'warning' }],
+    score: 40,
+  });
+  const b = side('Acme is fast. Intro text here.', {
+    cuts: [14],
+    entities: [entity('acme', 0, 0.95), entity('gamma', 1, 0.7)],
+    hints: [{ id: 'filler', type: 'warning' }, { id: 'short', type: 'info' }],
+    score: 70,
+  });
+  const comparison = compareVersions(a, b);
+
+  it('reports each metric on both sides', () => {
+    const metric = (label) => comparison.metrics.find(m => m.label === label);
+    expect(metric('Citation readiness')).toMatchObject({ a: 40, b: 70, lowerIsBetter: false });
+    expect(metric('Critical hints')).toMatchObject({ a: 1, b: 0 });
+    expect(metric('Low-attention entities')).toMatchObject({ a: 1, b: 0 });
+  });
+
+  it('splits hints into resolved, added and remaining', () => {
+    expect(comparison.hints.resolved.map(h => h.id)).toEqual(['long']);
+    expect(comparison.hints.added.map(h => h.id)).toEqual(['short']);
+    expect(comparison.hints.remaining.map(h => h.id)).toEqual(['filler']);
+  });
+
+  it('grades entity moves by attention zone', () => {
+    expect(comparison.entities.map(e => [e.id, e.change])).toEqual([['acme', 'better'], ['beta', 'removed'], ['gamma', 'added']]);
+  });
+
+  it('lays the diff out chunk by chunk', () => {
+    expect(comparison.chunks.map(row => [row.a, row.b])).toEqual([
+      [[{ type: 'removed', text: 'Intro text here. ' }], [{ type: 'same', text: 'Acme is fast. ' }]],
+      [[{ type: 'same', text: 'Acme is fast.' }], [{ type: 'added', text: 'Intro text here.' }]],
+    ]);
+    expect(comparison.chunks[0].entities.map(e => e.id)).toEqual(['acme']);
+  });
+});
@@ -0,0 +1,86 @@
+// Prompt-level simulation: retrieved chunks are concatenated after a system
+// prompt, and the same U-shaped attention curve applies across the whole
+// context window, so a chunk's slot matters as much as its content.
+import { getAttentionScore } from './attention';
+
+// Editable defaults: context window in tokens and USD per million input tokens
+export const DEFAULT_MODEL_PRICING = {
+  gpt: { contextWindow: 128000, inputPerMillion: 2.5 },
+  claude: { contextWindow: 200000, inputPerMillion: 3 },
+  gemini: { contextWindow: 1048576, inputPerMillion: 1.25 },
+};
+
+// tokenizer.json models have no known pricing; they start free with a 32k window
+export const DEFAULT_CUSTOM_PRICING = { contextWindow: 32768, inputPerMillion: 0 };
+
+export const getModelPricing = (pricing, id) => pricing[id] ?? DEFAULT_MODEL_PRICING[id] ?? DEFAULT_CUSTOM_PRICING;
+
+// Retrieval order of our chunks: BM25 rank when a query is given, else document order
+export const getRetrievalOrder = (chunks, ranking) => {
+  const ranked = ranking ? ranking.results.map(r => r.chunkIndex) : [];
+  return ranked.length > 0 ? ranked : chunks.map((_, idx) => idx);
+};
+
+// Assemble one model's prompt: system prompt, topK retrieved slots (the first
+// competitorsAhead and any left over go to other sources, sized like our
+// average chunk), then the question. Slots past the context window are truncated.
+export const assembleContext = ({
+  tokenizer,
+  chunks,
+  order,
+  topK,
+  competitorsAhead,
+  systemPromptTokens,
+  question,
+  pricing,
+  curve,
+}) => {
+  const chunkTokens = chunks.map(chunk => tokenizer.tokenize(chunk.header + chunk.text).length);
+  const averageChunk = Math.round(chunkTokens.reduce((sum, n) => sum + n, 0) / Math.max(1, chunkTokens.length));
+  const ours = order.slice(0, Math.max(0, topK - competitorsAhead));
+
+  const parts = [{ kind: 'system', tokens: systemPromptTokens }];
+  for (let slot = 0; slot < topK; slot++) {
+    const chunkIndex = slot >= competitorsAhead ? ours[slot - competitorsAhead] : undefined;
+    parts.push(chunkIndex === undefined
+      ? { kind: 'other', slot, tokens: averageChunk }
+      : { kind: 'ours', slot, chunkIndex, tokens: chunkTokens[chunkIndex] });
+  }
+  if (question) parts.push({ kind: 'question', tokens: tokenizer.tokenize(question).length });
+
+  const totalTokens = parts.reduce((sum, p) => sum + p.tokens, 0);
+  const sentTokens = Math.min(totalTokens, pricing.contextWindow);
+  let start = 0;
+  const slots = parts.map(part => {
+    const placed = {
+      ...part,
+      start,
+      // Scored at the middle of the part; the prompt is the "chunk" here
+      attentionScore: getAttentionScore(start + part.tokens / 2, totalTokens, curve),
+      truncated: start + part.tokens > pricing.contextWindow,
+    };
+    start += part.tokens;
+    return placed;
+  });
+
+  return {
+    slots,
+    totalTokens,
+    overflowTokens: Math.max(0, totalTokens - pricing.contextWindow),
+    windowUsage: totalTokens / pricing.contextWindow,
+    cost: (sentTokens / 1000000) * pricing.inputPerMillion,
+  };
+};
+
+// The prompt every tokenizer's model would get, with its pricing. Every chunk
+// is re-tokenized per model, so this runs in the analysis worker.
+export const assembleContexts = (tokenizers, { chunks, order, settings, question, modelPricing, curve }) =>
+  tokenizers.map(t => {
+    const pricing = getModelPricing(modelPricing, t.id);
+    return {
+      id: t.id,
+      label: t.label,
+      pricing,
+      ...assembleContext({ tokenizer: t, chunks, order, ...settings, question, pricing, curve }),
+    };
+  });
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { assembleContext, assembleContexts, getRetrievalOrder, getModelPricing, DEFAULT_CUSTOM_PRICING } from './contextWindow';
+
+// One token per word
+const tokenizer = { id: 'words', label: 'Words', tokenize: (text) => text.match(/\S+\s*/g) ?? [] };
+const chunk = (text) => ({ header: '', text });
+const chunks = [chunk('a b c d'), chunk('e f'), chunk('g h i j k l')];
+
+const assemble = (options) => assembleContext({
+  tokenizer,
+  chunks,
+  order: [2, 0, 1],
+  topK: 3,
+  competitorsAhead: 0,
+  systemPromptTokens: 10,
+  question: 'what is x',
+  pricing: { contextWindow: 1000, inputPerMillion: 2 },
+  ...options,
+});
+
+describe('getRetrievalOrder', () => {
+  it('follows the BM25 ranking, else document order', () => {
+    expect(getRetrievalOrder(chunks, { results: [{ chunkIndex: 2 }, { chunkIndex: 0 }] })).toEqual([2, 0]);
+    expect(getRetrievalOrder(chunks, { results: [] })).toEqual([0, 1, 2]);
+    expect(getRetrievalOrder(chunks, null)).toEqual([0, 1, 2]);
+  });
+});
+
+describe('assembleContext', () => {
+  it('places the system prompt, retrieved chunks and question in order', () => {
+    const context = assemble();
+    expect(context.slots.map(s => [s.kind, s.chunkIndex, s.start, s.tokens])).toEqual([
+      ['system', undefined, 0, 10],
+      ['ours', 2, 10, 6],
+      ['ours', 0, 16, 4],
+      ['ours', 1, 20, 2],
+      ['question', undefined, 22, 3],
+    ]);
+    expect(context.totalTokens).toBe(25);
+    expect(context.cost).toBeCloseTo((25 / 1000000) * 2);
+  });
+
+  it('gives the first slots to competitors, sized like our average chunk', () => {
+    const context = assemble({ competitorsAhead: 2 });
+    expect(context.slots.slice(1, 4).map(s => [s.kind, s.chunkIndex, s.tokens])).toEqual([
+      ['other', undefined, 4],
+      ['other', undefined, 4],
+      ['ours', 2, 6],
+    ]);
+  });
+
+  it('truncates what falls past the context window and bills only what is sent', () => {
+    const context = assemble({ pricing: { contextWindow: 18, inputPerMillion: 1000000 } });
+    expect(context.slots.map(s => s.truncated)).toEqual([false, false, true, true, true]);
+    expect(context.overflowTokens).toBe(7);
+    expect(context.cost).toBe(18);
+  });
+});
+
+describe('assembleContexts', () => {
+  it('uses each model\'s pricing, with a default for custom tokenizers', () => {
+    const [context] = assembleContexts([tokenizer], {
+      chunks,
+      order: [0],
+      settings: { topK: 1, competitorsAhead: 0, systemPromptTokens: 0 },
+      question: '',
+      modelPricing: {},
+    });
+    expect(context.pricing).toBe(DEFAULT_CUSTOM_PRICING);
+    expect(context.totalTokens).toBe(4);
+    expect(getModelPricing({ gpt: { contextWindow: 8000, inputPerMillion: 1 } }, 'gpt').contextWindow).toBe(8000);
+  });
+});
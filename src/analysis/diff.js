@@ -0,0 +1,106 @@
+// Word-level diff between two texts (Myers' O(ND) algorithm). A word and the
+// whitespace after it form one unit, compared without that whitespace. Every
+// op carries its character range in both texts.
+
+// Past this many word edits the middle of the texts is reported as one
+// removal plus one addition instead of being aligned
+const MAX_EDIT_DISTANCE = 2000;
+
+const splitWords = (text) =>
+  Array.from(text.matchAll(/\S+\s*|\s+/g), m => ({ key: m[0].trimEnd(), start: m.index, end: m.index + m[0].length }));
+
+// Shortest edit script between a[lo..] and b[lo..] as [type, i, j] steps
+const myers = (a, b, aLo, aHi, bLo, bHi) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aLo + x].key === b[bLo + y].key) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, n, m, aLo, bLo);
+    }
+  }
+  return null;
+};
+
+const backtrack = (trace, n, m, aLo, bLo) => {
+  const steps = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      steps.push(['same', aLo + --x, bLo + --y]);
+    }
+    if (d > 0) {
+      if (x === prevX) steps.push(['added', null, bLo + --y]);
+      else steps.push(['removed', aLo + --x, null]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return steps.reverse();
+};
+
+// Ops { type: 'same' | 'removed' | 'added', aStart, aEnd, bStart, bEnd };
+// consecutive words of the same type are merged
+export const diffWords = (aText, bText) => {
+  const a = splitWords(aText);
+  const b = splitWords(bText);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix].key === b[prefix].key) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix].key === b[b.length - 1 - suffix].key
+  ) suffix++;
+
+  const aHi = a.length - suffix;
+  const bHi = b.length - suffix;
+  const middle = myers(a, b, prefix, aHi, prefix, bHi) ?? [
+    ...Array.from({ length: aHi - prefix }, (_, i) => ['removed', prefix + i, null]),
+    ...Array.from({ length: bHi - prefix }, (_, j) => ['added', null, prefix + j]),
+  ];
+  const steps = [
+    ...Array.from({ length: prefix }, (_, i) => ['same', i, i]),
+    ...middle,
+    ...Array.from({ length: suffix }, (_, i) => ['same', aHi + i, bHi + i]),
+  ];
+
+  const ops = [];
+  let aPos = 0;
+  let bPos = 0;
+  steps.forEach(([type, i, j]) => {
+    const aEnd = i === null ? aPos : a[i].end;
+    const bEnd = j === null ? bPos : b[j].end;
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.aEnd = aEnd;
+      last.bEnd = bEnd;
+    } else {
+      ops.push({ type, aStart: aPos, aEnd, bStart: bPos, bEnd });
+    }
+    aPos = aEnd;
+    bPos = bEnd;
+  });
+  return ops;
+};
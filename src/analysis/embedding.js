@@ -0,0 +1,71 @@
+// Offline text embedding via feature hashing. Word unigrams, word bigrams and
+// character trigrams are hashed into a fixed-size signed vector, so texts that
+// share vocabulary (or word stems) land close together. No model download.
+import { STOPWORDS } from './terms';
+
+const DIMENSIONS = 512;
+
+const FEATURE_WEIGHTS = {
+  unigram: 1,
+  bigram: 0.5,
+  trigram: 0.25,
+};
+
+// 32-bit FNV-1a
+const hash = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+const addFeature = (vector, feature, weight) => {
+  const h = hash(feature);
+  // The top bit picks the sign so collisions cancel out instead of piling up
+  vector[h % DIMENSIONS] += h & 0x80000000 ? -weight : weight;
+};
+
+export const embed = (text) => {
+  const vector = new Float32Array(DIMENSIONS);
+  const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(w => !STOPWORDS.has(w));
+
+  words.forEach((word, i) => {
+    addFeature(vector, `w:${word}`, FEATURE_WEIGHTS.unigram);
+    if (i > 0) addFeature(vector, `b:${words[i - 1]} ${word}`, FEATURE_WEIGHTS.bigram);
+    const padded = `^${word}$`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      addFeature(vector, `c:${padded.slice(j, j + 3)}`, FEATURE_WEIGHTS.trigram);
+    }
+  });
+
+  let norm = 0;
+  for (let i = 0; i < DIMENSIONS; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < DIMENSIONS; i++) vector[i] /= norm;
+  }
+  return vector;
+};
+
+// Vectors from embed() are unit length, so the dot product is the cosine
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+};
+
+export const centroid = (vectors) => {
+  const sum = new Float32Array(DIMENSIONS);
+  for (const vector of vectors) {
+    for (let i = 0; i < DIMENSIONS; i++) sum[i] += vector[i];
+  }
+  let norm = 0;
+  for (let i = 0; i < DIMENSIONS; i++) norm += sum[i] * sum[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < DIMENSIONS; i++) sum[i] /= norm;
+  }
+  return sum;
+};
@@ -0,0 +1,399 @@
+// Named-entity detection, merged into one entity per name. English goes
+// through compromise; other languages fall back to capitalization, and CJK
+// text (which has none) to the Latin-script names inside it. Detected and
+// glossary names are re-scanned over the whole text, so a brand only
+// recognised once still gets every mention.
+import nlp from 'compromise';
+import { DEFAULT_LANGUAGE_ID, getLanguage } from './language';
+import { splitSegments, createLruCache } from '../tokenizers/cache';
+
+export const ENTITY_TYPES = ['Person', 'Organization', 'Product', 'Place', 'Acronym'];
+
+// Earlier sources win when detections overlap
+const DETECTORS = [
+  ['Person', doc => doc.people()],
+  ['Organization', doc => doc.organizations()],
+  ['Place', doc => doc.places()],
+  ['Acronym', doc => doc.acronyms()],
+  // Proper nouns compromise can't classify are mostly brand and product names
+  ['Product', doc => doc.match('#ProperNoun+').not('#Date')],
+];
+
+// All-caps terms compromise doesn't tag as acronyms (RAG, LLM, GPT4, ÖBB).
+// Only cased letters end the term, so "RAGは" still counts.
+const ACRONYM = /(?<![\p{Lu}\p{Ll}\p{N}])\p{Lu}[\p{Lu}\p{N}]{1,5}(?![\p{Lu}\p{Ll}\p{N}])/gu;
+const ALL_CAPS = /^\p{Lu}[\p{Lu}\p{N}]+$/u;
+
+// Words with a capital after a lower-case letter are names wherever they
+// stand (OpenAI, LlamaIndex, iPhone), even opening a sentence
+const CAMEL_CASE = /(?<![\p{L}\p{M}\p{N}])\p{L}[\p{L}\p{N}]*\p{Ll}\p{Lu}[\p{L}\p{N}]*/gu;
+
+// Punctuation between words that ends a name ("Pinecone, Weaviate")
+const NAME_BREAK = /[,;:!?()[\]"“”]/;
+
+// "Acme Corporation" is also mentioned as plain "Acme"
+const CORPORATE_SUFFIX = /\s+(?:Corporation|Corp\.?|Inc\.?|Ltd\.?|LLC|GmbH|AG|SE|SA|SAS|SARL|SpA|BV|NV|Ltda|Company|Co\.|Group|Holdings|Technologies|Labs)$/;
+
+// Runs of capitalized words on one line
+const CAPITALIZED_WORD = "\\p{Lu}[\\p{L}\\p{M}\\p{N}'’-]*";
+const CAPITALIZED_RUN = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${CAPITALIZED_WORD}(?:[ \\t]+${CAPITALIZED_WORD})*`, 'gu');
+
+// Runs of Latin-script words inside CJK text
+const LATIN_RUN = /(?<![\p{Script=Latin}\p{N}])\p{Script=Latin}[\p{Script=Latin}\p{N}]*(?:[ \t]+\p{Script=Latin}[\p{Script=Latin}\p{N}]*)*/gu;
+
+// Text before a word that opens a sentence: nothing, terminal punctuation
+// (and any closing quotes, brackets or emphasis), a line break, then any
+// heading or list marker and opening quotes, brackets or emphasis
+const SENTENCE_START = /(?:^|[.!?…:;]["'”’»)\]*_]*\s+|\n)\s*(?:#{1,6}\s+|[-*+>]\s+|\d+[.)]\s+)?["'“‘«„(\[*_]*$/;
+
+// A letter or digit that continues a word. CJK text runs words together, so
+// its characters never count against a name's boundary.
+const WORD_CHAR = '(?:(?![\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}])[\\p{L}\\p{N}])';
+
+const stripPossessive = (name) => name.replace(/['’]s$/, '');
+const opensSentence = (text, position) => SENTENCE_START.test(text.slice(Math.max(0, position - 20), position));
+const normalize = (name) => stripPossessive(name).toLowerCase().replace(/\s+/g, ' ').trim();
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest single word looked at when extending a name backwards
+const MAX_WORD_LENGTH = 64;
+
+// claim(start, end) takes a character range unless part of it is already
+// taken; a mask over the text keeps this linear however many names there are
+const createClaims = (length) => {
+  const taken = new Uint8Array(length);
+  return (start, end) => {
+    for (let i = start; i < end; i++) {
+      if (taken[i]) return false;
+    }
+    taken.fill(1, start, end);
+    return true;
+  };
+};
+
+// One term per line, optionally "Term: Type"; glossary terms default to Product
+export const parseGlossary = (input) =>
+  input
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [, term, typeName] = line.match(/^(.*?)(?:\s*:\s*(\w+))?$/);
+      const type = ENTITY_TYPES.find(t => t.toLowerCase() === (typeName || '').toLowerCase());
+      return type ? { text: term.trim(), type } : { text: line, type: 'Product' };
+    })
+    .filter(entry => entry.text.length > 0);
+
+// compromise doesn't tag the capitalized noun opening a sentence, so "Acme
+// Cloud is ..." comes back as "Cloud"; that noun belongs to the name. Verbs,
+// prepositions and pronouns there ("Supports", "Unlike", "What") don't.
+const leadingNoun = (doc, term) => {
+  const [n, i] = term.index;
+  const sentence = doc.document[n];
+  const previous = sentence[i - 1];
+  if (!previous || !/^\p{Lu}/u.test(previous.text) || `${previous.post}${term.pre}`.trim() !== '') return null;
+  if (!previous.tags.has('Noun') || previous.tags.has('Pronoun') || previous.tags.has('Plural')) return null;
+  return sentence.slice(0, i - 1).every(t => !/[\p{L}\p{N}]/u.test(t.text)) ? previous : null;
+};
+
+// English names and types from compromise. Offsets are computed once for the
+// whole text and read off each match's terms.
+const tagWithCompromise = (text) => {
+  const doc = nlp(text);
+  doc.compute('offset');
+  doc.compute('index');
+  const spans = [];
+  DETECTORS.forEach(([type, select], priority) => {
+    select(doc).docs.forEach(match => {
+      // compromise runs names across commas; each part is a name of its own
+      const runs = [[]];
+      match.forEach(term => {
+        if (NAME_BREAK.test(term.pre)) runs.push([]);
+        runs[runs.length - 1].push(term);
+        if (NAME_BREAK.test(term.post)) runs.push([]);
+      });
+      runs.filter(terms => terms.length > 0).forEach(terms => {
+        const first = (type === 'Product' && leadingNoun(doc, terms[0])) || terms[0];
+        const last = terms[terms.length - 1];
+        const start = first.offset.start;
+        const end = last.offset.start + last.offset.length;
+        const name = stripPossessive(text.slice(start, end));
+        // An all-caps name compromise couldn't classify is an acronym, not a product
+        const resolved = type === 'Product' && ALL_CAPS.test(name) ? 'Acronym' : type;
+        spans.push({ type: resolved, priority, start, end, name });
+      });
+    });
+  });
+  return spans;
+};
+
+// compromise reads sentence by sentence, so its names are kept per
+// paragraph; paragraphs not seen before are tagged together in one pass, and
+// an edit re-tags only the paragraph it touches
+const MAX_TAGGED_PARAGRAPHS = 2000;
+const taggedParagraphs = createLruCache(MAX_TAGGED_PARAGRAPHS);
+
+const detectWithCompromise = (text) => {
+  const segments = splitSegments(text);
+  const tagged = new Map(segments.filter(segment => taggedParagraphs.has(segment)).map(segment => [segment, taggedParagraphs.get(segment)]));
+  const untagged = [...new Set(segments.filter(segment => !tagged.has(segment)))];
+  if (untagged.length > 0) {
+    const spans = tagWithCompromise(untagged.join(''));
+    let start = 0;
+    untagged.forEach(segment => {
+      const end = start + segment.length;
+      const inside = spans
+        .filter(span => span.start >= start && span.end <= end)
+        .map(span => ({ ...span, start: span.start - start, end: span.end - start }));
+      tagged.set(segment, taggedParagraphs.set(segment, inside));
+      start = end;
+    });
+  }
+
+  const spans = [];
+  let offset = 0;
+  segments.forEach(segment => {
+    tagged.get(segment).forEach(span => spans.push({ ...span, start: span.start + offset, end: span.end + offset }));
+    offset += segment.length;
+  });
+  return spans;
+};
+
+// A name found without a tagger: an organization by its corporate suffix,
+// otherwise a product like compromise's unclassified proper nouns
+const untaggedSpan = (start, name) => ({
+  type: ALL_CAPS.test(name) ? 'Acronym' : CORPORATE_SUFFIX.test(name) ? 'Organization' : 'Product',
+  priority: DETECTORS.length - 1,
+  start,
+  end: start + name.length,
+  name,
+});
+
+// Capitalized runs for languages compromise doesn't read. The word opening a
+// sentence is dropped when the text also writes it in lower case, or when it
+// stands alone and is never capitalized mid-sentence; capitalized function
+// words ("Die", "Le") never count. German capitalizes every noun, so
+// there a single word needs an inner capital ("TechCorp") or a corporate
+// suffix to be a name.
+const detectByCapitalization = (text, language) => {
+  const stopwords = new Set(language.stopwords);
+  const runs = [...text.matchAll(CAPITALIZED_RUN)].map(match => ({
+    opensSentence: opensSentence(text, match.index),
+    words: [...match[0].matchAll(/\S+/g)].map(w => ({ text: w[0], start: match.index + w.index })),
+  }));
+  const midSentence = new Set(runs.filter(r => !r.opensSentence).flatMap(r => r.words.map(w => w.text)));
+  const lowerCase = new Set(text.match(/(?<![\p{L}\p{M}\p{N}])\p{Ll}[\p{L}\p{M}]*/gu));
+
+  const spans = [];
+  runs.forEach(({ opensSentence, words }) => {
+    const first = words[0].text;
+    const dropFirst = opensSentence && !midSentence.has(first) && (words.length === 1 || lowerCase.has(first.toLowerCase()));
+    const kept = words.slice(dropFirst ? 1 : 0);
+    while (kept.length > 0 && stopwords.has(kept[0].text.toLowerCase())) kept.shift();
+    if (kept.length === 0) return;
+    const start = kept[0].start;
+    const last = kept[kept.length - 1];
+    const name = stripPossessive(text.slice(start, last.start + last.text.length));
+    if (language.capitalization === 'nouns' && kept.length === 1 && !/\p{Ll}\p{Lu}/u.test(name) && !ALL_CAPS.test(name)) return;
+    spans.push(untaggedSpan(start, name));
+  });
+  return spans;
+};
+
+// CJK has no capitals; brand and product names are usually written in Latin
+// script inside it ("Acme Cloudは")
+const detectLatinNames = (text) =>
+  [...text.matchAll(LATIN_RUN)]
+    .filter(match => /\p{Lu}/u.test(match[0]))
+    .map(match => untaggedSpan(match.index, match[0]));
+
+// A name opening a sentence or heading loses leading words that are only
+// capitalized for being there ("What", "The", "Our"). Returns false when
+// nothing is left.
+const trimSentenceOpeners = (span, text, openers) => {
+  if (!opensSentence(text, span.start)) return true;
+  let word;
+  while ((word = span.name.match(/^(\S+)\s+/)) && openers.has(word[1].toLowerCase())) {
+    span.start += word[0].length;
+    span.name = span.name.slice(word[0].length);
+  }
+  return !openers.has(span.name.toLowerCase());
+};
+
+// How each paragraph writes its words: the capitalized ones it uses
+// mid-sentence and the ones it writes in lower case. Kept per paragraph, so
+// an edit only re-reads the paragraph it touches.
+const MAX_CASED_PARAGRAPHS = 2000;
+const casedParagraphs = createLruCache(MAX_CASED_PARAGRAPHS);
+
+const readCasing = (segment) => casedParagraphs.get(segment) ?? casedParagraphs.set(segment, {
+  midSentence: new Set([...segment.matchAll(CAPITALIZED_RUN)]
+    .filter(match => !opensSentence(segment, match.index))
+    .flatMap(match => match[0].split(/[ \t]+/))),
+  lowerCase: new Set(segment.match(/(?<![\p{L}\p{M}\p{N}])\p{Ll}[\p{L}\p{M}]*/gu)),
+});
+
+// Whether any paragraph of the text writes a word mid-sentence or in lower
+// case, answered once per word
+const createCasing = (text) => {
+  const paragraphs = splitSegments(text).map(readCasing);
+  const lookup = (field) => {
+    const answers = new Map();
+    return (word) => {
+      if (!answers.has(word)) answers.set(word, paragraphs.some(p => p[field].has(word)));
+      return answers.get(word);
+    };
+  };
+  return { midSentence: lookup('midSentence'), lowerCase: lookup('lowerCase') };
+};
+
+// Heading marker and any opening emphasis, from the start of the line
+const HEADING_START = /(?:^|\n)[ \t]*#{1,6}[ \t]+["'“‘«„(\[*_]*$/;
+
+// Title case opening a sentence or heading is style, not a name ("## Pricing",
+// "**Note:** Backups", "# Getting Started"). As in detectByCapitalization, a
+// product name there loses its first word unless the text also capitalizes
+// that word mid-sentence; in running text only when it is the only word or
+// is also written in lower case, in a heading whatever follows. Returns
+// false when nothing is left.
+const trimTitleCase = (span, text, casing) => {
+  if (span.type !== 'Product' || !opensSentence(text, span.start)) return true;
+  const inHeading = HEADING_START.test(text.slice(Math.max(0, span.start - 20), span.start));
+  let word;
+  while ((word = span.name.match(/^(\S+)(\s*)/))) {
+    const first = word[1];
+    if (ALL_CAPS.test(first) || /\p{Ll}\p{Lu}/u.test(first) || casing.midSentence(first)) return true;
+    if (!word[2]) return false;
+    if (!inHeading && !casing.lowerCase(first.toLowerCase())) return true;
+    span.start += word[0].length;
+    span.name = span.name.slice(word[0].length);
+    if (!inHeading) return true;
+  }
+  return true;
+};
+
+// Names and types in the text's language, with overlapping detections resolved
+const detectNames = (text, language) => {
+  const spans = language.id === DEFAULT_LANGUAGE_ID
+    ? detectWithCompromise(text)
+    : language.capitalization === 'none' ? detectLatinNames(text) : detectByCapitalization(text, language);
+  for (const match of text.matchAll(ACRONYM)) {
+    spans.push({ type: 'Acronym', priority: DETECTORS.length, start: match.index, end: match.index + match[0].length, name: match[0] });
+  }
+  for (const match of text.matchAll(CAMEL_CASE)) {
+    spans.push({ ...untaggedSpan(match.index, match[0]), priority: DETECTORS.length });
+  }
+
+  const openers = new Set([...language.stopwords, ...language.sentenceOpeners]);
+  const casing = createCasing(text);
+  const named = spans.filter(span => trimSentenceOpeners(span, text, openers) && trimTitleCase(span, text, casing));
+
+  // Pull a capitalized word the text names elsewhere back into single-word
+  // product names ("Acme" before "Cloud")
+  const namedWords = new Set(named.flatMap(span => span.name.split(/\s+/)).filter(w => !/^[\p{Lu}\p{N}]+$/u.test(w)));
+  named.forEach(span => {
+    if (span.type !== 'Product' || /\s/.test(span.name)) return;
+    let before;
+    while ((before = text.slice(Math.max(0, span.start - MAX_WORD_LENGTH), span.start).match(/(\p{Lu}[\p{L}\p{N}]*) $/u)) && namedWords.has(before[1])) {
+      span.start -= before[0].length;
+      span.name = text.slice(span.start, span.end);
+    }
+  });
+
+  // Longer names win ("Google Cloud" over "Google"), then the more specific detector
+  const claim = createClaims(text.length);
+  return named
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.priority - b.priority)
+    .filter(span => span.name.length >= 2 && claim(span.start, span.end));
+};
+
+// Mentions of a name are found paragraph by paragraph (no name runs across
+// a blank line) and kept per paragraph, so an edit only re-scans the
+// paragraph it touches
+const MAX_SCANNED_PARAGRAPHS = 2000;
+const scannedParagraphs = createLruCache(MAX_SCANNED_PARAGRAPHS);
+
+// forms are [{ entity, form, ignoreCase }]; returns every match as
+// { entity, position, end, text }
+const findMentions = (segments, forms) => {
+  const keys = forms.map(({ form, ignoreCase }) => `${ignoreCase ? 'i' : ''}:${form}`);
+  const patterns = forms.map(({ form, ignoreCase }) => new RegExp(`(?<!${WORD_CHAR})${escapeRegExp(form)}(?!${WORD_CHAR})`, ignoreCase ? 'giu' : 'gu'));
+  const mentions = [];
+  let offset = 0;
+  segments.forEach(segment => {
+    const byForm = scannedParagraphs.get(segment) ?? scannedParagraphs.set(segment, new Map());
+    keys.forEach((key, i) => {
+      if (!byForm.has(key)) byForm.set(key, [...segment.matchAll(patterns[i])].map(match => ({ position: match.index, text: match[0] })));
+      byForm.get(key).forEach(m => mentions.push({ entity: forms[i].entity, position: m.position + offset, end: m.position + offset + m.text.length, text: m.text }));
+    });
+    offset += segment.length;
+  });
+  return mentions;
+};
+
+// Extract unique entities. Each one lists every occurrence; the position of
+// the first occurrence stands for the entity. Glossary terms that never occur
+// are returned separately.
+export const extractEntities = (text, glossary = [], languageId = DEFAULT_LANGUAGE_ID) => {
+  const byKey = new Map();
+  const add = (name, type, source) => {
+    const key = normalize(name);
+    if (!key) return;
+    const existing = byKey.get(key);
+    if (existing) {
+      if (source === 'glossary') Object.assign(existing, { type, source });
+      return;
+    }
+    byKey.set(key, { key, text: stripPossessive(name).trim(), type, source, forms: new Set([stripPossessive(name).trim()]) });
+  };
+
+  detectNames(text, getLanguage(languageId)).forEach(span => add(span.name, span.type, 'detected'));
+  glossary.forEach(entry => add(entry.text, entry.type, 'glossary'));
+
+  // "Smith" is the same entity as "Jane Smith", "Acme" the same as "Acme Corporation"
+  [...byKey.values()].forEach(entity => {
+    if (entity.source === 'glossary' || !byKey.has(entity.key)) return;
+    let alias = null;
+    if (entity.type === 'Person' && /\s/.test(entity.text)) alias = entity.text.split(/\s+/).pop();
+    if (entity.type === 'Organization' && CORPORATE_SUFFIX.test(entity.text)) alias = entity.text.replace(CORPORATE_SUFFIX, '');
+    if (!alias) return;
+    const single = byKey.get(normalize(alias));
+    if (single?.source === 'glossary') return;
+    entity.forms.add(single ? single.text : alias);
+    if (single && single !== entity) byKey.delete(single.key);
+  });
+
+  // Claim every mention, longest names first so "Acme Corporation" isn't
+  // also counted as "Acme"
+  const forms = [...byKey.values()].flatMap(entity => [...entity.forms].map(form => ({ entity, form, ignoreCase: entity.source === 'glossary' })));
+  const candidates = findMentions(splitSegments(text), forms);
+  const claim = createClaims(text.length);
+  const claimed = candidates
+    .sort((a, b) => (b.end - b.position) - (a.end - a.position) || a.position - b.position)
+    .filter(c => claim(c.position, c.end));
+
+  const occurrences = new Map();
+  claimed.forEach(c => {
+    if (!occurrences.has(c.entity)) occurrences.set(c.entity, []);
+    occurrences.get(c.entity).push({ position: c.position, text: c.text });
+  });
+
+  const found = [...byKey.values()]
+    .filter(entity => occurrences.has(entity))
+    .map(entity => {
+      const mentions = occurrences.get(entity).sort((a, b) => a.position - b.position);
+      return {
+        id: entity.key,
+        text: entity.text,
+        type: entity.type,
+        source: entity.source,
+        aliases: [...entity.forms].filter(f => f !== entity.text),
+        position: mentions[0].position,
+        occurrences: mentions,
+      };
+    })
+    .sort((a, b) => a.position - b.position);
+
+  const missingGlossary = glossary.filter(entry => !found.some(e => e.id === normalize(entry.text)));
+  return { entities: found, missingGlossary };
+};
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { extractEntities, parseGlossary } from './entities';
+
+const names = (text, languageId) => extractEntities(text, [], languageId).entities.map(e => e.text);
+
+const BRANDS = `## What is Acme Cloud?
+
+Acme Cloud is a hosted vector database for retrieval-augmented generation. Unlike Pinecone, Weaviate and Milvus, it stores OpenAI embeddings next to the source documents. Teams at Northwind Traders moved from Elasticsearch to Acme Cloud in 2024, and Jane Smith said the Slack and Notion integrations decided it.
+
+## Why choose Acme Cloud?
+
+OpenAI recommends storing chunks with their headings. LlamaIndex and LangChain both support this.`;
+
+describe('extractEntities', () => {
+  it('finds every brand and product in a brand-heavy paragraph', () => {
+    const found = names(BRANDS);
+    ['Acme Cloud', 'Pinecone', 'Weaviate', 'Milvus', 'OpenAI', 'Northwind Traders', 'Elasticsearch', 'Slack', 'Notion', 'LlamaIndex', 'LangChain']
+      .forEach(name => expect(found).toContain(name));
+    expect(found).toContain('Jane Smith');
+  });
+
+  it('keeps a sentence-initial word that belongs to the name', () => {
+    const { entities } = extractEntities('Acme Cloud is a hosted vector database. Teams pick it for speed.');
+    expect(entities.map(e => e.text)).toEqual(['Acme Cloud']);
+  });
+
+  it('counts every mention of a name first seen at a sentence start', () => {
+    const acme = extractEntities(BRANDS).entities.find(e => e.text === 'Acme Cloud');
+    expect(acme.occurrences).toHaveLength(4);
+  });
+
+  it('does not report question words or sentence openers as names', () => {
+    const found = names(BRANDS);
+    ['What', 'Why', 'Unlike', 'Cloud', 'Teams'].forEach(word => expect(found).not.toContain(word));
+  });
+
+  it('splits names listed with commas', () => {
+    expect(names('It competes with Pinecone, Weaviate and OpenAI.')).toEqual(['Pinecone', 'Weaviate', 'OpenAI']);
+  });
+
+  it('drops question words opening a heading in other languages', () => {
+    const found = names('## Pourquoi choisir Acme Cloud ?\n\nAcme Cloud est une base de données vectorielle.', 'fr');
+    expect(found).toEqual(['Acme Cloud']);
+  });
+});
+
+describe('extractEntities on Markdown with headings', () => {
+  const GUIDE = `# Getting Started
+
+Acme Cloud is a hosted vector database. It imports indexes from Pinecone.
+
+## Installation
+
+Run the installer once per cluster.
+
+## Features
+
+**Note:** Backups run nightly. Teams at Northwind Traders get Slack alerts.
+
+## Pinecone
+
+Pricing starts at $20 a month, with OpenAI embeddings included.
+
+## Pricing
+
+Plans are billed monthly.`;
+
+  it('does not report title-cased headings and lead-ins as names', () => {
+    const found = names(GUIDE);
+    ['Getting Started', 'Getting', 'Started', 'Installation', 'Features', 'Note', 'Backups', 'Pricing']
+      .forEach(word => expect(found).not.toContain(word));
+  });
+
+  it('keeps names the text also writes mid-sentence', () => {
+    const found = names(GUIDE);
+    ['Acme Cloud', 'Pinecone', 'Northwind Traders', 'Slack', 'OpenAI'].forEach(name => expect(found).toContain(name));
+    const pinecone = extractEntities(GUIDE).entities.find(e => e.text === 'Pinecone');
+    expect(pinecone.occurrences).toHaveLength(2);
+  });
+});
+
+describe('extractEntities types, aliases and glossary', () => {
+  const text = 'Jane Smith founded Acme Corporation in Berlin. Smith says Acme ships its RAG toolkit monthly.';
+
+  it('types names and merges short forms into the full name', () => {
+    const { entities } = extractEntities(text);
+    const byName = Object.fromEntries(entities.map(e => [e.text, e]));
+    expect(byName['Jane Smith']).toMatchObject({ type: 'Person', aliases: ['Smith'] });
+    expect(byName['Jane Smith'].occurrences.map(o => o.text)).toEqual(['Jane Smith', 'Smith']);
+    expect(byName['Acme Corporation']).toMatchObject({ type: 'Organization', aliases: ['Acme'] });
+    expect(byName.Berlin.type).toBe('Place');
+    expect(byName.RAG.type).toBe('Acronym');
+    expect(entities.map(e => e.text)).not.toContain('Smith');
+  });
+
+  it('uses glossary terms and types, matched in any case', () => {
+    const glossary = parseGlossary('toolkit: Product\nNorthwind: Organization\nBerlin: place');
+    expect(glossary).toEqual([
+      { text: 'toolkit', type: 'Product' },
+      { text: 'Northwind', type: 'Organization' },
+      { text: 'Berlin', type: 'Place' },
+    ]);
+    const { entities, missingGlossary } = extractEntities(text, glossary);
+    expect(entities.find(e => e.text === 'toolkit')).toMatchObject({ type: 'Product', source: 'glossary' });
+    expect(missingGlossary).toEqual([{ text: 'Northwind', type: 'Organization' }]);
+  });
+
+  it('reads a glossary line without a known type as a product', () => {
+    expect(parseGlossary('Vector DB: Thing\n\n  ')).toEqual([{ text: 'Vector DB: Thing', type: 'Product' }]);
+  });
+});
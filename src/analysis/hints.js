@@ -0,0 +1,391 @@
+// Optimization hints as data-driven rules. A rule has an id, a severity, named
+// thresholds and a check that returns zero or more findings, each with the
+// character range of the content it concerns. Users can switch rules off,
+// change their severity and thresholds, and add metric or pattern rules.
+import { DEFAULT_LANGUAGE_ID, scaleWordsPerToken } from './language';
+
+export const HINT_SEVERITIES = ['critical', 'warning', 'optimize', 'info'];
+
+const list = (items, pick) => items.slice(0, 3).map(pick).join(', ');
+
+// Locations are character ranges in the content plus a short label
+const chunkLocation = (analysis, k) => {
+  const chunk = analysis.chunks[k];
+  return { start: chunk.startChar + chunk.overlapText.length, end: chunk.endChar, label: `chunk ${k + 1}` };
+};
+const paragraphLocation = (p) => ({ start: p.start, end: p.start + p.text.trimEnd().length, label: `paragraph ${p.index + 1}` });
+const mentionLocation = (entity) => {
+  const first = entity.occurrences[0];
+  return { start: first.position, end: first.position + first.text.length, label: `"${first.text}"` };
+};
+
+export const HINT_RULES = [
+  {
+    id: 'missing-glossary',
+    label: 'Glossary terms never mentioned',
+    severity: 'critical',
+    thresholds: {},
+    check: ({ analysis }) => analysis.missingGlossary.length === 0 ? [] : [{
+      message: `${analysis.missingGlossary.length} glossary term(s) never appear: ${list(analysis.missingGlossary, g => g.text)}`,
+    }],
+  },
+  {
+    id: 'buried-entities',
+    label: 'Entities first mentioned after chunk 1',
+    severity: 'warning',
+    thresholds: { maxLaterShare: { label: 'Max share first mentioned later', value: 0.5, step: 0.05 } },
+    check: ({ analysis }, t) => {
+      const later = analysis.entities.filter(e => e.chunkIndex > 0);
+      if (analysis.entities.length === 0 || later.length / analysis.entities.length <= t.maxLaterShare) return [];
+      return [{
+        message: `${later.length} entities are first mentioned after chunk 1: ${list(later, e => e.text)}. Front-load key terms for higher citation probability.`,
+        location: mentionLocation(later[0]),
+      }];
+    },
+  },
+  {
+    id: 'low-attention-entities',
+    label: 'Entities only in low-attention zones',
+    severity: 'critical',
+    thresholds: {},
+    check: ({ analysis }) => {
+      const low = analysis.entities.filter(e => e.isLowAttention);
+      return low.length === 0 ? [] : [{
+        message: `${low.length} entities are only mentioned in low-attention zones (middle of chunks). Consider repositioning: ${list(low, e => e.text)}`,
+        location: mentionLocation(low[0]),
+      }];
+    },
+  },
+  {
+    id: 'dependent-chunks',
+    label: 'Chunks that depend on earlier chunks',
+    severity: 'warning',
+    thresholds: { maxListed: { label: 'Chunks listed one by one', value: 3, step: 1, count: true } },
+    check: ({ analysis }, t) => {
+      const dependent = analysis.references.filter(r => r.references.length > 0);
+      const findings = dependent.slice(0, t.maxListed).map(r => {
+        const resolved = r.references.find(ref => ref.resolved);
+        const via = [...new Set(r.references.map(ref => `'${ref.text}'`))].slice(0, 2).join(', ');
+        return {
+          key: r.chunkIndex,
+          message: resolved
+            ? `Chunk ${r.chunkIndex + 1} refers to '${resolved.resolved.text}' only via ${via}. Name it in the chunk so it stands alone when retrieved.`
+            : `Chunk ${r.chunkIndex + 1} opens with ${via} but nothing earlier names what it refers to.`,
+          location: { start: r.references[0].position, end: r.references[0].position + r.references[0].text.length, label: `chunk ${r.chunkIndex + 1}` },
+        };
+      });
+      const firstUnlisted = dependent[t.maxListed];
+      if (firstUnlisted) {
+        findings.push({
+          key: 'more',
+          message: `${dependent.length - t.maxListed} more chunks depend on references to earlier chunks. See self-containment in the Chunks tab.`,
+          location: chunkLocation(analysis, firstUnlisted.chunkIndex),
+        });
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'mixed-topics',
+    label: 'Chunks mixing two topics',
+    severity: 'optimize',
+    thresholds: {},
+    check: ({ analysis }) => {
+      const mixed = analysis.semantics.chunks.map((c, idx) => ({ ...c, idx })).filter(c => c.mixesTopics);
+      return mixed.length === 0 ? [] : [{
+        message: `Chunk${mixed.length > 1 ? 's' : ''} ${mixed.map(c => c.idx + 1).join(', ')} mix two topics (similarity drops to ${(Math.min(...mixed.map(c => c.driftSimilarity)) * 100).toFixed(0)}% mid-chunk). Split at the drift or try semantic chunking.`,
+        location: chunkLocation(analysis, mixed[0].idx),
+      }];
+    },
+  },
+  {
+    id: 'weak-chunk-openings',
+    label: 'Chunks without a definition or fact near the start',
+    severity: 'optimize',
+    thresholds: { leadShare: { label: 'Near the start: first share of the chunk', value: 0.3, step: 0.05 } },
+    check: ({ analysis }, t) => {
+      const near = (share) => share !== null && share <= t.leadShare;
+      const weak = analysis.chunkQuality
+        .map((q, idx) => ({ ...q, idx }))
+        .filter(q => !near(q.firstDefinition) && !near(q.firstFact));
+      return weak.length === 0 ? [] : [{
+        message: `Chunk${weak.length > 1 ? 's' : ''} ${list(weak, q => q.idx + 1)}${weak.length > 3 ? ` and ${weak.length - 3} more` : ''} open without a definitional sentence ("X is a ...") or a fact (number, date, name) in the first ${(t.leadShare * 100).toFixed(0)}%. Lead with what the chunk is about.`,
+        location: chunkLocation(analysis, weak[0].idx),
+      }];
+    },
+  },
+  {
+    id: 'qa-extractability',
+    label: 'Q&A answers split or in the murky middle',
+    severity: 'warning',
+    thresholds: {},
+    check: ({ analysis }) => ['split', 'murky'].flatMap(status => {
+      const pairs = analysis.qaPairs.filter(p => p.status === status);
+      if (pairs.length === 0) return [];
+      const { question } = pairs[0];
+      return [{
+        key: status,
+        message: status === 'split'
+          ? `${pairs.length} question(s) land in a different chunk than their answer: "${question.text}". Keep the question and its first answer sentence together.`
+          : `${pairs.length} answer(s) start in the murky middle of their chunk: "${question.text}". Answer right after the question, near a chunk start.`,
+        location: { start: question.start, end: question.end, label: 'question' },
+      }];
+    }),
+  },
+  {
+    id: 'overlap-rescue',
+    label: 'Entities rescued by chunk overlap',
+    severity: 'info',
+    thresholds: {},
+    check: ({ analysis, overlap }) => analysis.rescuedEntities.length === 0 ? [] : [{
+      message: `${analysis.rescuedEntities.length} entities are rescued from low-attention zones by the ${overlap}-token overlap: ${list(analysis.rescuedEntities, e => e.text)}. Don't rely on it if your pipeline doesn't overlap.`,
+      location: mentionLocation(analysis.rescuedEntities[0]),
+    }],
+  },
+  {
+    id: 'long-paragraphs',
+    label: 'Paragraphs longer than a chunk',
+    severity: 'warning',
+    thresholds: {},
+    check: ({ analysis, chunkSize }) => {
+      const long = analysis.paragraphs.filter(p => p.exceedsChunk);
+      return long.length === 0 ? [] : [{
+        message: `${long.length} paragraph(s) exceed ${chunkSize} tokens and will split across multiple chunks.`,
+        location: paragraphLocation(long[0]),
+      }];
+    },
+  },
+  {
+    id: 'cut-paragraphs',
+    label: 'Paragraphs cut by a chunk boundary',
+    severity: 'warning',
+    thresholds: {},
+    check: ({ analysis, strategy }) => {
+      const cut = analysis.paragraphs.filter(p => p.isSplit && !p.exceedsChunk);
+      return cut.length === 0 ? [] : [{
+        message: `${cut.length} paragraph(s) fit in one chunk but are cut by a chunk boundary.${strategy === 'fixed' ? ' A sentence, recursive or Markdown strategy keeps them whole.' : ''}`,
+        location: paragraphLocation(cut[0]),
+      }];
+    },
+  },
+  {
+    id: 'verbose',
+    label: 'Low token efficiency',
+    severity: 'optimize',
+    // Thresholds are for English and scale to the content's language
+    thresholds: {
+      minWordsPerToken: { label: 'Flag below words/token (English)', value: 0.65, step: 0.01 },
+      optimalWordsPerToken: { label: 'Optimal words/token (English)', value: 0.75, step: 0.01 },
+    },
+    check: ({ analysis }, t) => {
+      const { language } = analysis;
+      if (Number(analysis.wordsPerToken) >= scaleWordsPerToken(t.minWordsPerToken, language)) return [];
+      const optimal = scaleWordsPerToken(t.optimalWordsPerToken, language).toFixed(2);
+      const forLanguage = language.id === DEFAULT_LANGUAGE_ID ? '' : ` for ${language.label}`;
+      return [{
+        message: `Token efficiency ${analysis.wordsPerToken} words/token is below optimal${forLanguage} (${optimal}+). Reduce filler words.`,
+      }];
+    },
+  },
+  {
+    id: 'many-chunks',
+    label: 'Content spans many chunks',
+    severity: 'info',
+    thresholds: { maxChunks: { label: 'Flag above chunks', value: 5, step: 1, count: true } },
+    check: ({ analysis }, t) => analysis.chunks.length <= t.maxChunks ? [] : [{
+      message: `Content spans ${analysis.chunks.length} chunks. Position 1 and ${analysis.chunks.length} have highest attention.`,
+    }],
+  },
+  {
+    id: 'zone-conflicts',
+    label: 'Attention zone depends on the model',
+    severity: 'warning',
+    thresholds: {},
+    check: ({ analysis }) => {
+      const { zoneConflicts } = analysis.modelComparison;
+      if (zoneConflicts.length === 0) return [];
+      const first = zoneConflicts[0];
+      return [{
+        message: `${zoneConflicts.length} entities are in a hot zone for one model but a cold zone for another: ${list(zoneConflicts, e => e.text)}`,
+        location: { start: first.position, end: first.position + first.text.length, label: `"${first.text}"` },
+      }];
+    },
+  },
+  {
+    id: 'missing-keywords',
+    label: 'Target keywords never mentioned',
+    severity: 'critical',
+    thresholds: {},
+    check: ({ keywordCoverage }) => {
+      const missing = keywordCoverage.filter(k => k.total === 0);
+      return missing.length === 0 ? [] : [{
+        message: `${missing.length} target keyword(s) never appear: ${list(missing, k => k.label)}`,
+      }];
+    },
+  },
+  {
+    id: 'late-keywords',
+    label: 'Target keywords missing from chunk 1',
+    severity: 'warning',
+    thresholds: {},
+    check: ({ keywordCoverage }) => {
+      const late = keywordCoverage.filter(k => k.total > 0 && !k.inFirstChunk);
+      return late.length === 0 ? [] : [{
+        message: `${late.length} target keyword(s) never appear in chunk 1: ${list(late, k => k.label)}. Mention them early.`,
+        location: { ...late[0].occurrences[0], label: `"${late[0].occurrences[0].text}"` },
+      }];
+    },
+  },
+  {
+    id: 'murky-keywords',
+    label: 'Target keywords only in the murky middle',
+    severity: 'critical',
+    thresholds: {},
+    check: ({ keywordCoverage }) => {
+      const murky = keywordCoverage.filter(k => k.onlyMurky);
+      return murky.length === 0 ? [] : [{
+        message: `${murky.length} target keyword(s) only appear in murky-middle positions: ${list(murky, k => k.label)}. Move one mention to the start or end of a chunk.`,
+        location: { ...murky[0].occurrences[0], label: `"${murky[0].occurrences[0].text}"` },
+      }];
+    },
+  },
+  {
+    id: 'unmatched-queries',
+    label: 'Target questions matching no chunk',
+    severity: 'critical',
+    thresholds: {},
+    check: ({ rankings }) => {
+      const unmatched = rankings.filter(r => r.results.length === 0);
+      return unmatched.length === 0 ? [] : [{
+        message: `${unmatched.length} target question(s) match no chunk at all: "${unmatched[0].query}". Add the terms a searcher would use.`,
+      }];
+    },
+  },
+  {
+    id: 'weak-queries',
+    label: 'Target questions answered weakly',
+    severity: 'warning',
+    thresholds: { minCitationEstimate: { label: 'Min citation estimate', value: 0.6, step: 0.05 } },
+    check: ({ analysis, rankings }, t) => {
+      const weak = rankings.filter(r => r.results.length > 0 && r.results[0].citationEstimate < t.minCitationEstimate);
+      return weak.length === 0 ? [] : [{
+        message: `${weak.length} target question(s) retrieve a chunk with missing terms or terms in the murky middle: "${weak[0].query}". See the Queries tab.`,
+        location: chunkLocation(analysis, weak[0].results[0].chunkIndex),
+      }];
+    },
+  },
+  {
+    id: 'rewrite-edits',
+    label: 'Automatic rewrite fixes available',
+    severity: 'info',
+    thresholds: {},
+    check: ({ analysis }) => analysis.edits.length === 0 ? [] : [{
+      message: `${analysis.edits.length} automatic fix(es) for filler phrases, buried entities and oversized paragraphs are ready in the Rewrite tab.`,
+      location: { start: analysis.edits[0].start, end: analysis.edits[0].end, label: 'first fix' },
+    }],
+  },
+  {
+    id: 'chunk-size',
+    label: 'Chunk size outside the attention sweet spot',
+    severity: 'optimize',
+    thresholds: {
+      minChunkSize: { label: 'Flag below tokens', value: 90, step: 10, count: true },
+      maxChunkSize: { label: 'Flag above tokens', value: 120, step: 10, count: true },
+    },
+    check: ({ chunkSize }, t) => chunkSize >= t.minChunkSize && chunkSize <= t.maxChunkSize ? [] : [{
+      message: `${chunkSize}-token chunks are ${chunkSize < t.minChunkSize ? 'below' : 'above'} the recommended size. Research suggests ${t.minChunkSize}-${t.maxChunkSize} token chunks optimize for LLM attention patterns.`,
+    }],
+  },
+];
+
+// Document-level numbers custom metric rules can test
+export const CUSTOM_RULE_METRICS = {
+  chunks: { label: 'Chunk count', get: ({ analysis }) => analysis.chunks.length },
+  wordCount: { label: 'Word count', get: ({ analysis }) => analysis.wordCount },
+  wordsPerToken: { label: 'Words per token', get: ({ analysis }) => Number(analysis.wordsPerToken) },
+  variance: { label: 'Cross-model variance %', get: ({ analysis }) => analysis.variance },
+  entities: { label: 'Entities', get: ({ analysis }) => analysis.entities.length },
+  lowAttentionEntities: { label: 'Low-attention entities', get: ({ analysis }) => analysis.entities.filter(e => e.isLowAttention).length },
+  dependentChunks: { label: 'Dependent chunks', get: ({ analysis }) => analysis.references.filter(r => r.references.length > 0).length },
+};
+
+// Why a custom rule's pattern can't be compiled, or null when it can
+export const getPatternError = (pattern, flags = 'i') => {
+  try {
+    new RegExp(pattern, `g${flags}`);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+// Custom rules are plain data: { id, label, severity, kind: 'metric', metric,
+// operator: '>' | '<', threshold } or { id, label, severity, kind: 'pattern',
+// pattern, flags }
+const checkCustomRule = (rule, context) => {
+  if (rule.kind === 'metric') {
+    const metric = CUSTOM_RULE_METRICS[rule.metric];
+    if (!metric) return [];
+    const value = metric.get(context);
+    const hit = rule.operator === '<' ? value < rule.threshold : value > rule.threshold;
+    return hit ? [{ message: `${rule.label}: ${metric.label.toLowerCase()} is ${value} (${rule.operator} ${rule.threshold}).` }] : [];
+  }
+
+  // The editor flags rules with a broken pattern; they match nothing
+  if (getPatternError(rule.pattern, rule.flags ?? 'i')) return [];
+  const pattern = new RegExp(rule.pattern, `g${rule.flags ?? 'i'}`);
+  const matches = rule.pattern ? [...context.content.matchAll(pattern)].filter(m => m[0].length > 0) : [];
+  if (matches.length === 0) return [];
+  return [{
+    message: `${rule.label}: ${matches.length} match(es), first "${matches[0][0]}".`,
+    location: { start: matches[0].index, end: matches[0].index + matches[0][0].length, label: `"${matches[0][0]}"` },
+  }];
+};
+
+// A threshold as the user set it: counts are whole and never negative, and
+// anything that isn't a finite number (an emptied field, a stale saved value)
+// falls back to the default
+const resolveThreshold = ({ value, count }, override) => {
+  if (typeof override !== 'number' || !Number.isFinite(override)) return value;
+  return count ? Math.max(0, Math.floor(override)) : override;
+};
+
+// Built-in rules with the user's overrides applied, followed by custom rules.
+// settings = { overrides: { [id]: { enabled, severity, thresholds } }, custom: [] }
+export const resolveHintRules = (settings = {}) => {
+  const overrides = settings.overrides ?? {};
+  const builtIn = HINT_RULES.map(rule => {
+    const override = overrides[rule.id] ?? {};
+    return {
+      id: rule.id,
+      label: rule.label,
+      custom: false,
+      enabled: override.enabled ?? true,
+      severity: override.severity ?? rule.severity,
+      thresholds: Object.fromEntries(Object.entries(rule.thresholds).map(([key, definition]) => [key, resolveThreshold(definition, override.thresholds?.[key])])),
+      check: rule.check,
+    };
+  });
+  const custom = (settings.custom ?? []).map(rule => ({
+    ...rule,
+    custom: true,
+    enabled: rule.enabled ?? true,
+    thresholds: {},
+    check: (context) => checkCustomRule(rule, context),
+  }));
+  return [...builtIn, ...custom];
+};
+
+// Hints for one analysis. Ids are the rule id, plus a key for rules that
+// report several findings, so two versions of the content compare hint by hint.
+// context = { content, rankings, keywordCoverage, chunkSize, overlap, strategy }
+export const generateHints = (analysis, context, rules = resolveHintRules()) =>
+  rules
+    .filter(rule => rule.enabled)
+    .flatMap(rule => rule.check({ ...context, analysis }, rule.thresholds).map(finding => ({
+      id: finding.key === undefined ? rule.id : `${rule.id}:${finding.key}`,
+      ruleId: rule.id,
+      type: rule.severity,
+      message: finding.message,
+      location: finding.location ?? null,
+    })));
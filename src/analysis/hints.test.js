@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { resolveHintRules, getPatternError, generateHints } from './hints';
+
+describe('chunk-size rule', () => {
+  const rule = resolveHintRules().find(r => r.id === 'chunk-size');
+  const check = (chunkSize) => rule.check({ chunkSize }, rule.thresholds);
+
+  it('passes chunk sizes inside the recommended range', () => {
+    expect(check(90)).toEqual([]);
+    expect(check(120)).toEqual([]);
+  });
+
+  it('flags chunk sizes below the minimum', () => {
+    expect(check(50)).toHaveLength(1);
+    expect(check(50)[0].message).toMatch(/below/);
+  });
+
+  it('flags chunk sizes above the maximum', () => {
+    expect(check(256)[0].message).toMatch(/above/);
+  });
+
+  it('follows edited thresholds', () => {
+    expect(rule.check({ chunkSize: 50 }, { minChunkSize: 40, maxChunkSize: 120 })).toEqual([]);
+  });
+});
+
+describe('dependent-chunks rule', () => {
+  // Four chunks, each opening with a reference to an earlier one
+  const analysis = {
+    chunks: [0, 1, 2, 3].map(k => ({ startChar: k * 10, endChar: k * 10 + 10, overlapText: '' })),
+    references: [0, 1, 2, 3].map(k => ({
+      chunkIndex: k,
+      references: [{ text: 'it', position: k * 10, resolved: null }],
+    })),
+  };
+  const findings = (maxListed) => {
+    const rule = resolveHintRules({ overrides: { 'dependent-chunks': { thresholds: { maxListed } } } })
+      .find(r => r.id === 'dependent-chunks');
+    return rule.check({ analysis }, rule.thresholds);
+  };
+
+  it('lists the first chunks and sums up the rest', () => {
+    expect(findings(2).map(f => f.key)).toEqual([0, 1, 'more']);
+    expect(findings(2)[2].location.label).toBe('chunk 3');
+  });
+
+  it('survives thresholds the editor lets through', () => {
+    expect(findings(-1).map(f => f.key)).toEqual(['more']);
+    expect(findings(1.5).map(f => f.key)).toEqual([0, 'more']);
+    expect(findings(Number.NaN).map(f => f.key)).toEqual([0, 1, 2, 'more']);
+    expect(findings('3').map(f => f.key)).toEqual([0, 1, 2, 'more']);
+    expect(findings(10).map(f => f.key)).toEqual([0, 1, 2, 3]);
+  });
+});
+
+describe('custom pattern rules', () => {
+  it('reports why a pattern does not compile', () => {
+    expect(getPatternError('click here|learn more')).toBeNull();
+    expect(getPatternError('click (here')).toMatch(/Invalid regular expression/);
+  });
+
+  it('matches nothing with a broken pattern', () => {
+    const [rule] = resolveHintRules({ custom: [{ id: 'c', label: 'Broken', severity: 'info', kind: 'pattern', pattern: '(' }] })
+      .filter(r => r.custom);
+    expect(rule.check({ content: '(' })).toEqual([]);
+  });
+});
+
+describe('generateHints', () => {
+  const analysis = {
+    chunks: [{ startChar: 0, endChar: 10, overlapText: '' }],
+    paragraphs: [],
+    entities: [],
+    references: [],
+    wordCount: 120,
+  };
+  const hintsFor = (settings, context = {}) => {
+    const rules = resolveHintRules(settings).filter(r => r.custom || ['chunk-size', 'many-chunks'].includes(r.id));
+    return generateHints(analysis, { content: 'Click here to learn more.', chunkSize: 256, ...context }, rules);
+  };
+
+  it('tags each finding with its rule, severity and location', () => {
+    expect(hintsFor()).toEqual([
+      { id: 'chunk-size', ruleId: 'chunk-size', type: 'optimize', message: expect.stringMatching(/^256-token chunks are above/), location: null },
+    ]);
+  });
+
+  it('applies severity overrides and skips disabled rules', () => {
+    expect(hintsFor({ overrides: { 'chunk-size': { severity: 'critical' } } }).map(h => h.type)).toEqual(['critical']);
+    expect(hintsFor({ overrides: { 'chunk-size': { enabled: false } } })).toEqual([]);
+    expect(hintsFor({ overrides: { 'many-chunks': { thresholds: { maxChunks: 0 } } } }, { chunkSize: 100 }).map(h => h.id)).toEqual(['many-chunks']);
+  });
+
+  it('runs custom metric and pattern rules', () => {
+    const custom = [
+      { id: 'long', label: 'Long page', severity: 'warning', kind: 'metric', metric: 'wordCount', operator: '>', threshold: 100 },
+      { id: 'short', label: 'Short page', severity: 'warning', kind: 'metric', metric: 'wordCount', operator: '<', threshold: 100 },
+      { id: 'cta', label: 'Vague links', severity: 'optimize', kind: 'pattern', pattern: 'click here|learn more' },
+    ];
+    const hints = hintsFor({ custom }, { chunkSize: 100 });
+    expect(hints.map(h => [h.id, h.message, h.location])).toEqual([
+      ['long', 'Long page: word count is 120 (> 100).', null],
+      ['cta', 'Vague links: 2 match(es), first "Click here".', { start: 0, end: 10, label: '"Click here"' }],
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+// Target keyword coverage: where each keyword (or one of its synonyms) occurs,
+// which chunks carry it and how much attention each occurrence gets.
+import { getAttentionZone } from './attention';
+import { getTokenOffsets, tokenIndexAt, getChunkAttention } from './chunking';
+import { stem } from './terms';
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const stemWords = (text) =>
+  Array.from(text.matchAll(WORD), match => ({
+    stem: stem(match[0]),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+// One keyword per line; comma-separated synonyms follow the main term
+export const parseKeywordList = (input) =>
+  input
+    .split('\n')
+    .map(line => line.split(',').map(v => v.trim()).filter(Boolean))
+    .filter(variants => variants.length > 0)
+    .map(variants => ({ label: variants[0], variants }));
+
+// Character ranges where any variant matches as a whole stemmed phrase
+const findOccurrences = (words, variants) => {
+  const phrases = variants.map(v => stemWords(v).map(w => w.stem)).filter(p => p.length > 0);
+  const occurrences = [];
+  for (let i = 0; i < words.length; i++) {
+    const phrase = phrases.find(p => p.every((s, j) => words[i + j]?.stem === s));
+    if (!phrase) continue;
+    occurrences.push({ start: words[i].start, end: words[i + phrase.length - 1].end });
+    i += phrase.length - 1;
+  }
+  return occurrences;
+};
+
+// Keyword × chunk matrix. Every occurrence is scored in each chunk that holds
+// it; bestAttention is the occurrence's best-placed copy across chunks.
+export const analyzeKeywordCoverage = (text, keywords, chunks, curve) => {
+  const words = stemWords(text);
+  const chunkOffsets = chunks.map(chunk => getTokenOffsets(chunk.tokens));
+
+  return keywords.map(keyword => {
+    const occurrences = findOccurrences(words, keyword.variants).map(occ => {
+      const copies = [];
+      chunks.forEach((chunk, k) => {
+        if (occ.start < chunk.startChar || occ.start >= chunk.endChar) return;
+        const tokenInChunk = tokenIndexAt(chunkOffsets[k], occ.start - chunk.startChar);
+        copies.push({
+          chunkIndex: k,
+          positionInChunk: chunk.headerTokenCount + tokenInChunk,
+          attentionScore: getChunkAttention(chunk, tokenInChunk, curve),
+        });
+      });
+      const bestAttention = Math.max(0, ...copies.map(c => c.attentionScore));
+      return { ...occ, text: text.slice(occ.start, occ.end), copies, bestAttention };
+    });
+
+    const cells = chunks.map((_, k) => {
+      const scores = occurrences.flatMap(o => o.copies.filter(c => c.chunkIndex === k).map(c => c.attentionScore));
+      return { count: scores.length, scores, bestAttention: scores.length > 0 ? Math.max(...scores) : null };
+    });
+
+    return {
+      ...keyword,
+      occurrences,
+      cells,
+      total: occurrences.length,
+      inFirstChunk: cells.length > 0 && cells[0].count > 0,
+      // Present, but never outside the murky middle
+      onlyMurky: occurrences.length > 0 && occurrences.every(o => getAttentionZone(o.bestAttention, curve) === 'cold'),
+    };
+  });
+};
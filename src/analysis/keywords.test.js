@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { parseKeywordList, analyzeKeywordCoverage } from './keywords';
+import { stem } from './terms';
+import { chunkContent } from './chunking';
+
+const words = (text) => text.match(/\S+\s*/g) ?? [];
+
+describe('parseKeywordList', () => {
+  it('reads one keyword per line with comma-separated synonyms', () => {
+    expect(parseKeywordList('vector database, vector store\n\n  RAG  \n')).toEqual([
+      { label: 'vector database', variants: ['vector database', 'vector store'] },
+      { label: 'RAG', variants: ['RAG'] },
+    ]);
+  });
+});
+
+describe('stem', () => {
+  it('gives inflected forms one stem', () => {
+    expect(new Set(['optimize', 'optimized', 'optimizing', 'optimizes'].map(stem)).size).toBe(1);
+    expect(stem('queries')).toBe(stem('query'));
+    expect(stem('running')).toBe('run');
+  });
+});
+
+describe('analyzeKeywordCoverage', () => {
+  const text = 'Vector stores index embeddings. Teams compare a few options and run tests before they pick one vector database.';
+  const tokens = words(text);
+  const chunks = chunkContent(text, tokens, 9);
+  const [coverage] = analyzeKeywordCoverage(text, parseKeywordList('vector database, vector store'), chunks);
+
+  it('matches stemmed phrases and their synonyms', () => {
+    expect(coverage.occurrences.map(o => o.text)).toEqual(['Vector stores', 'vector database']);
+    expect(coverage.total).toBe(2);
+  });
+
+  it('fills the keyword × chunk matrix', () => {
+    expect(coverage.cells.map(c => c.count)).toEqual([1, 1]);
+    expect(coverage.inFirstChunk).toBe(true);
+    expect(coverage.onlyMurky).toBe(false);
+  });
+
+  it('flags a keyword that only ever sits in the murky middle', () => {
+    const [murky] = analyzeKeywordCoverage(text, parseKeywordList('compare'), chunks);
+    expect(murky.cells.map(c => c.count)).toEqual([1, 0]);
+    expect(murky.onlyMurky).toBe(true);
+  });
+});
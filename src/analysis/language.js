@@ -0,0 +1,198 @@
+// Language detection and word segmentation. The script decides Japanese,
+// Chinese, Korean and Russian; Latin-script languages are told apart by their
+// most frequent function words.
+//
+// optimalWordsPerToken is what well-edited prose in the language reaches with
+// the GPT-4 tokenizer; efficiency ratings and thresholds written for English
+// are scaled by it. capitalization says what a capital letter marks: names
+// only, every noun (German), or nothing (CJK). definitions are the copulas
+// that follow a term in a definitional sentence ("X is a ..."); bareCopulas
+// ("sind", "son") say the same but are common enough elsewhere that they only
+// count right after a short subject. Capitalized
+// at the start of a sentence or heading, sentenceOpeners (question words,
+// determiners, pronouns) and stopwords are never part of a name.
+export const LANGUAGES = [
+  {
+    id: 'en',
+    label: 'English',
+    optimalWordsPerToken: 0.75,
+    capitalization: 'names',
+    stopwords: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'are', 'this', 'be', 'on', 'you'],
+    definitions: ['is a', 'is an', 'is the', 'are a', 'are the', 'refers to', 'refer to', 'means', 'is defined as', 'are defined as', 'stands for'],
+    bareCopulas: [],
+    sentenceOpeners: ['what', 'why', 'how', 'when', 'where', 'who', 'which', 'whose', 'can', 'does', 'do', 'did', 'should', 'will', 'would', 'could', 'was', 'a', 'an', 'these', 'those', 'there', 'here', 'its', 'our', 'your', 'their', 'my', 'we', 'they', 'he', 'she', 'i', 'if', 'but', 'or', 'so', 'as', 'at', 'by', 'from', 'after', 'before', 'unlike', 'like', 'while', 'although', 'because', 'each', 'every', 'all', 'some', 'many', 'most', 'both', 'also', 'then', 'today', 'yes', 'no'],
+  },
+  {
+    id: 'de',
+    label: 'German',
+    optimalWordsPerToken: 0.4,
+    capitalization: 'nouns',
+    stopwords: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'den', 'ein', 'eine', 'zu', 'auf', 'für', 'sich', 'sie', 'wir', 'es', 'im', 'auch', 'von'],
+    definitions: ['ist ein', 'ist eine', 'ist der', 'ist die', 'ist das', 'bezeichnet', 'bedeutet', 'steht für'],
+    bareCopulas: ['sind'],
+    sentenceOpeners: ['was', 'warum', 'wieso', 'weshalb', 'wie', 'wann', 'wo', 'wer', 'welche', 'welcher', 'welches', 'kann', 'können', 'dieser', 'diese', 'dieses', 'unser', 'unsere', 'ihr', 'ihre', 'wenn', 'aber', 'oder', 'bei', 'nach', 'vor', 'im', 'am', 'sie', 'wir', 'es', 'dies'],
+  },
+  {
+    id: 'fr',
+    label: 'French',
+    optimalWordsPerToken: 0.58,
+    capitalization: 'names',
+    stopwords: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'un', 'du', 'que', 'pour', 'dans', 'pas', 'sur', 'vous', 'nous', 'au', 'avec', 'qui', 'ce'],
+    definitions: ['est un', 'est une', 'est le', 'est la', 'est l\'', 'sont des', 'désigne', 'signifie'],
+    bareCopulas: [],
+    sentenceOpeners: ['quoi', 'pourquoi', 'comment', 'quand', 'où', 'quel', 'quelle', 'quels', 'quelles', 'est-ce', 'notre', 'nos', 'votre', 'vos', 'leur', 'leurs', 'cette', 'ces', 'il', 'elle', 'ils', 'elles', 'si', 'mais', 'ou', 'en', 'à'],
+  },
+  {
+    id: 'es',
+    label: 'Spanish',
+    optimalWordsPerToken: 0.62,
+    capitalization: 'names',
+    stopwords: ['el', 'la', 'los', 'las', 'y', 'de', 'que', 'en', 'es', 'por', 'para', 'con', 'una', 'del', 'se', 'su', 'al', 'como', 'más', 'lo'],
+    definitions: ['es un', 'es una', 'es el', 'es la', 'se refiere a', 'significa'],
+    bareCopulas: ['son'],
+    sentenceOpeners: ['qué', 'cómo', 'cuándo', 'dónde', 'quién', 'cuál', 'cuáles', 'cuánto', 'nuestro', 'nuestra', 'este', 'esta', 'estos', 'estas', 'esos', 'esas', 'ellos', 'ellas', 'si', 'pero', 'o', 'un'],
+  },
+  {
+    id: 'it',
+    label: 'Italian',
+    optimalWordsPerToken: 0.52,
+    capitalization: 'names',
+    stopwords: ['il', 'di', 'che', 'è', 'e', 'la', 'per', 'un', 'una', 'del', 'della', 'con', 'non', 'sono', 'gli', 'le', 'nel', 'alla', 'si', 'anche'],
+    definitions: ['è un', 'è una', 'è il', 'è la', 'è l\'', 'indica', 'significa'],
+    bareCopulas: ['sono'],
+    sentenceOpeners: ['cosa', 'perché', 'come', 'quando', 'dove', 'chi', 'quale', 'quali', 'quanto', 'nostro', 'nostra', 'questo', 'questa', 'questi', 'quelli', 'noi', 'loro', 'ci', 'se', 'ma', 'o', 'in', 'lo', 'i'],
+  },
+  {
+    id: 'pt',
+    label: 'Portuguese',
+    optimalWordsPerToken: 0.55,
+    capitalization: 'names',
+    stopwords: ['o', 'a', 'os', 'as', 'e', 'de', 'que', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'não', 'é', 'no', 'na', 'dos', 'mais'],
+    definitions: ['é um', 'é uma', 'é o', 'é a', 'refere-se a', 'significa'],
+    bareCopulas: ['são'],
+    sentenceOpeners: ['quê', 'porque', 'como', 'quando', 'onde', 'quem', 'qual', 'quais', 'quanto', 'nosso', 'nossa', 'este', 'esta', 'estes', 'esses', 'eles', 'elas', 'nós', 'se', 'mas', 'ou'],
+  },
+  {
+    id: 'nl',
+    label: 'Dutch',
+    optimalWordsPerToken: 0.43,
+    capitalization: 'names',
+    stopwords: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'te', 'zijn', 'voor', 'met', 'ook', 'wij', 'je', 'aan', 'om', 'bij', 'naar'],
+    definitions: ['is een', 'is de', 'is het', 'betekent', 'verwijst naar'],
+    bareCopulas: ['zijn'],
+    sentenceOpeners: ['wat', 'waarom', 'hoe', 'wanneer', 'waar', 'wie', 'welke', 'welk', 'onze', 'ons', 'deze', 'dit', 'die', 'als', 'maar', 'of', 'in', 'er', 'we', 'wij', 'ze'],
+  },
+  {
+    id: 'ru',
+    label: 'Russian',
+    optimalWordsPerToken: 0.27,
+    capitalization: 'names',
+    stopwords: ['и', 'в', 'не', 'на', 'что', 'с', 'по', 'это', 'как', 'для', 'к', 'из', 'мы', 'вы', 'он', 'она', 'они', 'но', 'от', 'же'],
+    definitions: ['является', 'называется', 'означает'],
+    bareCopulas: ['это'],
+    sentenceOpeners: ['почему', 'когда', 'где', 'кто', 'какой', 'какая', 'какие', 'зачем', 'наш', 'наша', 'этот', 'эта', 'эти', 'мы', 'вы', 'они', 'что', 'если', 'а', 'или'],
+  },
+  {
+    id: 'ja',
+    label: 'Japanese',
+    optimalWordsPerToken: 0.4,
+    capitalization: 'none',
+    stopwords: [],
+    definitions: ['とは', 'という'],
+    bareCopulas: [],
+    sentenceOpeners: [],
+  },
+  {
+    id: 'zh',
+    label: 'Chinese',
+    optimalWordsPerToken: 0.47,
+    capitalization: 'none',
+    stopwords: [],
+    definitions: ['是一', '是指', '指的是'],
+    bareCopulas: [],
+    sentenceOpeners: [],
+  },
+  {
+    id: 'ko',
+    label: 'Korean',
+    optimalWordsPerToken: 0.26,
+    capitalization: 'none',
+    stopwords: [],
+    definitions: ['이란', '란', '이라는'],
+    bareCopulas: [],
+    sentenceOpeners: [],
+  },
+];
+
+export const DEFAULT_LANGUAGE_ID = 'en';
+
+// The English target the efficiency ratings and hint thresholds were written for
+export const REFERENCE_WORDS_PER_TOKEN = 0.75;
+
+// Scripts written without spaces between words, segmented with Intl.Segmenter
+const UNSPACED_LANGUAGES = ['ja', 'zh'];
+
+// Enough text to be sure of the language without scanning a whole book
+const SAMPLE_LENGTH = 5000;
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+export const getLanguage = (id) => LANGUAGES.find(l => l.id === id) ?? LANGUAGES.find(l => l.id === DEFAULT_LANGUAGE_ID);
+
+// Language id for the text: by script first, then by function words
+export const detectLanguage = (text) => {
+  const sample = text.slice(0, SAMPLE_LENGTH);
+  const kana = countMatches(sample, /[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+  const han = countMatches(sample, /\p{Script=Han}/gu);
+  const hangul = countMatches(sample, /\p{Script=Hangul}/gu);
+  const cyrillic = countMatches(sample, /\p{Script=Cyrillic}/gu);
+  const latin = countMatches(sample, /\p{Script=Latin}/gu);
+
+  const largest = Math.max(kana + han, hangul, cyrillic, latin);
+  if (largest === 0) return DEFAULT_LANGUAGE_ID;
+  if (largest === hangul) return 'ko';
+  if (largest === kana + han) return kana > 0 ? 'ja' : 'zh';
+  if (largest === cyrillic) return 'ru';
+
+  const words = sample.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+  let best = { id: DEFAULT_LANGUAGE_ID, hits: 0 };
+  LANGUAGES.filter(l => l.stopwords.length > 0 && l.id !== 'ru').forEach(language => {
+    const stopwords = new Set(language.stopwords);
+    const hits = words.filter(w => stopwords.has(w)).length;
+    if (hits > best.hits) best = { id: language.id, hits };
+  });
+  return best.id;
+};
+
+// The language to analyze with: the chosen one, or the detected one for 'auto'
+export const resolveLanguage = (text, setting = 'auto') => {
+  const language = getLanguage(setting === 'auto' ? detectLanguage(text) : setting);
+  return { ...language, auto: setting === 'auto' };
+};
+
+// Words in Japanese and Chinese are not separated by spaces; Intl.Segmenter
+// finds them with a dictionary. Without it, each ideograph or kana counts.
+export const usesSegmenter = (languageId) => UNSPACED_LANGUAGES.includes(languageId);
+
+const segmenters = new Map();
+
+const getSegmenter = (languageId) => {
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+  if (!segmenters.has(languageId)) segmenters.set(languageId, new Intl.Segmenter(languageId, { granularity: 'word' }));
+  return segmenters.get(languageId);
+};
+
+export const countWords = (text, languageId = DEFAULT_LANGUAGE_ID) => {
+  if (!usesSegmenter(languageId)) return text.split(/\s+/).filter(w => w.length > 0).length;
+  const segmenter = getSegmenter(languageId);
+  if (!segmenter) return countMatches(text, /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{M}\p{N}]+/gu);
+  let count = 0;
+  for (const segment of segmenter.segment(text)) {
+    if (segment.isWordLike) count += 1;
+  }
+  return count;
+};
+
+// Scale an English words/token figure to the language
+export const scaleWordsPerToken = (value, language) =>
+  (value * language.optimalWordsPerToken) / REFERENCE_WORDS_PER_TOKEN;
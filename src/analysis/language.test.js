@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { detectLanguage, resolveLanguage, countWords, scaleWordsPerToken, getLanguage } from './language';
+import { approximateClaudeTokenize, approximateGeminiTokenize } from '../tokenizers/approximate';
+
+describe('detectLanguage', () => {
+  it('tells scripts apart', () => {
+    expect(detectLanguage('ベクトルデータベースとは何ですか')).toBe('ja');
+    expect(detectLanguage('向量数据库是一种数据库')).toBe('zh');
+    expect(detectLanguage('벡터 데이터베이스란 무엇인가')).toBe('ko');
+    expect(detectLanguage('Векторная база данных хранит эмбеддинги')).toBe('ru');
+  });
+
+  it('tells Latin-script languages apart by their function words', () => {
+    expect(detectLanguage('Die Datenbank ist schnell und sie skaliert auch mit den Daten.')).toBe('de');
+    expect(detectLanguage('La base de données est rapide et les requêtes sont simples pour nous.')).toBe('fr');
+    expect(detectLanguage('La base de datos es rápida y se usa para la búsqueda.')).toBe('es');
+    expect(detectLanguage('The database is fast and it scales with the data.')).toBe('en');
+    expect(detectLanguage('1234 !!')).toBe('en');
+  });
+});
+
+describe('resolveLanguage', () => {
+  it('detects the language for auto, and uses the chosen one otherwise', () => {
+    expect(resolveLanguage('Die Datenbank ist schnell und sie skaliert.')).toMatchObject({ id: 'de', auto: true });
+    expect(resolveLanguage('Die Datenbank ist schnell.', 'fr')).toMatchObject({ id: 'fr', auto: false });
+  });
+});
+
+describe('countWords', () => {
+  it('splits on spaces, and segments Japanese and Chinese into words', () => {
+    expect(countWords('Acme  Cloud stores\nvectors')).toBe(4);
+    expect(countWords('東京は日本の首都です。', 'ja')).toBeGreaterThan(2);
+    expect(countWords('東京は日本の首都です。', 'ja')).toBeLessThan(10);
+  });
+});
+
+describe('scaleWordsPerToken', () => {
+  it('scales English targets to the language', () => {
+    expect(scaleWordsPerToken(0.75, getLanguage('en'))).toBe(0.75);
+    expect(scaleWordsPerToken(0.75, getLanguage('de'))).toBeCloseTo(0.4);
+  });
+});
+
+describe('approximate tokenizers', () => {
+  const text = 'Grüße aus Köln 🧑‍🚀 — 東京タワー는 좋아요! 123';
+
+  it('return tokens that concatenate back to the text without splitting a code point', () => {
+    [approximateClaudeTokenize, approximateGeminiTokenize].forEach(tokenize => {
+      const tokens = tokenize(text);
+      expect(tokens.join('')).toBe(text);
+      tokens.forEach(token => expect(token).not.toMatch(/^[\uDC00-\uDFFF]|[\uD800-\uDBFF]$/));
+    });
+  });
+
+  it('keep accented letters inside Latin words', () => {
+    expect(approximateClaudeTokenize('Köln')).toEqual(['Köln']);
+  });
+});
@@ -0,0 +1,97 @@
+import { getAttentionZone } from './attention';
+import { positionEntities } from './chunking';
+import { chunkText } from './strategies';
+
+const MINOR_DRIFT_WORDS = 5;
+const SNIPPET_CHARS = 24;
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+// Boundaries are aligned when every model cuts inside the same word,
+// minor when they drift by a few words, major beyond that or when a model
+// has no cut near that position at all
+const getDriftStatus = (text, positions) => {
+  const present = positions.filter(p => p !== null);
+  if (present.length < positions.length) return { status: 'major', spreadWords: null };
+  const between = text.slice(Math.min(...present), Math.max(...present));
+  const spreadWords = /\s/.test(between) ? countWords(between) : 0;
+  return {
+    status: spreadWords === 0 ? 'aligned' : spreadWords <= MINOR_DRIFT_WORDS ? 'minor' : 'major',
+    spreadWords,
+  };
+};
+
+// Group every model's cuts by character position: walking the cuts in text
+// order, a cut joins the open group unless that model already cut there or it
+// is more than maxDistance past the group's first cut. Models without a cut
+// in a group get null.
+const matchCuts = (models, maxDistance) => {
+  const cuts = models
+    .flatMap((m, modelIndex) => m.boundaries.map(position => ({ modelIndex, position })))
+    .sort((a, b) => a.position - b.position);
+  const groups = [];
+  let open = null;
+  cuts.forEach(cut => {
+    if (!open || open[cut.modelIndex] !== null || cut.position - open.start > maxDistance) {
+      open = Object.assign(models.map(() => null), { start: cut.position });
+      groups.push(open);
+    }
+    open[cut.modelIndex] = cut.position;
+  });
+  return groups.map(group => Array.from(group));
+};
+
+// Re-chunk the content with every registered tokenizer and compare the results
+export const compareModelChunking = (text, tokenizers, tokenStreams, entities, chunkOptions, curve) => {
+  const models = tokenizers.map(t => {
+    const tokens = tokenStreams[t.id];
+    const chunks = chunkText(text, tokens, { ...chunkOptions, tokenize: t.tokenize });
+    return {
+      id: t.id,
+      label: t.label,
+      chunkCount: chunks.length,
+      boundaries: chunks.slice(1).map(c => c.startChar),
+      entities: positionEntities(entities, tokens, chunks, curve),
+    };
+  });
+
+  // Cuts further apart than half the shortest average chunk are different boundaries
+  const shortestChunk = Math.min(...models.map(m => text.length / m.chunkCount));
+  const boundaries = matchCuts(models, shortestChunk / 2).map((positions, k) => ({
+    index: k,
+    ...getDriftStatus(text, positions),
+    cuts: models.map((m, idx) => {
+      const position = positions[idx];
+      return {
+        modelId: m.id,
+        position,
+        before: position === null ? '' : text.slice(Math.max(0, position - SNIPPET_CHARS), position),
+        after: position === null ? '' : text.slice(position, position + SNIPPET_CHARS),
+      };
+    }),
+  }));
+
+  // Entities that are in a primacy/recency zone for one model but the murky middle for another
+  const zoneConflicts = entities
+    .map((entity, i) => {
+      const placements = models.map(m => ({
+        modelId: m.id,
+        label: m.label,
+        chunkIndex: m.entities[i].chunkIndex,
+        attentionScore: m.entities[i].attentionScore,
+        zone: getAttentionZone(m.entities[i].attentionScore, curve),
+      }));
+      const zones = placements.map(p => p.zone);
+      return zones.includes('hot') && zones.includes('cold')
+        ? { text: entity.text, position: entity.position, placements }
+        : null;
+    })
+    .filter(Boolean);
+
+  return {
+    models: models.map(({ id, label, chunkCount }) => ({ id, label, chunkCount })),
+    boundaries,
+    divergentBoundaries: boundaries.filter(b => b.status !== 'aligned').length,
+    zoneConflicts,
+  };
+};
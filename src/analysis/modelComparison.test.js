@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { compareModelChunking } from './modelComparison';
+
+// One token per word, and the same with the first word split in two, which
+// moves every cut one word earlier
+const words = (text) => text.match(/\S+\s*/g) ?? [];
+const splitFirst = (text) => {
+  const [first, ...rest] = words(text);
+  return first ? [first.slice(0, 2), first.slice(2), ...rest] : [];
+};
+
+const text = 'alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu';
+const tokenizers = [
+  { id: 'words', label: 'Words', tokenize: words },
+  { id: 'twin', label: 'Twin', tokenize: words },
+  { id: 'split', label: 'Split', tokenize: splitFirst },
+];
+const streams = Object.fromEntries(tokenizers.map(t => [t.id, t.tokenize(text)]));
+const at = (word) => text.indexOf(word);
+const compare = (entities = []) => compareModelChunking(text, tokenizers, streams, entities, { strategy: 'fixed', chunkSize: 4 });
+
+describe('compareModelChunking', () => {
+  it('matches cuts by position and grades how far they drift', () => {
+    const comparison = compare();
+    expect(comparison.models.map(m => m.chunkCount)).toEqual([3, 3, 4]);
+    expect(comparison.boundaries.map(b => [b.status, b.cuts.map(c => c.position)])).toEqual([
+      ['minor', [at('epsilon'), at('epsilon'), at('delta')]],
+      ['minor', [at('iota'), at('iota'), at('theta')]],
+      ['major', [null, null, at('mu')]],
+    ]);
+    expect(comparison.boundaries[0].spreadWords).toBe(1);
+    expect(comparison.divergentBoundaries).toBe(3);
+  });
+
+  it('reports cuts every model makes in the same place as aligned', () => {
+    const comparison = compareModelChunking(text, tokenizers.slice(0, 2), streams, [], { strategy: 'fixed', chunkSize: 4 });
+    expect(comparison.boundaries.map(b => b.status)).toEqual(['aligned', 'aligned']);
+    expect(comparison.divergentBoundaries).toBe(0);
+  });
+
+  it('flags entities that open a chunk for one model and sit mid-chunk for another', () => {
+    const entity = (word) => ({ text: word, position: at(word), occurrences: [{ position: at(word) }] });
+    const { zoneConflicts } = compare([entity('epsilon'), entity('alpha')]);
+    expect(zoneConflicts.map(c => c.text)).toEqual(['epsilon']);
+    expect(zoneConflicts[0].placements.map(p => [p.modelId, p.zone])).toEqual([['words', 'hot'], ['twin', 'hot'], ['split', 'cold']]);
+  });
+});
@@ -0,0 +1,100 @@
+// Question/answer structure: question headings (Markdown headings, bold or
+// "Q:" lines) and question sentences, each paired with the sentence that
+// follows it as its direct answer. A pair is extractable when one chunk holds
+// both and the answer doesn't start in the murky middle of that chunk.
+import { getAttentionZone } from './attention';
+import { getTokenOffsets, tokenIndexAt, splitSentences, getChunkAttention } from './chunking';
+
+export const QA_STATUSES = {
+  together: { label: 'Answer in the same chunk', color: '#4FD1C5' },
+  murky: { label: 'Answer in the murky middle', color: '#F59E0B' },
+  split: { label: 'Split across chunks', color: '#FF4444' },
+};
+
+// A whole line that asks something: optional heading marks, bold and "Q:"
+// prefix around text ending in a question mark
+const QUESTION_LINE = /^[ \t]*(#{1,6}[ \t]+|\*\*|__|Q[ \t]*[:.][ \t]*)(?:\*\*|__)?(.+?[?？])(?:\*\*|__)?[ \t#]*$/gm;
+const ENDS_WITH_QUESTION = /[?？]["'”’)\]]*$/;
+const HEADING_START = /^#{1,6}[ \t]/;
+
+// Trimmed [start, end) of a range of the text
+const trimRange = (text, start, end) => {
+  const slice = text.slice(start, end);
+  const trimmedStart = start + (slice.length - slice.trimStart().length);
+  return { start: trimmedStart, end: trimmedStart + slice.trim().length };
+};
+
+const findQuestions = (text, sentences) => {
+  const questions = Array.from(text.matchAll(QUESTION_LINE), match => ({
+    kind: 'heading',
+    ...trimRange(text, match.index, match.index + match[0].length),
+  }));
+  const inLine = (position) => questions.some(q => position >= q.start && position < q.end);
+
+  sentences.forEach(sentence => {
+    const range = trimRange(text, sentence.start, sentence.end);
+    const body = text.slice(range.start, range.end);
+    if (!ENDS_WITH_QUESTION.test(body) || inLine(range.start) || inLine(range.end - 1)) return;
+    questions.push({ kind: 'sentence', ...range });
+  });
+  return questions.sort((a, b) => a.start - b.start);
+};
+
+// The sentence after a question, unless a heading or another question comes
+// first. Sentences are in text order; the search starts at the first one that
+// ends after the question.
+const findAnswer = (text, sentences, question) => {
+  let lo = 0;
+  let hi = sentences.length;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (sentences[mid].end <= question.end) lo = mid + 1;
+    else hi = mid;
+  }
+  for (const sentence of sentences.slice(lo)) {
+    const range = trimRange(text, Math.max(sentence.start, question.end), sentence.end);
+    if (range.start < question.end || range.end <= range.start) continue;
+    const body = text.slice(range.start, range.end);
+    if (HEADING_START.test(body) || ENDS_WITH_QUESTION.test(body)) return null;
+    return range;
+  }
+  return null;
+};
+
+// Every question with an answer, the chunks it lands in and its status.
+// tokens are the chunking tokenizer's tokens for the text. For a split pair,
+// answerChunk is where the answer ends and attentionScore is where it starts.
+export const analyzeQaPairs = (text, tokens, chunks, curve) => {
+  const sentences = splitSentences(text);
+  const offsets = getTokenOffsets(tokens);
+  const chunkAt = (position) => chunks.findIndex(c => position >= c.startChar && position < c.endChar);
+
+  return findQuestions(text, sentences).flatMap(question => {
+    const answer = findAnswer(text, sentences, question);
+    if (!answer) return [];
+
+    const answerToken = tokenIndexAt(offsets, answer.start);
+    const holding = chunks
+      .map((chunk, chunkIndex) => ({ chunk, chunkIndex }))
+      .filter(({ chunk }) => chunk.startChar <= question.start && chunk.endChar >= answer.end)
+      .map(({ chunk, chunkIndex }) => ({ chunkIndex, attentionScore: getChunkAttention(chunk, answerToken - chunk.startToken, curve) }));
+    const best = holding.reduce((a, b) => (b.attentionScore > a.attentionScore ? b : a), holding[0]);
+
+    const questionChunk = best?.chunkIndex ?? chunkAt(question.start);
+    const answerChunk = best?.chunkIndex ?? chunkAt(answer.end - 1);
+    const startChunk = chunks[chunkAt(answer.start)];
+    const attentionScore = best?.attentionScore ?? getChunkAttention(startChunk, answerToken - startChunk.startToken, curve);
+    const zone = getAttentionZone(attentionScore, curve);
+
+    return [{
+      kind: question.kind,
+      question: { ...question, text: text.slice(question.start, question.end) },
+      answer: { ...answer, text: text.slice(answer.start, answer.end) },
+      status: !best ? 'split' : zone === 'cold' ? 'murky' : 'together',
+      questionChunk,
+      answerChunk,
+      attentionScore,
+      zone,
+    }];
+  });
+};
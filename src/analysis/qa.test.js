@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeQaPairs } from './qa';
+import { chunkContent } from './chunking';
+
+const words = (text) => text.match(/\S+\s*/g) ?? [];
+
+const analyze = (text, chunkSize) => {
+  const tokens = words(text);
+  return analyzeQaPairs(text, tokens, chunkContent(text, tokens, chunkSize));
+};
+
+describe('analyzeQaPairs', () => {
+  it('pairs question headings and sentences with the sentence after them', () => {
+    const text = '## What is Acme?\n\nAcme stores vectors. It is fast.\n\n**Does it scale?**\n\nYes, to billions.\n\nWho uses it? Teams do.';
+    const pairs = analyze(text, 100);
+    expect(pairs.map(p => [p.kind, p.question.text, p.answer.text])).toEqual([
+      ['heading', '## What is Acme?', 'Acme stores vectors.'],
+      ['heading', '**Does it scale?**', 'Yes, to billions.'],
+      ['sentence', 'Who uses it?', 'Teams do.'],
+    ]);
+    expect(pairs.map(p => [p.questionChunk, p.answerChunk, p.status])).toEqual([[0, 0, 'murky'], [0, 0, 'murky'], [0, 0, 'together']]);
+  });
+
+  it('skips questions answered by another question or a heading', () => {
+    expect(analyze('Why? How?\n\n## Next\n\nText.', 100)).toEqual([]);
+  });
+
+  it('flags answers split from their question or in the murky middle', () => {
+    const split = analyze('One two three four five six seven. What is Acme? Acme stores vectors.', 8);
+    expect(split[0]).toMatchObject({ status: 'split', questionChunk: 0, answerChunk: 1 });
+
+    const murky = analyze('One two three four five six seven. What is Acme? Acme stores vectors. Eight nine ten eleven twelve thirteen fourteen.', 24);
+    expect(murky[0]).toMatchObject({ status: 'murky', questionChunk: 0, answerChunk: 0, zone: 'cold' });
+  });
+});
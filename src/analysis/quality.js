@@ -0,0 +1,155 @@
+// Citation quality of a piece of text: whether a sentence defines something
+// ("X is a ..."), how readable it is, and how dense it is in facts (numbers,
+// including dates, prices and percentages, and entity mentions). Positions of
+// the first definition and first fact-bearing sentence are shares of the
+// text, so a chunk can be checked for a strong opening.
+import { splitSentences, firstAtOrAfter } from './chunking';
+import { getLanguage, DEFAULT_LANGUAGE_ID } from './language';
+import { createLruCache } from '../tokenizers/cache';
+
+// Term before the copula: at most this many words, or characters in CJK text;
+// a bare copula ("sind", "son") needs a shorter term
+const MAX_SUBJECT_WORDS = 6;
+const MAX_SUBJECT_CHARS = 30;
+const MAX_BARE_SUBJECT_WORDS = 3;
+
+// Readability needs enough text to mean anything
+const MIN_READABILITY_WORDS = 10;
+
+// English sentences opening with these talk about something named elsewhere
+const PRONOUN_SUBJECT = /^(?:it|this|that|these|those|there|here|he|she|they|we|you|i)\b/i;
+const LIST_MARKER = /^(?:[#>*+-]+|\d+[.)])\s*/;
+
+// "What is a vector database?" asks for a definition rather than giving one
+const QUESTION = /[?？]["'”’)\]*_]*$/;
+
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+const NUMBER = /\p{N}[\p{N}.,:/-]*/gu;
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A copula ending in an apostrophe (French "est l'") runs into the next word
+const copulaAlternatives = (copulas) => copulas
+  .map(c => `${escape(c)}${/['’]$/.test(c) ? '' : '(?![\\p{L}\\p{N}])'}`)
+  .join('|');
+
+const definitionPatterns = new Map();
+const getDefinitionPatterns = (language) => {
+  if (!definitionPatterns.has(language.id)) {
+    const copulas = copulaAlternatives(language.definitions);
+    definitionPatterns.set(language.id, {
+      phrase: language.capitalization === 'none'
+        ? new RegExp(`^[^。！？]{1,${MAX_SUBJECT_CHARS}}?(?:${copulas})`, 'u')
+        : new RegExp(`^(?:\\S+\\s+){1,${MAX_SUBJECT_WORDS}}(?:${copulas})`, 'iu'),
+      // Subject without clause punctuation, then the copula, after a dash in
+      // Russian ("Векторная база — это ...")
+      bare: language.bareCopulas.length > 0
+        ? new RegExp(`^((?:[^\\s,;:]+\\s+){1,${MAX_BARE_SUBJECT_WORDS}})(?:[—–-]\\s+)?(?:${copulaAlternatives(language.bareCopulas)})`, 'iu')
+        : null,
+      // A subject opening with a pronoun, question word or conjunction
+      // ("Sie sind", "Ci sono", "Er zijn") is not a term being defined
+      openers: new Set(language.sentenceOpeners),
+    });
+  }
+  return definitionPatterns.get(language.id);
+};
+
+const isDefinition = (sentence, language) => {
+  const body = sentence.trim().replace(LIST_MARKER, '').replace(/^(?:\*\*|__)/, '');
+  if (QUESTION.test(body)) return false;
+  if (language.id === DEFAULT_LANGUAGE_ID && PRONOUN_SUBJECT.test(body)) return false;
+  const { phrase, bare, openers } = getDefinitionPatterns(language);
+  if (phrase.test(body)) return true;
+  const subject = bare && body.match(bare)?.[1];
+  return Boolean(subject) && !openers.has(subject.split(/\s/)[0].toLowerCase());
+};
+
+// Vowel groups, less a silent final e; a rough but standard estimate
+const countSyllables = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+  const groups = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+};
+
+// Flesch reading ease for English (higher is easier), LIX for other spaced
+// languages (lower is easier); no score for CJK text
+const measureReadability = (words, sentenceCount, language) => {
+  if (language.capitalization === 'none' || words.length < MIN_READABILITY_WORDS) return null;
+  const wordsPerSentence = words.length / Math.max(1, sentenceCount);
+  if (language.id === DEFAULT_LANGUAGE_ID) {
+    const syllables = words.reduce((sum, w) => sum + countSyllables(w), 0);
+    const score = 206.835 - 1.015 * wordsPerSentence - 84.6 * (syllables / words.length);
+    return { scale: 'Flesch', score, label: score >= 60 ? 'easy' : score >= 30 ? 'standard' : 'difficult' };
+  }
+  const score = wordsPerSentence + (100 * words.filter(w => w.length > 6).length) / words.length;
+  return { scale: 'LIX', score, label: score < 40 ? 'easy' : score <= 55 ? 'standard' : 'difficult' };
+};
+
+// Number of sorted positions in [start, end)
+const countInRange = (positions, start, end) => firstAtOrAfter(positions, end) - firstAtOrAfter(positions, start);
+
+// What a piece of text says on its own, without the entity mentions: kept
+// per text, so paragraphs and chunks an edit doesn't touch are read once
+const MAX_DESCRIBED_TEXTS = 4000;
+const describedTexts = createLruCache(MAX_DESCRIBED_TEXTS);
+
+const describeText = (slice, language) => {
+  const key = `${language.id}:${slice}`;
+  const cached = describedTexts.get(key);
+  if (cached) return cached;
+  const sentences = splitSentences(slice);
+  const words = slice.match(WORD) || [];
+  return describedTexts.set(key, {
+    words: words.length,
+    readability: measureReadability(words, sentences.length, language),
+    sentences: sentences.map(sentence => ({
+      start: sentence.start,
+      end: sentence.end,
+      numbers: (sentence.text.match(NUMBER) || []).length,
+      definition: isDefinition(sentence.text, language) ? sentence.text.trim() : null,
+    })),
+  });
+};
+
+// Quality of text[start, end). mentionPositions are the sorted positions of
+// every entity mention in the text.
+export const measureQuality = (text, start, end, mentionPositions, languageId = DEFAULT_LANGUAGE_ID) => {
+  const slice = text.slice(start, end);
+  const { words, readability, sentences } = describeText(slice, getLanguage(languageId));
+
+  let definitions = 0;
+  let firstDefinition = null;
+  let definition = null;
+  let facts = 0;
+  let firstFact = null;
+  sentences.forEach(sentence => {
+    const share = sentence.start / Math.max(1, slice.length);
+    const sentenceFacts = sentence.numbers + countInRange(mentionPositions, start + sentence.start, start + sentence.end);
+    facts += sentenceFacts;
+    if (sentenceFacts > 0 && firstFact === null) firstFact = share;
+    if (sentence.definition !== null) {
+      definitions += 1;
+      if (firstDefinition === null) {
+        firstDefinition = share;
+        definition = sentence.definition;
+      }
+    }
+  });
+
+  return {
+    words,
+    sentences: sentences.length,
+    readability,
+    definitions,
+    firstDefinition,
+    definition,
+    facts,
+    factDensity: words > 0 ? (facts / words) * 100 : 0,
+    firstFact,
+  };
+};
+
+// Sorted positions of every mention of every entity
+export const getMentionPositions = (entities) =>
+  entities.flatMap(e => e.occurrences.map(o => o.position)).sort((a, b) => a - b);
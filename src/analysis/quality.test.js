@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { measureQuality } from './quality';
+
+const measure = (text, languageId) => measureQuality(text, 0, text.length, [], languageId);
+
+describe('measureQuality', () => {
+  it('finds a definitional sentence and where it starts', () => {
+    const quality = measure('Teams need fast search. A vector database is a store for embeddings.');
+    expect(quality.definitions).toBe(1);
+    expect(quality.definition).toBe('A vector database is a store for embeddings.');
+    expect(quality.firstDefinition).toBeGreaterThan(0);
+  });
+
+  it('does not count questions as definitions', () => {
+    const faq = [
+      '## What is a vector database?',
+      '',
+      'A vector database is a store for embeddings.',
+      '',
+      '**What is hybrid search?**',
+      '',
+      'Q: Is a GPU required？',
+      '',
+      'How is the index built? It is rebuilt nightly.',
+    ].join('\n');
+    const quality = measure(faq);
+    expect(quality.definitions).toBe(1);
+    expect(quality.definition).toBe('A vector database is a store for embeddings.');
+  });
+
+  it('does not count questions as definitions in other languages', () => {
+    expect(measure('Was ist eine Vektordatenbank?', 'de').definitions).toBe(0);
+    expect(measure('Une base vectorielle est une base de données.', 'fr').definitions).toBe(1);
+  });
+
+  it('counts a bare copula only right after a short subject term', () => {
+    const german = [
+      'Vektordatenbanken sind Datenbanken für Embeddings.',
+      'In unserem Rechenzentrum in Berlin sind drei Server aktiv.',
+      'Sie sind herzlich willkommen.',
+      'Die Preise für die Pläne sind gestiegen.',
+    ].join(' ');
+    const quality = measure(german, 'de');
+    expect(quality.definitions).toBe(1);
+    expect(quality.definition).toBe('Vektordatenbanken sind Datenbanken für Embeddings.');
+    expect(measure('Ci sono molti modelli. Gli embedding sono vettori densi.', 'it').definitions).toBe(1);
+    expect(measure('Мы знаем, что это работает. Векторная база — это хранилище эмбеддингов.', 'ru').definitions).toBe(1);
+  });
+});
@@ -0,0 +1,107 @@
+// Cross-chunk reference detection. A chunk that says "it" or "the company"
+// before naming anything depends on an earlier chunk to make sense; once
+// retrieved on its own, the reader (or LLM) can't tell what it's about.
+import { firstAtOrAfter } from './chunking';
+
+// Which entity types each referring word can point at, most likely first
+const PRONOUN_TYPES = {
+  he: ['Person'], him: ['Person'], his: ['Person'], she: ['Person'], her: ['Person'],
+  it: ['Product', 'Organization', 'Place', 'Acronym'], its: ['Product', 'Organization', 'Place', 'Acronym'],
+  this: ['Product', 'Organization', 'Place', 'Acronym'], that: ['Product', 'Organization', 'Place', 'Acronym'],
+  they: ['Organization', 'Person', 'Product'], them: ['Organization', 'Person', 'Product'],
+  their: ['Organization', 'Person', 'Product'],
+};
+
+const NOUN_TYPES = {
+  company: ['Organization'], firm: ['Organization'], organization: ['Organization'], startup: ['Organization'],
+  team: ['Organization'], brand: ['Organization', 'Product'], vendor: ['Organization'],
+  platform: ['Product', 'Organization'], product: ['Product'], tool: ['Product'], service: ['Product', 'Organization'],
+  app: ['Product'], application: ['Product'], software: ['Product'], solution: ['Product'], system: ['Product'],
+  model: ['Product'], device: ['Product'], feature: ['Product'], plan: ['Product'],
+  city: ['Place'], country: ['Place'], region: ['Place'],
+  founder: ['Person'], author: ['Person'], ceo: ['Person'],
+};
+
+const DEFINITE = new RegExp(`\\b(?:the|this|that|these|those)\\s+(${Object.keys(NOUN_TYPES).join('|')})s?\\b`, 'gi');
+const PRONOUN = /\b(?:he|him|his|she|her|it|its|they|them|their)\b/gi;
+// "This" / "That" opening a sentence ("This means...")
+const DEMONSTRATIVE = /(?:^|[.!?]\s+|\n\s*)(this|that)\b/gi;
+
+// Penalty per dangling reference, capped at three; a chunk that names no
+// entity at all loses a further quarter when it has dangling references
+const REFERENCE_PENALTY = 0.25;
+const MAX_PENALIZED_REFERENCES = 3;
+
+const findReferences = (text) => {
+  const refs = [];
+  for (const match of text.matchAll(DEFINITE)) {
+    refs.push({ text: match[0], position: match.index, kind: 'definite', types: NOUN_TYPES[match[1].toLowerCase()] });
+  }
+  const taken = (start, end) => refs.some(r => r.position < end && start < r.position + r.text.length);
+  for (const match of text.matchAll(PRONOUN)) {
+    if (taken(match.index, match.index + match[0].length)) continue;
+    refs.push({ text: match[0], position: match.index, kind: 'pronoun', types: PRONOUN_TYPES[match[0].toLowerCase()] });
+  }
+  for (const match of text.matchAll(DEMONSTRATIVE)) {
+    const position = match.index + match[0].length - match[1].length;
+    if (taken(position, position + match[1].length)) continue;
+    refs.push({ text: match[1], position, kind: 'pronoun', types: PRONOUN_TYPES[match[1].toLowerCase()] });
+  }
+  return refs.sort((a, b) => a.position - b.position);
+};
+
+// Chunk whose own (non-overlap) content holds a character position; chunks
+// run in text order, so only the first one ending past it can
+const ownerChunk = (chunks, chunkEnds, position) => {
+  const k = firstAtOrAfter(chunkEnds, position + 1);
+  return k < chunks.length && position >= chunks[k].startChar + chunks[k].overlapText.length ? k : -1;
+};
+
+// For every chunk: references made before it names any entity, each resolved
+// to an entity mentioned in earlier text (the most likely type wins, then the
+// most recent mention), and a self-containment score from 0 to 1
+export const analyzeChunkReferences = (chunks, entities) => {
+  const mentions = entities
+    .flatMap(entity => entity.mentions.map(m => ({ entity, position: m.position })))
+    .sort((a, b) => a.position - b.position);
+  const mentionPositions = mentions.map(m => m.position);
+  const chunkEnds = chunks.map(c => c.endChar);
+
+  // Latest mention of each type before the chunk at hand
+  const latestByType = new Map();
+  let passed = 0;
+
+  return chunks.map((chunk, idx) => {
+    for (; passed < mentions.length && mentions[passed].position < chunk.startChar; passed++) {
+      latestByType.set(mentions[passed].entity.type, mentions[passed]);
+    }
+    const first = firstAtOrAfter(mentionPositions, chunk.startChar);
+    const namesEntity = first < mentions.length && mentions[first].position < chunk.endChar;
+    const firstNamed = namesEntity ? mentions[first].position - chunk.startChar : Infinity;
+
+    const references = idx === 0 ? [] : findReferences(chunk.text)
+      .filter(ref => ref.position < firstNamed)
+      .map(ref => {
+        const antecedent = latestByType.get(ref.types.find(t => latestByType.has(t)));
+        return {
+          text: ref.text,
+          kind: ref.kind,
+          position: chunk.startChar + ref.position,
+          resolved: antecedent
+            ? { text: antecedent.entity.text, type: antecedent.entity.type, chunkIndex: ownerChunk(chunks, chunkEnds, antecedent.position) }
+            : null,
+        };
+      });
+
+    const penalty = references.length === 0
+      ? 0
+      : REFERENCE_PENALTY * Math.min(references.length, MAX_PENALIZED_REFERENCES) + (namesEntity ? 0 : REFERENCE_PENALTY);
+
+    return {
+      chunkIndex: idx,
+      references,
+      namesEntity,
+      selfContainment: Math.max(0, 1 - penalty),
+    };
+  });
+};
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeChunkReferences } from './references';
+
+// Chunks cut at the given character positions, without overlap
+const chunksOf = (text, cuts) => [0, ...cuts].map((start, idx) => {
+  const end = cuts[idx] ?? text.length;
+  return { text: text.slice(start, end), startChar: start, endChar: end, overlapText: '' };
+});
+
+const entitiesIn = (text, names) => names.map(([name, type]) => ({
+  text: name,
+  type,
+  mentions: [...text.matchAll(new RegExp(name, 'g'))].map(m => ({ position: m.index })),
+}));
+
+describe('analyzeChunkReferences', () => {
+  const text = 'Acme Cloud stores vectors. Jane Smith built it. | It scales well. | She says the company grew. Acme Cloud is fast.';
+  const cuts = [text.indexOf('It scales'), text.indexOf('She says')];
+  const entities = entitiesIn(text, [['Acme Cloud', 'Product'], ['Jane Smith', 'Person']]);
+
+  it('resolves references to the latest earlier mention of the likeliest type', () => {
+    const [first, second, third] = analyzeChunkReferences(chunksOf(text, cuts), entities);
+    expect(first.references).toEqual([]);
+    expect(second.references.map(r => [r.text, r.resolved.text, r.resolved.chunkIndex])).toEqual([['It', 'Acme Cloud', 0]]);
+    expect(third.references.map(r => [r.text, r.resolved?.text ?? null])).toEqual([['She', 'Jane Smith'], ['the company', null]]);
+  });
+
+  it('scores chunks that never name an entity lower', () => {
+    const [, second, third] = analyzeChunkReferences(chunksOf(text, cuts), entities);
+    expect(second.namesEntity).toBe(false);
+    expect(second.selfContainment).toBe(0.5);
+    expect(third.namesEntity).toBe(true);
+    expect(third.selfContainment).toBe(0.5);
+  });
+
+  it('picks up "This" / "That" only where they open a sentence', () => {
+    const doc = 'Pinecone is a vector database. | This means fast search. Pinecone uses that index.';
+    const [, second] = analyzeChunkReferences(chunksOf(doc, [doc.indexOf('This')]), entitiesIn(doc, [['Pinecone', 'Product']]));
+    expect(second.references.map(r => [r.text, r.kind, r.resolved.text])).toEqual([['This', 'pronoun', 'Pinecone']]);
+  });
+
+  it('resolves definite noun phrases by the type the noun implies', () => {
+    const doc = 'Jane Smith founded Northwind. Acme Cloud is their product. | The company ships weekly and the founder writes it up.';
+    const names = entitiesIn(doc, [['Jane Smith', 'Person'], ['Northwind', 'Organization'], ['Acme Cloud', 'Product']]);
+    const [, second] = analyzeChunkReferences(chunksOf(doc, [doc.indexOf('The company')]), names);
+    expect(second.references.map(r => [r.text, r.kind, r.resolved.text])).toEqual([
+      ['The company', 'definite', 'Northwind'],
+      ['the founder', 'definite', 'Jane Smith'],
+      ['it', 'pronoun', 'Acme Cloud'],
+    ]);
+  });
+
+  it('caps the penalty for dangling references', () => {
+    const doc = 'Acme Cloud stores vectors. | It is fast, it is cheap, it is simple and it is safe.';
+    const [, second] = analyzeChunkReferences(chunksOf(doc, [doc.indexOf('It is')]), entitiesIn(doc, [['Acme Cloud', 'Product']]));
+    expect(second.references).toHaveLength(4);
+    expect(second.selfContainment).toBe(0);
+  });
+
+  it('credits an antecedent in an overlap to the chunk that owns it', () => {
+    const doc = 'Intro text. Acme Cloud stores vectors. | More text follows. | It scales well.';
+    const second = doc.indexOf('More');
+    const third = doc.indexOf('It scales');
+    const overlapStart = doc.indexOf('Acme');
+    const chunks = [
+      { text: doc.slice(0, second), startChar: 0, endChar: second, overlapText: '' },
+      { text: doc.slice(overlapStart, third), startChar: overlapStart, endChar: third, overlapText: doc.slice(overlapStart, second) },
+      { text: doc.slice(third), startChar: third, endChar: doc.length, overlapText: '' },
+    ];
+    const [, withOverlap, last] = analyzeChunkReferences(chunks, entitiesIn(doc, [['Acme Cloud', 'Product']]));
+    expect(withOverlap.namesEntity).toBe(true);
+    expect(last.references.map(r => [r.text, r.resolved.chunkIndex])).toEqual([['It', 0]]);
+  });
+});
@@ -0,0 +1,99 @@
+// Local BM25 retrieval over the simulated chunks, with every matched term
+// placed on the attention curve of the chunk it was retrieved in. Chunks are
+// indexed as embedded, contextual header included.
+import { getAttentionScore } from './attention';
+import { getTokenOffsets, tokenIndexAt } from './chunking';
+import { extractTerms } from './terms';
+
+// Standard Okapi BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+export const buildBm25Index = (chunks) => {
+  const docs = chunks.map(chunk => {
+    const terms = extractTerms(chunk.header + chunk.text);
+    const frequencies = new Map();
+    terms.forEach(t => frequencies.set(t.term, (frequencies.get(t.term) || 0) + 1));
+    return { terms, frequencies, length: terms.length };
+  });
+
+  const documentFrequency = new Map();
+  docs.forEach(doc => doc.frequencies.forEach((_, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+
+  const averageLength = docs.reduce((sum, d) => sum + d.length, 0) / Math.max(1, docs.length);
+  return { chunks, docs, documentFrequency, averageLength };
+};
+
+const idf = (index, term) => {
+  const n = index.documentFrequency.get(term) || 0;
+  return Math.log(1 + (index.chunks.length - n + 0.5) / (n + 0.5));
+};
+
+const scoreChunk = (index, docIndex, queryTerms) => {
+  const doc = index.docs[docIndex];
+  const lengthNorm = 1 - B + B * (doc.length / (index.averageLength || 1));
+  return queryTerms.reduce((score, term) => {
+    const tf = doc.frequencies.get(term) || 0;
+    if (tf === 0) return score;
+    return score + idf(index, term) * ((tf * (K1 + 1)) / (tf + K1 * lengthNorm));
+  }, 0);
+};
+
+// Where each occurrence of a query term sits in the chunk, in tokens. Terms
+// matched in the header have no position in the content.
+const locateMatches = (chunk, doc, queryTerms, curve) => {
+  const offsets = getTokenOffsets([...chunk.headerTokens, ...chunk.tokens]);
+  return doc.terms
+    .filter(t => queryTerms.includes(t.term))
+    .map(t => {
+      const positionInChunk = tokenIndexAt(offsets, t.position);
+      return {
+        term: t.term,
+        position: t.position >= chunk.header.length ? chunk.startChar + t.position - chunk.header.length : null,
+        positionInChunk,
+        attentionScore: getAttentionScore(positionInChunk, chunk.embeddedTokenCount, curve),
+      };
+    });
+};
+
+// Top-k chunks for a query. citationEstimate combines how close the chunk is
+// to the best BM25 score, how many query terms it covers, and the attention
+// of each term's best-placed occurrence.
+export const rankChunks = (index, query, topK = 3, curve) => {
+  const queryTerms = [...new Set(extractTerms(query).map(t => t.term))];
+  if (queryTerms.length === 0) return { query, terms: [], results: [] };
+
+  const scored = index.chunks
+    .map((chunk, idx) => ({ chunkIndex: idx, score: scoreChunk(index, idx, queryTerms) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+
+  const topScore = scored[0]?.score || 1;
+  const results = scored.map(({ chunkIndex, score }) => {
+    const chunk = index.chunks[chunkIndex];
+    const matches = locateMatches(chunk, index.docs[chunkIndex], queryTerms, curve);
+    const bestByTerm = new Map();
+    matches.forEach(m => {
+      if (!bestByTerm.has(m.term) || m.attentionScore > bestByTerm.get(m.term)) bestByTerm.set(m.term, m.attentionScore);
+    });
+    const matchedTerms = [...bestByTerm.keys()];
+    const attention = [...bestByTerm.values()].reduce((sum, a) => sum + a, 0) / bestByTerm.size;
+    const coverage = matchedTerms.length / queryTerms.length;
+
+    return {
+      chunkIndex,
+      score,
+      matches,
+      matchedTerms,
+      missingTerms: queryTerms.filter(t => !bestByTerm.has(t)),
+      coverage,
+      attention,
+      citationEstimate: (score / topScore) * coverage * attention,
+    };
+  });
+
+  return { query, terms: queryTerms, results };
+};
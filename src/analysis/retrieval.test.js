@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { buildBm25Index, rankChunks } from './retrieval';
+import { chunkText } from './strategies';
+
+const words = (text) => text.match(/\s+|\S+\s*/g) ?? [];
+
+const text = [
+  'Pinecone is a managed vector database for similarity search.',
+  'Pricing starts at seventy dollars a month for the standard plan.',
+  'Hybrid search combines keyword and vector search in one query.',
+].join('\n\n');
+const chunks = chunkText(text, words(text), { strategy: 'recursive', chunkSize: 12 });
+const index = buildBm25Index(chunks);
+
+describe('rankChunks', () => {
+  it('ranks the chunk that matches the most query terms first', () => {
+    const { terms, results } = rankChunks(index, 'How much does the standard plan cost?');
+    expect(terms).toEqual(['much', 'standard', 'plan', 'cost']);
+    expect(results.map(r => r.chunkIndex)).toEqual([1]);
+    expect(results[0].matchedTerms).toEqual(['standard', 'plan']);
+    expect(results[0].missingTerms).toEqual(['much', 'cost']);
+    expect(results[0].coverage).toBe(0.5);
+  });
+
+  it('weights rarer terms higher and keeps the top k', () => {
+    const { results } = rankChunks(index, 'hybrid vector search', 2);
+    expect(results.map(r => r.chunkIndex)).toEqual([2, 0]);
+    expect(results[0].citationEstimate).toBeGreaterThan(results[1].citationEstimate);
+  });
+
+  it('places every match on the attention curve of its chunk', () => {
+    const [result] = rankChunks(index, 'Pinecone').results;
+    expect(result.matches).toEqual([
+      { term: 'pinecone', position: 0, positionInChunk: 0, attentionScore: 0.95 },
+    ]);
+    expect(result.attention).toBe(0.95);
+  });
+
+  it('returns nothing for a query of stopwords', () => {
+    expect(rankChunks(index, 'what is the')).toEqual({ query: 'what is the', terms: [], results: [] });
+  });
+});
@@ -0,0 +1,259 @@
+// Deterministic rewrite pass. Every fix is a non-overlapping replacement of a
+// character range in the original text, so edits can be accepted or rejected
+// one by one and the draft rebuilt from whatever is accepted.
+import { BASELINE_TOKENIZER_ID } from '../tokenizers/registry';
+import { chunkText } from './strategies';
+import { splitParagraphs, splitSentences, positionEntities } from './chunking';
+import { extractEntities } from './entities';
+import { DEFAULT_LANGUAGE_ID, resolveLanguage, countWords } from './language';
+
+// Wordy phrase -> tighter replacement ('' deletes it)
+const FILLER_PHRASES = [
+  ['it is important to note that', ''],
+  ['it should be noted that', ''],
+  ['it is worth noting that', ''],
+  ['needless to say', ''],
+  ['as a matter of fact', ''],
+  ['at the end of the day', ''],
+  ['in order to', 'to'],
+  ['due to the fact that', 'because'],
+  ['in spite of the fact that', 'although'],
+  ['at this point in time', 'now'],
+  ['in the event that', 'if'],
+  ['for the purpose of', 'for'],
+  ['a large number of', 'many'],
+  ['the majority of', 'most'],
+  ['has the ability to', 'can'],
+  ['have the ability to', 'can'],
+  ['is able to', 'can'],
+  ['are able to', 'can'],
+  ['with regard to', 'about'],
+  ['prior to', 'before'],
+  ['in close proximity to', 'near'],
+  ['basically', ''],
+  ['actually', ''],
+  ['really', ''],
+  ['very', ''],
+  ['just', ''],
+];
+
+// Hyphenated compounds ("just-in-time") are left alone
+const FILLER = new RegExp(`(?<!-)\\b(?:${FILLER_PHRASES.map(([p]) => p.replace(/ /g, '\\s+')).join('|')})\\b(?!-)`, 'gi');
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+const overlaps = (edits, start, end) => edits.some(e => e.start < end && start < e.end);
+
+// Filler phrases, replaced with their short form or deleted along with the
+// comma and space after them; a deleted sentence opener capitalizes the next
+// letter, which is why deletions reach one character into the next word
+const fillerEdits = (text) => {
+  const edits = [];
+  for (const match of text.matchAll(FILLER)) {
+    const phrase = match[0].toLowerCase().replace(/\s+/g, ' ');
+    const [, short] = FILLER_PHRASES.find(([p]) => p === phrase);
+    const start = match.index;
+    let end = start + match[0].length;
+    let replacement = /^[A-Z]/.test(match[0]) ? capitalize(short) : short;
+
+    if (short === '') {
+      const following = text.slice(end).match(/^,?\s+(\S)/);
+      if (!following) continue;
+      end += following[0].length;
+      replacement = /^[A-Z]/.test(match[0]) ? following[1].toUpperCase() : following[1];
+    }
+    edits.push({
+      kind: 'filler',
+      start,
+      end,
+      replacement,
+      description: short ? `"${match[0]}" → "${short}"` : `Remove "${match[0]}"`,
+    });
+  }
+  return edits;
+};
+
+// Where a paragraph is longer than a chunk, break it at sentence boundaries so
+// each piece fits; one edit per break
+const splitEdits = (text, paragraphs, chunkSize, tokenize) => {
+  const edits = [];
+  paragraphs.filter(p => p.tokenCount > chunkSize).forEach(p => {
+    const sentences = splitSentences(p.text);
+    let used = 0;
+    sentences.forEach((sentence, i) => {
+      const size = tokenize(sentence.text).length;
+      if (i > 0 && used + size > chunkSize) {
+        const previous = sentences[i - 1];
+        const gapStart = p.start + previous.start + previous.text.trimEnd().length;
+        edits.push({
+          kind: 'split',
+          start: gapStart,
+          end: p.start + sentence.start,
+          replacement: '\n\n',
+          description: `Split paragraph ${p.index + 1} before "${sentence.text.trim().slice(0, 40)}…"`,
+        });
+        used = 0;
+      }
+      used += size;
+    });
+  });
+  return edits;
+};
+
+// In the paragraph a chunk opens with, move the first sentence that names an
+// entity ahead of the entity-free sentences before it
+const frontLoadEdits = (text, chunks, entities) => {
+  const mentions = entities.flatMap(e => e.mentions.map(m => ({ entity: e, position: m.position })));
+  const paragraphs = splitParagraphs(text);
+  const edits = [];
+
+  chunks.forEach((chunk, k) => {
+    const ownStart = chunk.startChar + chunk.overlapText.length;
+    const paragraph = paragraphs.find(p => p.end > ownStart);
+    if (!paragraph) return;
+    const sentences = splitSentences(paragraph.text)
+      .map(s => ({ text: s.text, start: paragraph.start + s.start, end: paragraph.start + s.end }))
+      .filter(s => s.start >= ownStart && s.end <= chunk.endChar);
+    const mentionIn = (s) => mentions.find(m => m.position >= s.start && m.position < s.end);
+    const named = sentences.findIndex(mentionIn);
+    if (named <= 0) return;
+
+    const moved = sentences.slice(0, named + 1);
+    const start = moved[0].start;
+    const end = moved[named].end;
+    const trimmed = moved.map(s => ({ start: s.start, end: s.start + s.text.trimEnd().length }));
+    const original = text.slice(start, end);
+    edits.push({
+      kind: 'front-load',
+      start,
+      end,
+      // Sentence ranges in their new order, rejoined with single spaces
+      segments: [trimmed[named], ...trimmed.slice(0, named)],
+      trailing: original.slice(original.trimEnd().length),
+      description: `Move the "${mentionIn(moved[named]).entity.text}" sentence to the start of chunk ${k + 1}`,
+    });
+  });
+  return edits;
+};
+
+const within = (edit, start, end) => edit.start >= start && edit.end <= end;
+
+// Proposed edits, sorted by position. Splits win over reordering and
+// reordering over filler removal; filler fixes inside a single sentence of a
+// reordering still apply, and move with their sentence. The filler list is
+// English, so other languages only get splits and reordering.
+export const proposeEdits = (text, { chunks, entities, paragraphs, chunkSize, tokenize, language = DEFAULT_LANGUAGE_ID }) => {
+  const edits = [];
+  const fits = (edit) => edits.every(other =>
+    !(other.start < edit.end && edit.start < other.end) ||
+    (other.segments && other.segments.some(seg => within(edit, seg.start, seg.end))));
+
+  [
+    ...splitEdits(text, paragraphs, chunkSize, tokenize),
+    ...frontLoadEdits(text, chunks, entities),
+    ...(language === DEFAULT_LANGUAGE_ID ? fillerEdits(text) : []),
+  ].forEach(edit => {
+    if (fits(edit)) edits.push(edit);
+  });
+  return edits
+    .sort((a, b) => a.start - b.start)
+    .map(edit => ({
+      ...edit,
+      id: `${edit.kind}-${edit.start}`,
+      original: text.slice(edit.start, edit.end),
+      replacement: edit.replacement ?? edit.segments.map(seg => text.slice(seg.start, seg.end)).join(' ') + edit.trailing,
+    }));
+};
+
+// The original text cut into pieces, each tagged with the innermost edit that
+// covers it (or null)
+export const originalPieces = (text, edits) => {
+  const bounds = [...new Set([0, text.length, ...edits.flatMap(e => [e.start, e.end])])].sort((a, b) => a - b);
+  const pieces = [];
+  bounds.slice(1).forEach((end, i) => {
+    const start = bounds[i];
+    const covering = edits.filter(e => e.start <= start && e.end >= end);
+    const edit = covering.find(e => !e.segments) ?? covering[0] ?? null;
+    const last = pieces[pieces.length - 1];
+    if (last && last.edit === edit) last.text += text.slice(start, end);
+    else pieces.push({ text: text.slice(start, end), edit });
+  });
+  return pieces;
+};
+
+// The draft as pieces: unchanged text (edit null), and the output of every
+// edit, accepted or not. Filler fixes inside a reordered sentence are applied
+// before the sentence moves.
+export const draftPieces = (text, edits, isAccepted) => {
+  const pieces = [];
+  const copy = (start, end, edit = null) => {
+    if (end > start) pieces.push({ text: text.slice(start, end), edit });
+  };
+  const range = (start, end, outer = null) => {
+    let cursor = start;
+    edits.filter(e => !e.segments && within(e, start, end)).forEach(edit => {
+      copy(cursor, edit.start, outer);
+      pieces.push({ text: isAccepted(edit) ? edit.replacement : edit.original, edit });
+      cursor = edit.end;
+    });
+    copy(cursor, end, outer);
+  };
+
+  let cursor = 0;
+  edits.filter(e => !edits.some(o => o.segments && o !== e && within(e, o.start, o.end))).forEach(edit => {
+    range(cursor, edit.start);
+    if (edit.segments && isAccepted(edit)) {
+      edit.segments.forEach((seg, i) => {
+        if (i > 0) pieces.push({ text: ' ', edit });
+        range(seg.start, seg.end, edit);
+      });
+      pieces.push({ text: edit.trailing, edit });
+    } else if (edit.segments) {
+      range(edit.start, edit.end, edit);
+    } else {
+      pieces.push({ text: isAccepted(edit) ? edit.replacement : edit.original, edit });
+    }
+    cursor = edit.end;
+  });
+  range(cursor, text.length);
+  return pieces;
+};
+
+export const applyEdits = (text, edits, isAccepted) =>
+  draftPieces(text, edits, isAccepted).map(p => p.text).join('');
+
+// Headline numbers for comparing the draft against the original; takes the
+// same options as analyzeContent
+export const measureDraft = (text, {
+  tokenizers,
+  chunkModelId,
+  chunkSize,
+  overlap,
+  strategy,
+  headerTemplate = '',
+  title = '',
+  glossary,
+  curve,
+  language: languageSetting = 'auto',
+}) => {
+  if (!text.trim()) return null;
+  const language = resolveLanguage(text, languageSetting);
+  const baseline = tokenizers.find(t => t.id === BASELINE_TOKENIZER_ID);
+  const chunkTokenizer = tokenizers.find(t => t.id === chunkModelId) ?? tokenizers[0];
+  const chunkTokens = chunkTokenizer.tokenize(text);
+  const chunks = chunkText(text, chunkTokens, { strategy, chunkSize, overlap, headerTemplate, title, tokenize: chunkTokenizer.tokenize });
+  const { entities } = extractEntities(text, glossary, language.id);
+  const placed = positionEntities(entities, chunkTokens, chunks, curve);
+  const words = countWords(text, language.id);
+  const tokens = baseline.tokenize(text).length;
+
+  return {
+    tokens,
+    wordsPerToken: words / tokens,
+    chunks: chunks.length,
+    entitiesInFirstChunk: placed.filter(e => e.chunkIndex === 0).length,
+    lowAttentionEntities: placed.filter(e => e.isLowAttention).length,
+    longParagraphs: splitParagraphs(text).filter(p => chunkTokenizer.tokenize(p.text).length > chunkSize).length,
+    fillerPhrases: (text.match(FILLER) || []).length,
+  };
+};
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { proposeEdits, applyEdits, originalPieces } from './rewrite';
+import { splitParagraphs } from './chunking';
+
+const words = (text) => text.match(/\S+\s*/g) ?? [];
+const chunk = (text) => ({ startChar: 0, endChar: text.length, overlapText: '' });
+
+const propose = (text, { chunks = [chunk(text)], entities = [], chunkSize = 100 } = {}) => proposeEdits(text, {
+  chunks,
+  entities,
+  paragraphs: splitParagraphs(text).map((p, index) => ({ ...p, index, tokenCount: words(p.text).length })),
+  chunkSize,
+  tokenize: words,
+});
+
+const all = () => true;
+
+describe('proposeEdits', () => {
+  it('tightens filler phrases and capitalizes what follows a deleted opener', () => {
+    const text = 'In order to scale, teams shard. Basically, the index grows.';
+    const edits = propose(text);
+    expect(edits.map(e => [e.kind, e.original, e.replacement])).toEqual([
+      ['filler', 'In order to', 'To'],
+      ['filler', 'Basically, t', 'T'],
+    ]);
+    expect(applyEdits(text, edits, all)).toBe('To scale, teams shard. The index grows.');
+    expect(applyEdits(text, edits, e => e.kind !== 'filler' || e.start > 0)).toBe('In order to scale, teams shard. The index grows.');
+  });
+
+  it('splits a paragraph longer than a chunk at sentence boundaries', () => {
+    const text = 'One two three. Four five six. Seven eight nine.';
+    const edits = propose(text, { chunkSize: 6 });
+    expect(edits.map(e => [e.kind, e.original, e.replacement])).toEqual([['split', ' ', '\n\n']]);
+    expect(applyEdits(text, edits, all)).toBe('One two three. Four five six.\n\nSeven eight nine.');
+  });
+
+  it('moves the first sentence that names an entity to the start of the chunk', () => {
+    const text = 'Speed matters. Teams want answers. Acme Cloud answers in milliseconds.\n\nMore text.';
+    const entities = [{ text: 'Acme Cloud', mentions: [{ position: text.indexOf('Acme') }] }];
+    const [edit] = propose(text, { entities });
+    expect(edit.kind).toBe('front-load');
+    expect(edit.description).toBe('Move the "Acme Cloud" sentence to the start of chunk 1');
+    expect(applyEdits(text, [edit], all)).toBe('Acme Cloud answers in milliseconds. Speed matters. Teams want answers.\n\nMore text.');
+  });
+
+  it('applies filler fixes inside a moved sentence along with it', () => {
+    const text = 'Speed matters. Acme Cloud is really fast.';
+    const entities = [{ text: 'Acme Cloud', mentions: [{ position: text.indexOf('Acme') }] }];
+    const edits = propose(text, { entities });
+    expect(edits.map(e => e.kind)).toEqual(['front-load', 'filler']);
+    expect(applyEdits(text, edits, all)).toBe('Acme Cloud is fast. Speed matters.');
+    expect(applyEdits(text, edits, e => e.kind === 'filler')).toBe('Speed matters. Acme Cloud is fast.');
+  });
+});
+
+describe('originalPieces', () => {
+  it('tags each piece of the original with the edit covering it', () => {
+    const text = 'We basically ship.';
+    const edits = propose(text);
+    expect(originalPieces(text, edits).map(p => [p.text, p.edit?.kind ?? null])).toEqual([
+      ['We ', null],
+      ['basically s', 'filler'],
+      ['hip.', null],
+    ]);
+  });
+});
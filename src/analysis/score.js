@@ -0,0 +1,101 @@
+// Citation readiness: one 0–100 number per page, the weighted mean of
+// sub-scores that are each 0–1. A sub-score with nothing to measure (no
+// entities, say) drops out and the remaining weights are renormalized.
+import { getAttentionZone } from './attention';
+import { scaleWordsPerToken } from './language';
+
+// Words per token mapped linearly from FLOOR (0) to TARGET (1), both for
+// English and scaled to the content's language
+const EFFICIENCY_FLOOR = 0.5;
+const EFFICIENCY_TARGET = 0.75;
+
+export const SCORE_COMPONENTS = [
+  {
+    id: 'frontLoading',
+    label: 'Entity front-loading',
+    weight: 25,
+    compute: ({ analysis }) => {
+      const { entities, chunks } = analysis;
+      if (entities.length === 0) return null;
+      const early = entities.filter(e => e.chunkIndex === 0).length;
+      return {
+        value: entities.reduce((sum, e) => sum + (1 - e.chunkIndex / chunks.length), 0) / entities.length,
+        detail: `${early} of ${entities.length} entities introduced in chunk 1`,
+      };
+    },
+  },
+  {
+    id: 'hotZones',
+    label: 'Entities in hot zones',
+    weight: 25,
+    compute: ({ analysis, curve }) => {
+      const { entities } = analysis;
+      if (entities.length === 0) return null;
+      const hot = entities.filter(e => getAttentionZone(e.attentionScore, curve) === 'hot').length;
+      return { value: hot / entities.length, detail: `${hot} of ${entities.length} entities have a mention in a hot zone` };
+    },
+  },
+  {
+    id: 'paragraphFit',
+    label: 'Paragraph/chunk fit',
+    weight: 20,
+    compute: ({ analysis }) => {
+      const { paragraphs } = analysis;
+      if (paragraphs.length === 0) return null;
+      const whole = paragraphs.filter(p => !p.isSplit).length;
+      return { value: whole / paragraphs.length, detail: `${whole} of ${paragraphs.length} paragraphs sit in a single chunk` };
+    },
+  },
+  {
+    id: 'efficiency',
+    label: 'Token efficiency',
+    weight: 15,
+    compute: ({ analysis }) => {
+      const floor = scaleWordsPerToken(EFFICIENCY_FLOOR, analysis.language);
+      const target = scaleWordsPerToken(EFFICIENCY_TARGET, analysis.language);
+      return {
+        value: Math.max(0, Math.min(1, (Number(analysis.wordsPerToken) - floor) / (target - floor))),
+        detail: `${analysis.wordsPerToken} words/token (full marks at ${Number(target.toFixed(2))} for ${analysis.language.label})`,
+      };
+    },
+  },
+  {
+    id: 'selfContainment',
+    label: 'Chunk self-containment',
+    weight: 15,
+    compute: ({ analysis }) => {
+      const { references } = analysis;
+      const dependent = references.filter(r => r.references.length > 0).length;
+      return {
+        value: references.reduce((sum, r) => sum + r.selfContainment, 0) / references.length,
+        detail: `${references.length - dependent} of ${references.length} chunks stand alone`,
+      };
+    },
+  },
+];
+
+export const DEFAULT_SCORE_WEIGHTS = Object.fromEntries(SCORE_COMPONENTS.map(c => [c.id, c.weight]));
+
+export const getReadinessGrade = (total) => (total >= 80 ? 'ready' : total >= 60 ? 'fair' : 'needs work');
+
+// { total, grade, components: [{ id, label, weight, value, detail, points }] };
+// points is each component's share of the total
+export const computeReadinessScore = (analysis, weights = DEFAULT_SCORE_WEIGHTS, curve) => {
+  const components = SCORE_COMPONENTS.map(c => {
+    const result = c.compute({ analysis, curve });
+    return {
+      id: c.id,
+      label: c.label,
+      weight: Math.max(0, weights[c.id] ?? c.weight),
+      value: result ? result.value : null,
+      detail: result ? result.detail : 'nothing to measure',
+    };
+  });
+  const weightSum = components.filter(c => c.value !== null).reduce((sum, c) => sum + c.weight, 0);
+  const scored = components.map(c => ({
+    ...c,
+    points: c.value === null || weightSum === 0 ? null : (100 * c.weight * c.value) / weightSum,
+  }));
+  const total = Math.round(scored.reduce((sum, c) => sum + (c.points ?? 0), 0));
+  return { total, grade: getReadinessGrade(total), components: scored };
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { computeReadinessScore, getReadinessGrade, DEFAULT_SCORE_WEIGHTS } from './score';
+import { getLanguage } from './language';
+
+const analysis = (overrides = {}) => ({
+  language: getLanguage('en'),
+  wordsPerToken: '0.75',
+  chunks: [{}, {}],
+  entities: [
+    { chunkIndex: 0, attentionScore: 0.95 },
+    { chunkIndex: 1, attentionScore: 0.6 },
+  ],
+  paragraphs: [{ isSplit: false }, { isSplit: false }, { isSplit: true }, { isSplit: false }],
+  references: [{ references: [], selfContainment: 1 }, { references: [{}], selfContainment: 0.5 }],
+  ...overrides,
+});
+
+const values = (score) => Object.fromEntries(score.components.map(c => [c.id, c.value]));
+
+describe('computeReadinessScore', () => {
+  it('weights each sub-score into a total out of 100', () => {
+    const score = computeReadinessScore(analysis());
+    expect(values(score)).toEqual({ frontLoading: 0.75, hotZones: 0.5, paragraphFit: 0.75, efficiency: 1, selfContainment: 0.75 });
+    // 25 × 0.75 + 25 × 0.5 + 20 × 0.75 + 15 × 1 + 15 × 0.75
+    expect(score.total).toBe(73);
+    expect(score.grade).toBe('fair');
+    expect(score.components.find(c => c.id === 'frontLoading').detail).toBe('1 of 2 entities introduced in chunk 1');
+  });
+
+  it('drops sub-scores with nothing to measure and renormalizes the rest', () => {
+    const score = computeReadinessScore(analysis({ entities: [] }));
+    expect(score.components.filter(c => c.value === null).map(c => c.id)).toEqual(['frontLoading', 'hotZones']);
+    // (20 × 0.75 + 15 × 1 + 15 × 0.75) / 50
+    expect(score.total).toBe(83);
+    expect(score.components.reduce((sum, c) => sum + (c.points ?? 0), 0)).toBeCloseTo(82.5);
+  });
+
+  it('follows edited weights', () => {
+    const onlyEfficiency = Object.fromEntries(Object.keys(DEFAULT_SCORE_WEIGHTS).map(id => [id, id === 'efficiency' ? 1 : 0]));
+    expect(computeReadinessScore(analysis(), onlyEfficiency).total).toBe(100);
+    expect(computeReadinessScore(analysis({ wordsPerToken: '0.5' }), onlyEfficiency).total).toBe(0);
+  });
+
+  it('scales the efficiency target to the content language', () => {
+    const german = analysis({ language: getLanguage('de'), wordsPerToken: '0.4' });
+    expect(values(computeReadinessScore(german)).efficiency).toBeCloseTo(1);
+  });
+});
+
+describe('getReadinessGrade', () => {
+  it('grades by total', () => {
+    expect([80, 79, 60, 59].map(getReadinessGrade)).toEqual(['ready', 'fair', 'fair', 'needs work']);
+  });
+});
@@ -0,0 +1,81 @@
+// Topic drift and chunk coherence on top of the hashed embeddings.
+import { splitSentences, firstAtOrAfter } from './chunking';
+import { embed, cosineSimilarity, centroid } from './embedding';
+import { createLruCache } from '../tokenizers/cache';
+
+// Drift at a sentence gap compares the WINDOW sentences before it with the
+// WINDOW sentences after it, which smooths over one-line asides
+const WINDOW = 2;
+
+// A gap is a breakpoint when its similarity is within the lowest
+// BREAKPOINT_PERCENTILE of the document and at most MAX_BREAKPOINT_SIMILARITY,
+// so a single-topic page doesn't get forced breaks
+const BREAKPOINT_PERCENTILE = 0.2;
+const MAX_BREAKPOINT_SIMILARITY = 0.3;
+
+// Vectors of the sentences and chunks seen lately, so an edit only embeds
+// the text it changed
+const MAX_EMBEDDED_TEXTS = 10000;
+const embeddings = createLruCache(MAX_EMBEDDED_TEXTS);
+const embedCached = (text) => embeddings.get(text) ?? embeddings.set(text, embed(text));
+
+const percentile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+// Similarity across every sentence gap, plus the breakpoint threshold
+export const measureDrift = (text) => {
+  const sentences = splitSentences(text);
+  const vectors = sentences.map(s => embedCached(s.text));
+
+  const series = [];
+  for (let i = 1; i < sentences.length; i++) {
+    const before = centroid(vectors.slice(Math.max(0, i - WINDOW), i));
+    const after = centroid(vectors.slice(i, i + WINDOW));
+    series.push({ sentenceIndex: i, position: sentences[i].start, similarity: cosineSimilarity(before, after) });
+  }
+
+  const threshold = Math.min(
+    percentile(series.map(g => g.similarity), BREAKPOINT_PERCENTILE),
+    MAX_BREAKPOINT_SIMILARITY
+  );
+  const breaks = new Set(series.filter(g => g.similarity <= threshold).map(g => g.sentenceIndex));
+
+  return { sentences, vectors, series, threshold, breaks };
+};
+
+// Per-chunk coherence (how close its sentences sit to the chunk's centroid),
+// similarity to the next chunk, and the sharpest drift inside it
+export const analyzeChunkSemantics = (chunks, drift) => {
+  const chunkVectors = chunks.map(chunk => embedCached(chunk.text.slice(chunk.overlapText.length)));
+  const sentenceStarts = drift.sentences.map(s => s.start);
+  const gapPositions = drift.series.map(g => g.position);
+
+  const stats = chunks.map((chunk, idx) => {
+    const ownStart = chunk.startChar + chunk.overlapText.length;
+    const vectors = drift.vectors.slice(firstAtOrAfter(sentenceStarts, ownStart), firstAtOrAfter(sentenceStarts, chunk.endChar));
+    const center = centroid(vectors);
+    const coherence = vectors.length <= 1
+      ? 1
+      : vectors.reduce((sum, v) => sum + cosineSimilarity(v, center), 0) / vectors.length;
+
+    const innerGaps = drift.series.slice(firstAtOrAfter(gapPositions, ownStart + 1), firstAtOrAfter(gapPositions, chunk.endChar));
+    const sharpest = innerGaps.reduce((min, g) => (!min || g.similarity < min.similarity ? g : min), null);
+
+    return {
+      coherence,
+      nextSimilarity: idx < chunks.length - 1 ? cosineSimilarity(chunkVectors[idx], chunkVectors[idx + 1]) : null,
+      mixesTopics: Boolean(sharpest && sharpest.similarity <= drift.threshold),
+      driftSimilarity: sharpest ? sharpest.similarity : null,
+      driftPosition: sharpest ? sharpest.position : null,
+    };
+  });
+
+  return {
+    series: drift.series.map(({ position, similarity }) => ({ position, similarity })),
+    threshold: drift.threshold,
+    chunks: stats,
+  };
+};
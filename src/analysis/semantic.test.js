@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { embed, cosineSimilarity } from './embedding';
+import { measureDrift, analyzeChunkSemantics } from './semantic';
+import { chunkText } from './strategies';
+
+const words = (text) => text.match(/\s+|\S+\s*/g) ?? [];
+
+const vectors = [
+  'Vector databases store embeddings for similarity search.',
+  'A vector database indexes embeddings so similarity search stays fast.',
+  'Similarity search over stored embeddings needs a vector index.',
+  'Sourdough bread rises slowly with a wild yeast starter.',
+  'Bake the sourdough loaf in a hot oven after the starter rises.',
+  'A wild yeast starter gives sourdough bread its sour taste.',
+];
+const text = vectors.join(' ');
+
+describe('embed', () => {
+  it('puts texts that share vocabulary closer together', () => {
+    const [a, b, , c] = vectors.map(embed);
+    expect(cosineSimilarity(a, a)).toBeCloseTo(1);
+    expect(cosineSimilarity(a, b)).toBeGreaterThan(cosineSimilarity(a, c));
+  });
+});
+
+describe('measureDrift', () => {
+  it('breaks where the topic changes', () => {
+    const drift = measureDrift(text);
+    expect(drift.sentences).toHaveLength(6);
+    expect([...drift.breaks]).toEqual([3]);
+  });
+
+  it('does not force breaks into a single-topic text', () => {
+    expect(measureDrift(vectors.slice(0, 3).join(' ')).breaks.size).toBe(0);
+  });
+});
+
+describe('analyzeChunkSemantics', () => {
+  it('flags a chunk that runs across the topic change', () => {
+    const tokens = words(text);
+    const chunks = chunkText(text, tokens, { strategy: 'sentence', chunkSize: 40 });
+    const semantics = analyzeChunkSemantics(chunks, measureDrift(text));
+    expect(chunks).toHaveLength(2);
+    expect(semantics.chunks[0].mixesTopics).toBe(true);
+    expect(semantics.chunks[0].driftPosition).toBe(text.indexOf('Sourdough'));
+  });
+
+  it('cuts at the topic change in the semantic strategy', () => {
+    const chunks = chunkText(text, words(text), { strategy: 'semantic', chunkSize: 100 });
+    expect(chunks.map(c => c.startChar)).toEqual([0, text.indexOf('Sourdough')]);
+    expect(analyzeChunkSemantics(chunks, measureDrift(text)).chunks.map(c => c.mixesTopics)).toEqual([false, false]);
+  });
+});
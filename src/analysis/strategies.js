@@ -0,0 +1,238 @@
+// Structure-aware chunking strategies. Every strategy treats chunkSize as a
+// maximum and cuts only on token boundaries, so chunks stay exact for the
+// selected tokenizer.
+import {
+  buildChunk,
+  chunkContent,
+  getTokenOffsets,
+  tokenBoundaryAt,
+  SENTENCE_BOUNDARY,
+} from './chunking';
+import { measureDrift } from './semantic';
+
+export const CHUNK_STRATEGIES = [
+  { id: 'fixed', label: 'Fixed', description: 'Exact token windows; cuts mid-sentence and mid-word' },
+  { id: 'sentence', label: 'Sentence', description: 'Packs whole sentences up to the chunk size' },
+  { id: 'recursive', label: 'Recursive', description: 'Splits on \\n\\n, then \\n, then ". " and "。", then spaces' },
+  { id: 'markdown', label: 'Markdown', description: 'Never crosses a heading; oversized sections split recursively' },
+  { id: 'semantic', label: 'Semantic', description: 'Breaks where neighbouring sentences stop being similar' },
+];
+
+const RECURSIVE_SEPARATORS = ['\n\n', '\n', '. ', '。', ' '];
+const SENTENCE_SEPARATORS = [SENTENCE_BOUNDARY, /\s+/g];
+const HEADING = /^(#{1,6})[ \t]+(.+?)[ \t#]*$/gm;
+
+// ATX Markdown headings in document order
+export const extractHeadings = (text) =>
+  Array.from(text.matchAll(HEADING), match => ({
+    level: match[1].length,
+    title: match[2].trim(),
+    position: match.index,
+  }));
+
+// The headings in effect at a character position, outermost first
+const getHeadingStack = (headings, position) => {
+  const stack = [];
+  for (const heading of headings) {
+    if (heading.position > position) break;
+    while (stack.length && stack[stack.length - 1].level >= heading.level) stack.pop();
+    stack.push(heading);
+  }
+  return stack;
+};
+
+// Breadcrumb of the headings in effect at a character position
+export const getHeadingPath = (headings, position) => getHeadingStack(headings, position).map(h => h.title);
+
+// Contextual chunk headers, as retrieval stacks prepend them before
+// embedding. Placeholders: {title} (the document title, else its first H1),
+// {h1}–{h6} (the heading of that level in effect) and {path} (the whole
+// breadcrumb).
+export const CHUNK_HEADER_PLACEHOLDERS = ['{title}', '{h1}', '{h2}', '{h3}', '{path}'];
+const HEADER_PLACEHOLDER = /\{(title|path|h[1-6])\}/g;
+
+// Fill a header template. Empty placeholders drop out with the separator in
+// front of them, so "{title} > {h2} > {h3}" has no dangling " > " where a
+// level is missing. The header ends in a newline unless the template ends in
+// whitespace, and is empty when every placeholder is.
+export const renderChunkHeader = (template, { title, stack }) => {
+  const values = {
+    title,
+    path: stack.map(h => h.title).join(' > '),
+    ...Object.fromEntries(stack.map(h => [`h${h.level}`, h.title])),
+  };
+  const parts = template.split(HEADER_PLACEHOLDER);
+  const filled = parts.filter((_, i) => i % 2 === 1).map(name => values[name] ?? '');
+  if (!filled.some(Boolean)) return '';
+
+  let header = parts[0];
+  let started = false;
+  filled.forEach((value, i) => {
+    if (!value) return;
+    if (started) header += parts[2 * i];
+    header += value;
+    started = true;
+  });
+  header += parts[parts.length - 1];
+  return /\s$/.test(header) ? header : `${header}\n`;
+};
+
+// Token boundaries just after each separator occurrence inside [start, end)
+const findCuts = (ctx, start, end, separator) => {
+  const from = ctx.offsets[start];
+  const slice = ctx.text.slice(from, ctx.offsets[end]);
+  const cuts = new Set();
+  const add = (charPos) => {
+    const boundary = tokenBoundaryAt(ctx.offsets, from + charPos);
+    if (boundary > start && boundary < end) cuts.add(boundary);
+  };
+
+  if (typeof separator === 'string') {
+    for (let i = slice.indexOf(separator); i !== -1; i = slice.indexOf(separator, i + separator.length)) {
+      add(i + separator.length);
+    }
+  } else {
+    for (const match of slice.matchAll(separator)) add(match.index + match[0].length);
+  }
+  return [...cuts].sort((a, b) => a - b);
+};
+
+// Split [start, end) on the highest-priority separator that occurs, greedily
+// pack the pieces up to the budget, and recurse into pieces that are still too big
+const splitRange = (ctx, start, end, separators) => {
+  if (end - start <= ctx.budget) return [[start, end]];
+
+  if (separators.length === 0) {
+    const ranges = [];
+    for (let s = start; s < end; s += ctx.budget) ranges.push([s, Math.min(s + ctx.budget, end)]);
+    return ranges;
+  }
+
+  const [separator, ...rest] = separators;
+  const cuts = findCuts(ctx, start, end, separator);
+  if (cuts.length === 0) return splitRange(ctx, start, end, rest);
+
+  const bounds = [start, ...cuts, end];
+  const ranges = [];
+  let current = null;
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const [s, e] = [bounds[i], bounds[i + 1]];
+    if (e - s > ctx.budget) {
+      if (current) ranges.push(current);
+      current = null;
+      ranges.push(...splitRange(ctx, s, e, rest));
+    } else if (current && e - current[0] <= ctx.budget) {
+      current = [current[0], e];
+    } else {
+      if (current) ranges.push(current);
+      current = [s, e];
+    }
+  }
+  if (current) ranges.push(current);
+  return ranges;
+};
+
+// Sections start at heading lines and are never merged with each other
+const splitSections = (ctx, headings) => {
+  const bounds = [0];
+  for (const heading of headings) {
+    const boundary = tokenBoundaryAt(ctx.offsets, heading.position);
+    if (boundary > bounds[bounds.length - 1] && boundary < ctx.tokenCount) bounds.push(boundary);
+  }
+  bounds.push(ctx.tokenCount);
+
+  const ranges = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    ranges.push(...splitRange(ctx, bounds[i], bounds[i + 1], RECURSIVE_SEPARATORS));
+  }
+  return ranges;
+};
+
+// Packs sentences like the sentence strategy, but also starts a new chunk at
+// every semantic breakpoint
+const splitSemantic = (ctx) => {
+  const drift = measureDrift(ctx.text);
+  const breakTokens = new Set();
+  const bounds = new Set([0, ctx.tokenCount]);
+  drift.sentences.forEach((sentence, i) => {
+    const boundary = tokenBoundaryAt(ctx.offsets, sentence.start);
+    if (boundary <= 0 || boundary >= ctx.tokenCount) return;
+    bounds.add(boundary);
+    if (drift.breaks.has(i)) breakTokens.add(boundary);
+  });
+  const sorted = [...bounds].sort((a, b) => a - b);
+
+  const ranges = [];
+  let current = null;
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const [s, e] = [sorted[i], sorted[i + 1]];
+    if (e - s > ctx.budget) {
+      if (current) ranges.push(current);
+      current = null;
+      ranges.push(...splitRange(ctx, s, e, [/\s+/g]));
+    } else if (current && !breakTokens.has(s) && e - current[0] <= ctx.budget) {
+      current = [current[0], e];
+    } else {
+      if (current) ranges.push(current);
+      current = [s, e];
+    }
+  }
+  if (current) ranges.push(current);
+  return ranges;
+};
+
+// Each chunk is labelled with the heading path at the first non-blank
+// character of its own (non-overlap) content, and given the contextual header
+// its template renders to (tokenized with the chunking tokenizer)
+const withHeadings = (chunks, headings, { headerTemplate, title, tokenize }) => {
+  const documentTitle = title || headings.find(h => h.level === 1)?.title || '';
+  const headerTokens = new Map();
+  return chunks.map(chunk => {
+    const own = chunk.text.slice(chunk.overlapText.length);
+    const leading = own.length - own.trimStart().length;
+    const stack = getHeadingStack(headings, chunk.startChar + chunk.overlapText.length + leading);
+    const labelled = { ...chunk, headingPath: stack.map(h => h.title) };
+    const header = headerTemplate && tokenize ? renderChunkHeader(headerTemplate, { title: documentTitle, stack }) : '';
+    if (!header) return labelled;
+    if (!headerTokens.has(header)) headerTokens.set(header, tokenize(header));
+    const tokens = headerTokens.get(header);
+    return {
+      ...labelled,
+      header,
+      headerTokens: tokens,
+      headerTokenCount: tokens.length,
+      embeddedTokenCount: tokens.length + chunk.tokenCount,
+    };
+  });
+};
+
+// headerTemplate (with title and the chunking tokenizer's tokenize) adds a
+// contextual header to every chunk; it doesn't count against chunkSize
+export const chunkText = (text, tokens, { strategy = 'fixed', chunkSize, overlap = 0, headerTemplate = '', title = '', tokenize }) => {
+  const headings = extractHeadings(text);
+  const headerOptions = { headerTemplate: headerTemplate.trim() && headerTemplate, title, tokenize };
+  if (strategy === 'fixed' || tokens.length === 0) {
+    return withHeadings(chunkContent(text, tokens, chunkSize, overlap), headings, headerOptions);
+  }
+
+  // Overlap is taken from the previous chunk, so the structural unit has to
+  // leave room for it under the chunk size
+  const offsets = getTokenOffsets(tokens);
+  const ctx = {
+    text,
+    offsets: [...offsets, text.length],
+    tokenCount: tokens.length,
+    budget: Math.max(1, chunkSize - overlap),
+  };
+
+  let ranges;
+  if (strategy === 'markdown') ranges = splitSections(ctx, headings);
+  else if (strategy === 'semantic') ranges = splitSemantic(ctx);
+  else ranges = splitRange(ctx, 0, tokens.length, strategy === 'sentence' ? SENTENCE_SEPARATORS : RECURSIVE_SEPARATORS);
+
+  const chunks = ranges.map(([start, end]) => {
+    const extendedStart = Math.max(0, start - overlap);
+    return buildChunk(tokens, offsets, extendedStart, end, start - extendedStart);
+  });
+  return withHeadings(chunks, headings, headerOptions);
+};
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { chunkText, extractHeadings, getHeadingPath, renderChunkHeader } from './strategies';
+
+// One token per word, with the whitespace after it
+const words = (text) => text.match(/\s+|\S+\s*/g) ?? [];
+const chunk = (text, options) => chunkText(text, words(text), { chunkSize: 8, ...options }).map(c => c.text);
+
+describe('chunkText', () => {
+  const prose = 'One two three. Four five six seven. Eight nine. Ten eleven twelve thirteen fourteen.';
+
+  it('cuts fixed windows wherever the size runs out', () => {
+    expect(chunk(prose, { strategy: 'fixed' })[0]).toBe('One two three. Four five six seven. Eight ');
+  });
+
+  it('packs whole sentences up to the chunk size', () => {
+    expect(chunk(prose, { strategy: 'sentence' })).toEqual([
+      'One two three. Four five six seven. ',
+      'Eight nine. Ten eleven twelve thirteen fourteen.',
+    ]);
+  });
+
+  it('splits on paragraphs first, then lines, in the recursive strategy', () => {
+    const text = 'Alpha beta gamma.\n\nDelta epsilon.\nZeta eta theta iota kappa.';
+    expect(chunk(text, { strategy: 'recursive', chunkSize: 5 })).toEqual([
+      'Alpha beta gamma.\n\n',
+      'Delta epsilon.\n',
+      'Zeta eta theta iota kappa.',
+    ]);
+  });
+
+  it('never crosses a heading in the Markdown strategy', () => {
+    const text = '# Guide\n\nShort intro.\n\n## Setup\n\nInstall it.\n\n## Usage\n\nRun it.';
+    const chunks = chunkText(text, words(text), { strategy: 'markdown', chunkSize: 50 });
+    expect(chunks.map(c => c.text)).toEqual(['# Guide\n\nShort intro.\n\n', '## Setup\n\nInstall it.\n\n', '## Usage\n\nRun it.']);
+    expect(chunks.map(c => c.headingPath)).toEqual([['Guide'], ['Guide', 'Setup'], ['Guide', 'Usage']]);
+  });
+
+  it('leaves room for the overlap under the chunk size', () => {
+    const chunks = chunkText(prose, words(prose), { strategy: 'sentence', chunkSize: 8, overlap: 2 });
+    expect(chunks.map(c => c.text.slice(c.overlapText.length))).toEqual([
+      'One two three. ',
+      'Four five six seven. Eight nine. ',
+      'Ten eleven twelve thirteen fourteen.',
+    ]);
+    expect(chunks.map(c => c.tokenCount)).toEqual([3, 8, 7]);
+    expect(chunks[1].overlapText).toBe('two three. ');
+  });
+
+  it('prepends the rendered header without counting it against the chunk size', () => {
+    const text = '# Guide\n\nShort intro.\n\n## Setup\n\nInstall it.';
+    const chunks = chunkText(text, words(text), { strategy: 'markdown', chunkSize: 50, headerTemplate: '{title} > {h2}', tokenize: words });
+    expect(chunks.map(c => c.header)).toEqual(['Guide\n', 'Guide > Setup\n']);
+    expect(chunks[1].headerTokenCount).toBe(3);
+    expect(chunks[1].embeddedTokenCount).toBe(chunks[1].tokenCount + 3);
+    expect(chunkText(text, words(text), { strategy: 'markdown', chunkSize: 50, headerTemplate: '  ', tokenize: words })[0].header).toBe('');
+  });
+});
+
+describe('renderChunkHeader', () => {
+  const stack = [{ level: 1, title: 'Guide' }, { level: 3, title: 'Install' }];
+
+  it('drops empty placeholders with the separator in front of them', () => {
+    expect(renderChunkHeader('{title} > {h2} > {h3}', { title: 'Docs', stack })).toBe('Docs > Install\n');
+    expect(renderChunkHeader('Section: {path}\n\n', { title: '', stack })).toBe('Section: Guide > Install\n\n');
+    expect(renderChunkHeader('{h2}', { title: 'Docs', stack })).toBe('');
+  });
+});
+
+describe('getHeadingPath', () => {
+  it('keeps the headings in effect at a position, outermost first', () => {
+    const text = '# A\n## B\n### C\n## D\ntext';
+    const headings = extractHeadings(text);
+    expect(headings.map(h => [h.level, h.title])).toEqual([[1, 'A'], [2, 'B'], [3, 'C'], [2, 'D']]);
+    expect(getHeadingPath(headings, text.indexOf('### C') + 1)).toEqual(['A', 'B', 'C']);
+    expect(getHeadingPath(headings, text.indexOf('text'))).toEqual(['A', 'D']);
+  });
+});
@@ -0,0 +1,37 @@
+// Word-level terms shared by the embedding and retrieval models.
+
+export const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'does',
+  'for', 'from', 'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'more',
+  'not', 'of', 'on', 'or', 'our', 'so', 'than', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which',
+  'while', 'who', 'will', 'with', 'you', 'your',
+]);
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Lowercased non-stopword terms with their character position in the text
+export const extractTerms = (text) =>
+  Array.from(text.matchAll(WORD), match => ({ term: match[0].toLowerCase(), position: match.index }))
+    .filter(t => !STOPWORDS.has(t.term));
+
+// Light suffix stripping: plurals, -ing/-ed, and a trailing e, so "optimize",
+// "optimized", "optimizing" and "optimizes" share a stem. Short words are kept.
+export const stem = (word) => {
+  let w = word.toLowerCase();
+  if (w.length <= 3) return w;
+
+  if (w.endsWith('ies') && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (/(ss|x|ch|sh|z)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  const suffix = w.match(/(ing|ed)$/);
+  if (suffix && w.length - suffix[0].length >= 3 && /[aeiouy]/.test(w.slice(0, -suffix[0].length))) {
+    w = w.slice(0, -suffix[0].length);
+    // running -> run, stopped -> stop
+    if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+  }
+
+  if (w.endsWith('e') && w.length > 4) w = w.slice(0, -1);
+  return w;
+};
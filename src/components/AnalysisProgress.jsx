@@ -0,0 +1,30 @@
+import React from 'react';
+
+const PHASE_LABELS = {
+  tokenizing: 'Tokenizing',
+  analyzing: 'Chunking and finding entities',
+};
+
+// Progress of a slow background analysis, or the error that stopped it
+export default function AnalysisProgress({ progress, error }) {
+  if (error) {
+    return <div style={{ marginTop: '8px', fontSize: '11px', color: '#FF4444' }}>Analysis failed: {error}</div>;
+  }
+  if (!progress) return null;
+  const fraction = progress.phase === 'tokenizing' && progress.total > 0 ? progress.done / progress.total : null;
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '8px', fontSize: '11px', color: '#6B7280' }}>
+      <span>{PHASE_LABELS[progress.phase]}…</span>
+      <div style={{ flex: 1, maxWidth: '240px', height: '4px', backgroundColor: '#1F2937', borderRadius: '2px', overflow: 'hidden' }}>
+        <div style={{
+          width: `${(fraction ?? 1) * 100}%`,
+          height: '100%',
+          backgroundColor: fraction === null ? '#30363D' : '#4FD1C5',
+          transition: 'width 0.2s',
+        }} />
+      </div>
+      {fraction !== null && <span>{(fraction * 100).toFixed(0)}%</span>}
+    </div>
+  );
+}
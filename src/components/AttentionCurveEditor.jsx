@@ -0,0 +1,207 @@
+import React, { useState, useRef } from 'react';
+import { evaluateCurve, getAttentionThresholds, getAttentionColor } from '../analysis/attention';
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = 12;
+
+const toX = (x) => PADDING + x * (WIDTH - 2 * PADDING);
+const toY = (y) => PADDING + (1 - y) * (HEIGHT - 2 * PADDING);
+
+const buttonStyle = (active) => ({
+  padding: '4px 10px',
+  backgroundColor: active ? '#4FD1C5' : '#1F2937',
+  color: active ? '#0D1117' : '#E6EDF3',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+  fontSize: '11px',
+});
+
+// Drag control points to reshape the curve; double-click empty space to add a
+// point and double-click a point to remove it. The curve is applied on release.
+export default function AttentionCurveEditor({ curve, presets, savedCurves, onChange, onSave, onDelete }) {
+  const [draft, setDraft] = useState(null);
+  const [name, setName] = useState('');
+  const dragIndex = useRef(null);
+  const svgRef = useRef(null);
+
+  const points = draft ?? curve.points;
+  const thresholds = getAttentionThresholds(draft ? { points: draft } : curve);
+
+  const toCurveCoords = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const x = (((e.clientX - rect.left) / rect.width) * WIDTH - PADDING) / (WIDTH - 2 * PADDING);
+    const y = 1 - (((e.clientY - rect.top) / rect.height) * HEIGHT - PADDING) / (HEIGHT - 2 * PADDING);
+    return { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)) };
+  };
+
+  const commit = (nextPoints) => {
+    const base = curve.label.replace(/ \(edited\)$/, '');
+    onChange({ id: 'edited', label: `${base} (edited)`, points: nextPoints });
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragIndex.current === null) return;
+    const i = dragIndex.current;
+    const { x, y } = toCurveCoords(e);
+    setDraft(prev => prev.map((p, j) => {
+      if (j !== i) return p;
+      // Endpoints stay at 0 and 1; inner points can't pass their neighbours
+      const nextX = i === 0 ? 0 : i === prev.length - 1 ? 1 : Math.max(prev[i - 1].x, Math.min(prev[i + 1].x, x));
+      return { x: nextX, y: Math.round(y * 1000) / 1000 };
+    }));
+  };
+
+  const handlePointerUp = () => {
+    if (dragIndex.current === null) return;
+    dragIndex.current = null;
+    commit(draft);
+    setDraft(null);
+  };
+
+  const addPoint = (e) => {
+    const { x, y } = toCurveCoords(e);
+    if (x <= 0 || x >= 1) return;
+    commit([...points, { x, y }].sort((a, b) => a.x - b.x));
+  };
+
+  const removePoint = (i) => {
+    if (i === 0 || i === points.length - 1) return;
+    commit(points.filter((_, j) => j !== i));
+  };
+
+  const samples = Array.from({ length: 101 }, (_, i) => i / 100);
+  const path = samples.map(x => `${toX(x).toFixed(1)},${toY(evaluateCurve(points, x)).toFixed(1)}`).join(' ');
+  const minY = thresholds.min;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        {presets.map(preset => (
+          <button key={preset.id} onClick={() => onChange(preset)} style={buttonStyle(curve.id === preset.id)}>
+            {preset.label}
+          </button>
+        ))}
+        {savedCurves.map(saved => (
+          <span key={saved.id} style={{ display: 'inline-flex' }}>
+            <button onClick={() => onChange(saved)} style={{ ...buttonStyle(curve.id === saved.id), borderRadius: '4px 0 0 4px' }}>
+              {saved.label}
+            </button>
+            <button
+              onClick={() => onDelete(saved.id)}
+              title="Delete saved curve"
+              style={{ ...buttonStyle(false), borderRadius: '0 4px 4px 0', color: '#6B7280', paddingLeft: '6px' }}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        onDoubleClick={addPoint}
+        style={{
+          width: '100%',
+          height: 'auto',
+          backgroundColor: '#0D1117',
+          borderRadius: '4px',
+          touchAction: 'none',
+          userSelect: 'none',
+        }}
+      >
+        {[thresholds.hot, thresholds.low].filter(Number.isFinite).map((y, i) => (
+          <line
+            key={i}
+            x1={toX(0)}
+            x2={toX(1)}
+            y1={toY(y)}
+            y2={toY(y)}
+            stroke={i === 0 ? '#4FD1C5' : '#FF4444'}
+            strokeDasharray="6 6"
+            strokeWidth={1}
+            opacity={0.6}
+          />
+        ))}
+        <polyline points={path} fill="none" stroke="#E6EDF3" strokeWidth={2} />
+        {points.map((p, i) => (
+          <circle
+            key={i}
+            cx={toX(p.x)}
+            cy={toY(p.y)}
+            r={7}
+            fill={getAttentionColor(p.y)}
+            stroke="#0D1117"
+            strokeWidth={2}
+            style={{ cursor: 'grab' }}
+            onPointerDown={(e) => {
+              e.stopPropagation();
+              svgRef.current.setPointerCapture(e.pointerId);
+              dragIndex.current = i;
+              setDraft(points);
+            }}
+            onDoubleClick={(e) => {
+              e.stopPropagation();
+              removePoint(i);
+            }}
+          >
+            <title>{`${(p.x * 100).toFixed(0)}% into the chunk · ${(p.y * 100).toFixed(0)}% attention`}</title>
+          </circle>
+        ))}
+      </svg>
+
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        fontSize: '10px',
+        color: '#6B7280',
+        marginTop: '6px',
+      }}>
+        <span>Start ({(evaluateCurve(points, 0) * 100).toFixed(0)}%)</span>
+        <span>
+          Lowest {(minY * 100).toFixed(0)}%
+          {Number.isFinite(thresholds.hot)
+            ? ` · hot ≥ ${(thresholds.hot * 100).toFixed(0)}% · murky < ${(thresholds.low * 100).toFixed(0)}%`
+            : ' · no hot or murky zones'}
+        </span>
+        <span>End ({(evaluateCurve(points, 1) * 100).toFixed(0)}%)</span>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '12px' }}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Curve name"
+          style={{
+            width: '160px',
+            padding: '6px 8px',
+            backgroundColor: '#1F2937',
+            color: '#E6EDF3',
+            border: 'none',
+            borderRadius: '4px',
+            fontSize: '12px',
+            fontFamily: 'inherit',
+          }}
+        />
+        <button
+          onClick={() => {
+            onSave(name.trim() || curve.label.replace(/ \(edited\)$/, ''));
+            setName('');
+          }}
+          style={buttonStyle(false)}
+        >
+          Save curve
+        </button>
+        <span style={{ fontSize: '10px', color: '#4B5563' }}>
+          Drag points · double-click to add or remove
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useMemo, useState } from 'react';
+import { parseCalibrationCsv, fitCalibration, matchSampleModel } from '../tokenizers/calibration';
+
+const buttonStyle = (primary) => ({
+  padding: '6px 12px',
+  backgroundColor: primary ? '#4FD1C5' : '#1F2937',
+  color: primary ? '#0D1117' : '#E6EDF3',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontFamily: 'inherit',
+});
+
+const cellStyle = { padding: '6px 8px', textAlign: 'right' };
+
+const formatError = ({ mape, bias }) => `${(mape * 100).toFixed(1)}% (${bias >= 0 ? '+' : ''}${(bias * 100).toFixed(1)}% total)`;
+
+// Reference counts per model, the scale fitted for each approximation and its
+// error before and after. settings = { samples: [{ model, text, tokens }], scales: { [id]: scale } }
+export default function CalibrationPanel({ tokenizers, settings, onSettingsChange }) {
+  const [csv, setCsv] = useState('');
+  const [status, setStatus] = useState(null);
+
+  const fits = useMemo(() => fitCalibration(settings.samples, tokenizers), [settings.samples, tokenizers]);
+  const unmatched = settings.samples.filter(s => !matchSampleModel(s.model, tokenizers)).length;
+  const fitted = fits.filter(f => !f.exact);
+  const applied = fitted.length > 0 && fitted.every(f => settings.scales[f.id] === f.scale);
+
+  const addSamples = (text) => {
+    try {
+      const { samples, skipped } = parseCalibrationCsv(text);
+      onSettingsChange({ ...settings, samples: [...settings.samples, ...samples] });
+      setStatus({ message: `Added ${samples.length} samples${skipped ? `, skipped ${skipped} rows without a model, text or count` : ''}.` });
+      setCsv('');
+    } catch (err) {
+      setStatus({ error: true, message: err.message });
+    }
+  };
+
+  return (
+    <div style={{
+      marginBottom: '24px',
+      backgroundColor: '#161B22',
+      border: '1px solid #30363D',
+      borderRadius: '6px',
+      padding: '16px',
+    }}>
+      <div style={{ fontSize: '11px', color: '#6B7280', marginBottom: '8px' }}>
+        Paste or import a CSV with <code>model</code>, <code>text</code> and <code>tokens</code> columns, e.g. from API usage logs.
+        Model names match by id or prefix (claude-sonnet-4 → Claude, gemini-2.5-pro → Gemini, gpt-4o → GPT).
+      </div>
+      <textarea
+        value={csv}
+        onChange={(e) => setCsv(e.target.value)}
+        placeholder={'model,text,tokens\nclaude-sonnet-4,"The quick brown fox jumps over the lazy dog.",11'}
+        style={{
+          width: '100%',
+          height: '90px',
+          backgroundColor: '#0D1117',
+          border: '1px solid #30363D',
+          borderRadius: '4px',
+          padding: '8px',
+          color: '#E6EDF3',
+          fontFamily: 'inherit',
+          fontSize: '12px',
+          resize: 'vertical',
+          outline: 'none',
+        }}
+      />
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginTop: '8px' }}>
+        <button onClick={() => addSamples(csv)} disabled={!csv.trim()} style={buttonStyle(false)}>Add samples</button>
+        <label style={buttonStyle(false)}>
+          Import CSV
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={async (e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (file) addSamples(await file.text());
+            }}
+            style={{ display: 'none' }}
+          />
+        </label>
+        {settings.samples.length > 0 && (
+          <button onClick={() => onSettingsChange({ ...settings, samples: [] })} style={buttonStyle(false)}>
+            Clear {settings.samples.length} samples
+          </button>
+        )}
+        <span style={{ fontSize: '11px', color: status?.error ? '#FF4444' : '#6B7280' }}>{status?.message}</span>
+      </div>
+
+      {fits.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', marginTop: '16px' }}>
+          <thead>
+            <tr style={{ color: '#6B7280', fontSize: '11px', borderBottom: '1px solid #30363D' }}>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Model</th>
+              <th style={cellStyle}>Samples</th>
+              <th style={cellStyle}>Error before</th>
+              <th style={cellStyle}>Error after</th>
+              <th style={cellStyle}>Scale</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fits.map(fit => (
+              <tr key={fit.id} style={{ borderBottom: '1px solid #1F2937' }}>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>{fit.label}</td>
+                <td style={cellStyle}>{fit.sampleCount}</td>
+                <td style={{ ...cellStyle, color: '#F59E0B' }}>{formatError(fit.before)}</td>
+                <td style={{ ...cellStyle, color: '#4FD1C5' }}>{fit.exact ? '—' : formatError(fit.after)}</td>
+                <td style={{ ...cellStyle, color: '#9CA3AF' }}>
+                  {fit.exact ? 'exact, not fitted' : `×${fit.scale}`}
+                  {!fit.exact && settings.scales[fit.id] !== undefined && settings.scales[fit.id] !== fit.scale && (
+                    <span style={{ color: '#4B5563' }}> (applied ×{settings.scales[fit.id]})</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {unmatched > 0 && (
+        <div style={{ fontSize: '11px', color: '#4B5563', marginTop: '8px' }}>
+          {unmatched} samples name a model that isn't loaded and are ignored.
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '16px' }}>
+        <button
+          onClick={() => onSettingsChange({ ...settings, scales: { ...settings.scales, ...Object.fromEntries(fitted.map(f => [f.id, f.scale])) } })}
+          disabled={fitted.length === 0 || applied}
+          style={buttonStyle(fitted.length > 0 && !applied)}
+        >
+          {applied ? 'Calibration applied' : 'Apply calibration'}
+        </button>
+        {Object.keys(settings.scales).length > 0 && (
+          <button onClick={() => onSettingsChange({ ...settings, scales: {} })} style={buttonStyle(false)}>
+            Reset to uncalibrated
+          </button>
+        )}
+        <span style={{ fontSize: '11px', color: '#4B5563' }}>
+          Applied scales are saved in the browser and used for every count and chunk.
+        </span>
+      </div>
+    </div>
+  );
+}
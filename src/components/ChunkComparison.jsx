@@ -0,0 +1,156 @@
+import React from 'react';
+import { getAttentionColor } from '../analysis/attention';
+
+const STATUS_COLORS = {
+  aligned: '#4FD1C5',
+  minor: '#F59E0B',
+  major: '#FF4444',
+};
+
+const getDriftLabel = (boundary) => {
+  if (boundary.status === 'aligned') return 'aligned';
+  if (boundary.spreadWords === null) return 'missing in some models';
+  return `drift ${boundary.spreadWords} word${boundary.spreadWords === 1 ? '' : 's'}`;
+};
+
+const sectionTitle = {
+  margin: '24px 0 12px 0',
+  fontSize: '12px',
+  color: '#6B7280',
+  textTransform: 'uppercase',
+  letterSpacing: '1px',
+};
+
+// Side-by-side chunk boundaries for every registered tokenizer, with each
+// model's cuts matched by position
+export default function ChunkComparison({ comparison, contentLength }) {
+  const { models, boundaries, divergentBoundaries, zoneConflicts } = comparison;
+  const labels = Object.fromEntries(models.map(m => [m.id, m.label]));
+
+  return (
+    <div>
+      <div style={{ fontSize: '12px', color: '#6B7280', marginBottom: '16px' }}>
+        {divergentBoundaries} of {boundaries.length} boundaries diverge
+        · {zoneConflicts.length} entit{zoneConflicts.length === 1 ? 'y changes' : 'ies change'} attention zone between models
+      </div>
+
+      {/* Boundary map: one row per model, ticks at each cut */}
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {models.map((model, modelIndex) => (
+          <div key={model.id} style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            <span style={{ width: '120px', fontSize: '11px', color: '#E6EDF3', flexShrink: 0 }}>
+              {model.label}
+            </span>
+            <div style={{
+              position: 'relative',
+              flex: 1,
+              height: '16px',
+              backgroundColor: '#0D1117',
+              borderRadius: '3px',
+            }}>
+              {boundaries.map(boundary => {
+                const { position } = boundary.cuts[modelIndex];
+                return position !== null && (
+                  <div
+                    key={boundary.index}
+                    title={`Boundary ${boundary.index + 1} at char ${position}`}
+                    style={{
+                      position: 'absolute',
+                      left: `${(position / contentLength) * 100}%`,
+                      top: 0,
+                      bottom: 0,
+                      width: '2px',
+                      backgroundColor: STATUS_COLORS[boundary.status],
+                    }}
+                  />
+                );
+              })}
+            </div>
+            <span style={{ width: '72px', fontSize: '11px', color: '#6B7280', textAlign: 'right' }}>
+              {model.chunkCount} chunks
+            </span>
+          </div>
+        ))}
+      </div>
+
+      <h4 style={sectionTitle}>Boundaries</h4>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {boundaries.map(boundary => (
+          <div key={boundary.index} style={{
+            backgroundColor: '#0D1117',
+            borderRadius: '4px',
+            padding: '12px',
+            borderLeft: `3px solid ${STATUS_COLORS[boundary.status]}`,
+          }}>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              marginBottom: '8px',
+              fontSize: '11px',
+            }}>
+              <span style={{ color: '#4FD1C5' }}>
+                Boundary {boundary.index + 1}
+              </span>
+              <span style={{ color: STATUS_COLORS[boundary.status] }}>
+                {getDriftLabel(boundary)}
+              </span>
+            </div>
+            {boundary.cuts.map(cut => (
+              <div key={cut.modelId} style={{ display: 'flex', gap: '12px', fontSize: '11px', lineHeight: 1.6 }}>
+                <span style={{ width: '120px', color: '#6B7280', flexShrink: 0 }}>
+                  {labels[cut.modelId]}
+                </span>
+                {cut.position === null ? (
+                  <span style={{ color: '#4B5563' }}>no boundary</span>
+                ) : (
+                  <span style={{ color: '#9CA3AF', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                    …{cut.before}<span style={{ color: STATUS_COLORS[boundary.status], fontWeight: 600 }}>┃</span>{cut.after}…
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <h4 style={sectionTitle}>Entity Zone Conflicts</h4>
+      {zoneConflicts.length === 0 ? (
+        <div style={{ color: '#4FD1C5', fontSize: '13px' }}>
+          ✓ Every entity keeps its attention zone across models
+        </div>
+      ) : (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))',
+          gap: '12px',
+        }}>
+          {zoneConflicts.map((conflict, idx) => (
+            <div key={idx} style={{
+              backgroundColor: '#0D1117',
+              borderRadius: '4px',
+              padding: '12px',
+              borderLeft: '3px solid #F59E0B',
+            }}>
+              <div style={{ fontWeight: 600, marginBottom: '8px' }}>
+                {conflict.text}
+              </div>
+              {conflict.placements.map(p => (
+                <div key={p.modelId} style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  fontSize: '11px',
+                  color: '#6B7280',
+                }}>
+                  <span>{p.label}: chunk {p.chunkIndex + 1}</span>
+                  <span style={{ color: getAttentionColor(p.attentionScore) }}>
+                    {(p.attentionScore * 100).toFixed(0)}% {p.zone.toUpperCase()}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
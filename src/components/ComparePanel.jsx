@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+
+const CHANGE_LABELS = {
+  better: ['#4FD1C5', (e) => `${e.before.zone} → ${e.after.zone} zone`],
+  worse: ['#FF4444', (e) => `${e.before.zone} → ${e.after.zone} zone`],
+  moved: ['#9CA3AF', (e) => `chunk ${e.before.chunkIndex + 1} → ${e.after.chunkIndex + 1}`],
+  added: ['#F59E0B', (e) => `new · ${e.after.zone} zone, chunk ${e.after.chunkIndex + 1}`],
+  removed: ['#6B7280', () => 'no longer mentioned'],
+};
+
+const HINT_GROUPS = [
+  ['resolved', 'Resolved', '#4FD1C5', '✓'],
+  ['added', 'New in B', '#FF4444', '+'],
+  ['remaining', 'Still open', '#6B7280', '·'],
+];
+
+const cellStyle = {
+  padding: '6px 8px',
+  textAlign: 'right',
+  borderBottom: '1px solid #1F2937',
+};
+
+const paneStyle = {
+  backgroundColor: '#0D1117',
+  borderRadius: '4px',
+  padding: '10px',
+  fontSize: '11px',
+  lineHeight: 1.6,
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-word',
+  color: '#9CA3AF',
+};
+
+const subheading = { fontSize: '12px', color: '#9CA3AF', margin: '20px 0 8px 0' };
+
+const Pieces = ({ pieces }) => {
+  if (!pieces) return <span style={{ color: '#4B5563', fontStyle: 'italic' }}>no chunk</span>;
+  return pieces.map((piece, i) => (
+    <span
+      key={i}
+      style={
+        piece.type === 'removed'
+          ? { backgroundColor: '#FF444430', color: '#FF8A8A', textDecoration: 'line-through' }
+          : piece.type === 'added'
+            ? { backgroundColor: '#4FD1C530', color: '#E6EDF3' }
+            : undefined
+      }
+    >
+      {piece.text}
+    </span>
+  ));
+};
+
+const EntityChange = ({ entity }) => {
+  const [color, describe] = CHANGE_LABELS[entity.change];
+  return (
+    <span style={{ fontSize: '10px', padding: '2px 6px', borderRadius: '3px', backgroundColor: '#1F2937', color }}>
+      {entity.text} · {describe(entity)}
+    </span>
+  );
+};
+
+// Version A (the main content) against version B, chunk by chunk
+export default function ComparePanel({ comparison }) {
+  const [showAll, setShowAll] = useState(false);
+  const { metrics, hints, entities, chunks } = comparison;
+  const movedEntities = entities.filter(e => e.change !== 'same');
+  const rows = showAll ? chunks : chunks.filter(r => r.changed);
+
+  return (
+    <div>
+      <table style={{ borderCollapse: 'collapse', fontSize: '11px', width: '100%' }}>
+        <thead>
+          <tr style={{ color: '#6B7280' }}>
+            <th style={{ ...cellStyle, textAlign: 'left' }}>Metric</th>
+            <th style={cellStyle}>A</th>
+            <th style={cellStyle}>B</th>
+            <th style={cellStyle}>Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {metrics.map(m => {
+            const delta = m.b - m.a;
+            const unchanged = Math.abs(delta) < 10 ** -m.digits / 2;
+            const better = m.lowerIsBetter === null ? null : m.lowerIsBetter ? delta < 0 : delta > 0;
+            return (
+              <tr key={m.label}>
+                <td style={{ ...cellStyle, textAlign: 'left', color: '#9CA3AF' }}>{m.label}</td>
+                <td style={{ ...cellStyle, color: '#E6EDF3' }}>{m.a.toFixed(m.digits)}</td>
+                <td style={{ ...cellStyle, color: '#E6EDF3' }}>{m.b.toFixed(m.digits)}</td>
+                <td style={{
+                  ...cellStyle,
+                  color: unchanged ? '#4B5563' : better === null ? '#9CA3AF' : better ? '#4FD1C5' : '#FF4444',
+                }}>
+                  {unchanged ? '–' : `${delta > 0 ? '+' : ''}${delta.toFixed(m.digits)}`}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div style={subheading}>Hints</div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '12px' }}>
+        {HINT_GROUPS.map(([key, label, color, icon]) => (
+          <div key={key}>
+            <div style={{ fontSize: '11px', color, marginBottom: '6px' }}>{label} ({hints[key].length})</div>
+            {hints[key].map(hint => (
+              <div key={hint.id} style={{ fontSize: '11px', color: '#9CA3AF', marginBottom: '6px', display: 'flex', gap: '6px' }}>
+                <span style={{ color }}>{icon}</span>
+                <span>{hint.message}</span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div style={subheading}>Entity movement</div>
+      {movedEntities.length === 0 ? (
+        <div style={{ fontSize: '11px', color: '#4B5563' }}>Every entity keeps its chunk and attention zone.</div>
+      ) : (
+        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+          {movedEntities.map(entity => <EntityChange key={entity.id} entity={entity} />)}
+        </div>
+      )}
+
+      <div style={{ ...subheading, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span>Diff by chunk</span>
+        <label style={{ fontSize: '11px', color: '#6B7280', cursor: 'pointer' }}>
+          <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} /> show unchanged chunks
+        </label>
+      </div>
+      {rows.length === 0 && (
+        <div style={{ fontSize: '11px', color: '#4B5563' }}>Both versions are identical.</div>
+      )}
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+        {rows.map(row => (
+          <div key={row.index}>
+            <div style={{ fontSize: '10px', color: row.changed ? '#F59E0B' : '#4B5563', marginBottom: '4px' }}>
+              C{row.index + 1}
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+              <div style={paneStyle}><Pieces pieces={row.a} /></div>
+              <div style={paneStyle}><Pieces pieces={row.b} /></div>
+            </div>
+            {row.entities.length > 0 && (
+              <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginTop: '6px' }}>
+                {row.entities.map(entity => <EntityChange key={entity.id} entity={entity} />)}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React from 'react';
+import { getAttentionColor } from '../analysis/attention';
+
+const inputStyle = {
+  width: '80px',
+  padding: '6px 8px',
+  backgroundColor: '#1F2937',
+  color: '#E6EDF3',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '12px',
+  fontFamily: 'inherit',
+};
+
+const PART_COLORS = {
+  system: '#30363D',
+  other: '#1F2937',
+  question: '#F59E0B',
+};
+
+const formatCost = (usd) => (usd < 0.01 ? `$${usd.toFixed(5)}` : `$${usd.toFixed(3)}`);
+
+const NumberField = ({ label, value, min = 0, onChange }) => (
+  <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: '#6B7280' }}>
+    {label}
+    <input
+      type="number"
+      min={min}
+      value={value}
+      onChange={(e) => onChange(Math.max(min, Number(e.target.value) || 0))}
+      style={inputStyle}
+    />
+  </label>
+);
+
+// Where our retrieved chunks land in each model's assembled prompt, and what
+// the prompt costs
+export default function ContextAssembly({ assemblies, settings, onSettingsChange, onPricingChange, queryLabel }) {
+  const update = (field) => (value) => onSettingsChange({ ...settings, [field]: value });
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <NumberField label="Top-k" min={1} value={settings.topK} onChange={update('topK')} />
+        <NumberField label="Other sources ranked above us" value={settings.competitorsAhead} onChange={update('competitorsAhead')} />
+        <NumberField label="System prompt tokens" value={settings.systemPromptTokens} onChange={update('systemPromptTokens')} />
+      </div>
+      <div style={{ fontSize: '11px', color: '#4B5563', marginBottom: '16px' }}>
+        Our chunks are retrieved in {queryLabel ? `BM25 order for “${queryLabel}”` : 'document order (add a question in the Queries tab to rank them)'}
+      </div>
+
+      {/* Pricing table */}
+      <table style={{ borderCollapse: 'collapse', fontSize: '11px', width: '100%', marginBottom: '20px' }}>
+        <thead>
+          <tr style={{ color: '#6B7280', textAlign: 'left' }}>
+            <th style={{ padding: '6px 8px' }}>Model</th>
+            <th style={{ padding: '6px 8px' }}>Context window</th>
+            <th style={{ padding: '6px 8px' }}>$ / 1M input</th>
+            <th style={{ padding: '6px 8px', textAlign: 'right' }}>Prompt tokens</th>
+            <th style={{ padding: '6px 8px', textAlign: 'right' }}>Cost / query</th>
+            <th style={{ padding: '6px 8px', textAlign: 'right' }}>Cost / 1k queries</th>
+          </tr>
+        </thead>
+        <tbody>
+          {assemblies.map(model => (
+            <tr key={model.id} style={{ borderTop: '1px solid #1F2937' }}>
+              <td style={{ padding: '6px 8px', color: '#E6EDF3' }}>{model.label}</td>
+              <td style={{ padding: '6px 8px' }}>
+                <input
+                  type="number"
+                  min={1}
+                  value={model.pricing.contextWindow}
+                  onChange={(e) => onPricingChange(model.id, 'contextWindow', Math.max(1, Number(e.target.value) || 1))}
+                  style={{ ...inputStyle, width: '96px' }}
+                />
+              </td>
+              <td style={{ padding: '6px 8px' }}>
+                <input
+                  type="number"
+                  min={0}
+                  step={0.05}
+                  value={model.pricing.inputPerMillion}
+                  onChange={(e) => onPricingChange(model.id, 'inputPerMillion', Math.max(0, Number(e.target.value) || 0))}
+                  style={inputStyle}
+                />
+              </td>
+              <td style={{ padding: '6px 8px', textAlign: 'right', color: model.overflowTokens > 0 ? '#FF4444' : '#9CA3AF' }}>
+                {model.totalTokens.toLocaleString()}
+                {model.overflowTokens > 0 && ` (${model.overflowTokens.toLocaleString()} over)`}
+              </td>
+              <td style={{ padding: '6px 8px', textAlign: 'right', color: '#E6EDF3' }}>{formatCost(model.cost)}</td>
+              <td style={{ padding: '6px 8px', textAlign: 'right', color: '#9CA3AF' }}>{formatCost(model.cost * 1000)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Assembled prompt per model */}
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+        {assemblies.map(model => (
+          <div key={model.id}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', marginBottom: '6px' }}>
+              <span style={{ color: '#E6EDF3' }}>{model.label}</span>
+              <span style={{ color: '#6B7280' }}>{(model.windowUsage * 100).toFixed(1)}% of context window</span>
+            </div>
+            <div style={{ display: 'flex', height: '18px', gap: '1px', borderRadius: '3px', overflow: 'hidden' }}>
+              {model.slots.map((part, i) => (
+                <div
+                  key={i}
+                  title={part.kind === 'ours'
+                    ? `Chunk ${part.chunkIndex + 1} in slot ${part.slot + 1} · ${(part.attentionScore * 100).toFixed(0)}% attention`
+                    : `${part.kind === 'other' ? `Other source in slot ${part.slot + 1}` : part.kind} · ${part.tokens} tokens`}
+                  style={{
+                    flex: Math.max(part.tokens, 1),
+                    backgroundColor: part.kind === 'ours' ? getAttentionColor(part.attentionScore) : PART_COLORS[part.kind],
+                    opacity: part.truncated ? 0.3 : 1,
+                  }}
+                />
+              ))}
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginTop: '8px' }}>
+              {model.slots.filter(part => part.kind === 'ours').map(part => (
+                <div key={part.slot} style={{ display: 'flex', gap: '12px', fontSize: '11px', color: '#9CA3AF' }}>
+                  <span style={{ color: '#4FD1C5', width: '72px' }}>Chunk {part.chunkIndex + 1}</span>
+                  <span style={{ width: '56px' }}>slot {part.slot + 1}</span>
+                  <span style={{ width: '160px' }}>
+                    tokens {part.start.toLocaleString()}–{(part.start + part.tokens).toLocaleString()}
+                  </span>
+                  <span style={{ color: getAttentionColor(part.attentionScore) }}>
+                    {(part.attentionScore * 100).toFixed(0)}% attention
+                  </span>
+                  {part.truncated && <span style={{ color: '#FF4444' }}>cut off by the context window</span>}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize: '10px', color: '#4B5563', marginTop: '12px' }}>
+        Grey: system prompt · dark: other sources · amber: question · our chunks are coloured by prompt-level attention.
+        Prices are editable defaults; check your provider's current rates.
+      </div>
+    </div>
+  );
+}
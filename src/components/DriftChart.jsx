@@ -0,0 +1,87 @@
+import React from 'react';
+
+const WIDTH = 1000;
+const HEIGHT = 140;
+const PADDING = 8;
+
+// Similarity is a cosine in [-1, 1]; hashed embeddings rarely go below 0
+const toY = (similarity) => {
+  const clamped = Math.max(0, Math.min(1, similarity));
+  return PADDING + (1 - clamped) * (HEIGHT - 2 * PADDING);
+};
+
+// Sentence-to-sentence similarity across the document with chunk boundaries
+// overlaid; drops inside a chunk mean that chunk mixes two topics
+export default function DriftChart({ semantics, chunks, contentLength }) {
+  const toX = (position) => (position / contentLength) * WIDTH;
+  const points = semantics.series.map(g => `${toX(g.position).toFixed(1)},${toY(g.similarity).toFixed(1)}`);
+  const drifts = semantics.chunks.filter(c => c.mixesTopics);
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        fontSize: '11px',
+        color: '#6B7280',
+        marginBottom: '6px',
+      }}>
+        <span>Topic drift (similarity between neighbouring sentences)</span>
+        <span>
+          <span style={{ color: '#FF4444' }}>- - -</span> breakpoint ≤ {(semantics.threshold * 100).toFixed(0)}%
+        </span>
+      </div>
+      {semantics.series.length === 0 ? (
+        <div style={{ fontSize: '12px', color: '#4B5563' }}>
+          Needs at least two sentences.
+        </div>
+      ) : (
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          preserveAspectRatio="none"
+          style={{ width: '100%', height: `${HEIGHT}px`, backgroundColor: '#0D1117', borderRadius: '4px' }}
+        >
+          {chunks.slice(1).map((chunk, idx) => (
+            <line
+              key={idx}
+              x1={toX(chunk.startChar + chunk.overlapText.length)}
+              x2={toX(chunk.startChar + chunk.overlapText.length)}
+              y1={0}
+              y2={HEIGHT}
+              stroke="#30363D"
+              strokeWidth={2}
+            />
+          ))}
+          <line
+            x1={0}
+            x2={WIDTH}
+            y1={toY(semantics.threshold)}
+            y2={toY(semantics.threshold)}
+            stroke="#FF4444"
+            strokeDasharray="8 6"
+            strokeWidth={1}
+          />
+          <polyline
+            points={points.join(' ')}
+            fill="none"
+            stroke="#4FD1C5"
+            strokeWidth={2}
+            vectorEffect="non-scaling-stroke"
+          />
+          {drifts.map((c, idx) => (
+            <circle
+              key={idx}
+              cx={toX(c.driftPosition)}
+              cy={toY(c.driftSimilarity)}
+              r={6}
+              fill="#FF4444"
+            />
+          ))}
+        </svg>
+      )}
+      <div style={{ fontSize: '10px', color: '#4B5563', marginTop: '4px' }}>
+        Grey lines are chunk boundaries · red dots are topic breaks inside a chunk
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { HINT_RULES, HINT_SEVERITIES, CUSTOM_RULE_METRICS, getPatternError } from '../analysis/hints';
+
+const inputStyle = {
+  padding: '4px 6px',
+  backgroundColor: '#1F2937',
+  color: '#E6EDF3',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: 'inherit',
+};
+
+const linkStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#6B7280',
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+  fontSize: '11px',
+  padding: 0,
+};
+
+const EMPTY_RULE = { label: '', severity: 'warning', kind: 'pattern', pattern: '', metric: 'chunks', operator: '>', threshold: 0 };
+
+// Enable, re-grade and tune the built-in rules; add metric or pattern rules.
+// settings = { overrides: { [id]: { enabled, severity, thresholds } }, custom: [] }
+export default function HintRulesEditor({ rules, settings, onSettingsChange }) {
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+
+  const update = (rule, patch) => {
+    if (rule.custom) {
+      onSettingsChange({ ...settings, custom: settings.custom.map(r => (r.id === rule.id ? { ...r, ...patch } : r)) });
+      return;
+    }
+    const override = settings.overrides[rule.id] ?? {};
+    const next = patch.thresholds
+      ? { ...override, thresholds: { ...override.thresholds, ...patch.thresholds } }
+      : { ...override, ...patch };
+    onSettingsChange({ ...settings, overrides: { ...settings.overrides, [rule.id]: next } });
+  };
+
+  const remove = (rule) => {
+    if (rule.custom) {
+      onSettingsChange({ ...settings, custom: settings.custom.filter(r => r.id !== rule.id) });
+    } else {
+      const { [rule.id]: _, ...overrides } = settings.overrides;
+      onSettingsChange({ ...settings, overrides });
+    }
+  };
+
+  const patternError = newRule.kind === 'pattern' ? getPatternError(newRule.pattern) : null;
+
+  const addRule = () => {
+    const { kind, pattern, metric, operator, threshold } = newRule;
+    if (kind === 'pattern' && getPatternError(pattern)) return;
+    const rule = kind === 'pattern'
+      ? { kind, pattern, flags: 'i' }
+      : { kind, metric, operator, threshold: Number(threshold) };
+    const label = newRule.label.trim() || (kind === 'pattern' ? `Pattern /${pattern}/` : CUSTOM_RULE_METRICS[metric].label);
+    onSettingsChange({
+      ...settings,
+      custom: [...settings.custom, { id: `custom-${Date.now()}`, label, severity: newRule.severity, enabled: true, ...rule }],
+    });
+    setNewRule(EMPTY_RULE);
+  };
+
+  const canAdd = newRule.kind === 'metric' || (newRule.pattern.trim().length > 0 && !patternError);
+
+  return (
+    <div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+        {rules.map(rule => {
+          const definition = HINT_RULES.find(r => r.id === rule.id);
+          const ruleError = rule.custom && rule.kind === 'pattern' ? getPatternError(rule.pattern, rule.flags) : null;
+          return (
+            <div
+              key={rule.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                flexWrap: 'wrap',
+                padding: '6px 8px',
+                backgroundColor: '#0D1117',
+                borderRadius: '4px',
+                fontSize: '11px',
+                color: rule.enabled ? '#E6EDF3' : '#4B5563',
+              }}
+            >
+              <input type="checkbox" checked={rule.enabled} onChange={(e) => update(rule, { enabled: e.target.checked })} />
+              <span style={{ minWidth: '240px', flex: 1 }}>
+                {rule.label}
+                {rule.custom && (
+                  <span style={{ color: '#4B5563' }}>
+                    {' '}· {rule.kind === 'pattern' ? `/${rule.pattern}/` : `${CUSTOM_RULE_METRICS[rule.metric]?.label} ${rule.operator} ${rule.threshold}`}
+                  </span>
+                )}
+                {ruleError && <span style={{ color: '#FF4444' }}> · never fires: {ruleError}</span>}
+              </span>
+              {definition && Object.entries(definition.thresholds).map(([key, { label, step, count }]) => (
+                <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '4px', color: '#6B7280' }}>
+                  {label}
+                  <input
+                    type="number"
+                    min={count ? 0 : undefined}
+                    step={step}
+                    value={rule.thresholds[key]}
+                    onChange={(e) => update(rule, { thresholds: { [key]: Number(e.target.value) } })}
+                    style={{ ...inputStyle, width: '60px' }}
+                  />
+                </label>
+              ))}
+              <select value={rule.severity} onChange={(e) => update(rule, { severity: e.target.value })} style={inputStyle}>
+                {HINT_SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+              </select>
+              {rule.custom ? (
+                <button onClick={() => remove(rule)} style={linkStyle} title="Delete rule">✕</button>
+              ) : settings.overrides[rule.id] ? (
+                <button onClick={() => remove(rule)} style={linkStyle}>reset</button>
+              ) : (
+                <span style={{ width: '28px' }} />
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap', marginTop: '12px', fontSize: '11px' }}>
+        <span style={{ color: '#6B7280' }}>New rule:</span>
+        <input
+          value={newRule.label}
+          onChange={(e) => setNewRule({ ...newRule, label: e.target.value })}
+          placeholder="Label"
+          style={{ ...inputStyle, width: '140px' }}
+        />
+        <select value={newRule.kind} onChange={(e) => setNewRule({ ...newRule, kind: e.target.value })} style={inputStyle}>
+          <option value="pattern">text matches</option>
+          <option value="metric">metric</option>
+        </select>
+        {newRule.kind === 'pattern' ? (
+          <input
+            value={newRule.pattern}
+            onChange={(e) => setNewRule({ ...newRule, pattern: e.target.value })}
+            placeholder="regex, e.g. click here|learn more"
+            style={{ ...inputStyle, width: '200px' }}
+          />
+        ) : (
+          <>
+            <select value={newRule.metric} onChange={(e) => setNewRule({ ...newRule, metric: e.target.value })} style={inputStyle}>
+              {Object.entries(CUSTOM_RULE_METRICS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            <select value={newRule.operator} onChange={(e) => setNewRule({ ...newRule, operator: e.target.value })} style={inputStyle}>
+              <option value=">">&gt;</option>
+              <option value="<">&lt;</option>
+            </select>
+            <input
+              type="number"
+              value={newRule.threshold}
+              onChange={(e) => setNewRule({ ...newRule, threshold: e.target.value })}
+              style={{ ...inputStyle, width: '60px' }}
+            />
+          </>
+        )}
+        <select value={newRule.severity} onChange={(e) => setNewRule({ ...newRule, severity: e.target.value })} style={inputStyle}>
+          {HINT_SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <button
+          onClick={addRule}
+          disabled={!canAdd}
+          style={{ ...inputStyle, padding: '4px 10px', cursor: canAdd ? 'pointer' : 'default', color: canAdd ? '#E6EDF3' : '#4B5563' }}
+        >
+          Add rule
+        </button>
+        {patternError && <span style={{ color: '#FF4444' }}>{patternError}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React from 'react';
+import { getAttentionColor } from '../analysis/attention';
+
+const cellStyle = {
+  padding: '6px 8px',
+  textAlign: 'center',
+  borderBottom: '1px solid #1F2937',
+  whiteSpace: 'nowrap',
+};
+
+// Target keywords (with synonyms) against the chunks they appear in
+export default function KeywordMatrix({ keywords, onKeywordsChange, coverage, chunkCount }) {
+  return (
+    <div>
+      <div style={{ fontSize: '12px', color: '#6B7280', marginBottom: '8px' }}>
+        One keyword per line, synonyms after commas · plurals and word forms match
+      </div>
+      <textarea
+        value={keywords}
+        onChange={(e) => onKeywordsChange(e.target.value)}
+        placeholder={'vector database, vector store\nretrieval augmented generation, RAG'}
+        style={{
+          width: '100%',
+          height: '80px',
+          backgroundColor: '#0D1117',
+          border: '1px solid #30363D',
+          borderRadius: '4px',
+          padding: '10px',
+          color: '#E6EDF3',
+          fontFamily: 'inherit',
+          fontSize: '12px',
+          resize: 'vertical',
+          outline: 'none',
+          marginBottom: '16px',
+        }}
+      />
+
+      {coverage.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ borderCollapse: 'collapse', fontSize: '11px', width: '100%' }}>
+            <thead>
+              <tr style={{ color: '#6B7280' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>Keyword</th>
+                <th style={cellStyle}>Total</th>
+                {Array.from({ length: chunkCount }).map((_, k) => (
+                  <th key={k} style={cellStyle}>C{k + 1}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {coverage.map(keyword => (
+                <tr key={keyword.label}>
+                  <td style={{ ...cellStyle, textAlign: 'left', color: '#E6EDF3' }}>
+                    {keyword.label}
+                    {keyword.variants.length > 1 && (
+                      <span style={{ color: '#4B5563' }}> +{keyword.variants.length - 1}</span>
+                    )}
+                    {keyword.total === 0 && <span style={{ color: '#FF4444' }}> missing</span>}
+                    {keyword.onlyMurky && <span style={{ color: '#FF4444' }}> murky only</span>}
+                  </td>
+                  <td style={{ ...cellStyle, color: '#9CA3AF' }}>{keyword.total}</td>
+                  {keyword.cells.map((cell, k) => (
+                    <td
+                      key={k}
+                      title={cell.count > 0
+                        ? `Attention at each occurrence: ${cell.scores.map(s => `${(s * 100).toFixed(0)}%`).join(', ')}`
+                        : undefined}
+                      style={{
+                        ...cellStyle,
+                        color: cell.count > 0 ? '#0D1117' : '#30363D',
+                        backgroundColor: cell.count > 0 ? getAttentionColor(cell.bestAttention) : 'transparent',
+                        fontWeight: cell.count > 0 ? 600 : 400,
+                      }}
+                    >
+                      {cell.count > 0 ? cell.count : '·'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ fontSize: '10px', color: '#4B5563', marginTop: '6px' }}>
+            Cells show occurrences per chunk, coloured by the best attention score among them
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { QA_STATUSES } from '../analysis/qa';
+
+const filterStyle = (active) => ({
+  padding: '4px 8px',
+  backgroundColor: active ? '#4FD1C5' : '#1F2937',
+  color: active ? '#0D1117' : '#E6EDF3',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+  fontSize: '11px',
+});
+
+const chunkLabel = (pair) => (pair.questionChunk === pair.answerChunk
+  ? `chunk ${pair.questionChunk + 1}`
+  : `question in chunk ${pair.questionChunk + 1}, answer in chunk ${pair.answerChunk + 1}`);
+
+// Every detected question with the sentence that answers it, and whether a
+// retrieved chunk carries both. onLocate(start, end) selects a range in the content.
+export default function QaPanel({ pairs, onLocate }) {
+  const [statusFilter, setStatusFilter] = useState(null);
+  const counts = Object.fromEntries(Object.keys(QA_STATUSES).map(s => [s, pairs.filter(p => p.status === s).length]));
+  const shown = statusFilter ? pairs.filter(p => p.status === statusFilter) : pairs;
+
+  if (pairs.length === 0) {
+    return (
+      <div style={{ fontSize: '12px', color: '#6B7280' }}>
+        No questions with an answer found. Question headings (<code>## How does it work?</code>, bold or <code>Q:</code> lines)
+        and sentences ending in a question mark are paired with the sentence that follows them.
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '16px' }}>
+        <button onClick={() => setStatusFilter(null)} style={filterStyle(statusFilter === null)}>
+          all {pairs.length}
+        </button>
+        {Object.entries(QA_STATUSES).map(([status, { label }]) => (
+          <button key={status} onClick={() => setStatusFilter(status)} style={filterStyle(statusFilter === status)}>
+            {label.toLowerCase()} {counts[status]}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {shown.map(pair => {
+          const status = QA_STATUSES[pair.status];
+          return (
+            <div key={pair.question.start} style={{
+              backgroundColor: '#0D1117',
+              borderRadius: '4px',
+              padding: '10px 12px',
+              borderLeft: `3px solid ${status.color}`,
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', fontSize: '11px', marginBottom: '6px' }}>
+                <span style={{ color: status.color }}>{status.label}</span>
+                <span style={{ color: '#6B7280', whiteSpace: 'nowrap' }}>
+                  {pair.kind === 'heading' ? 'question heading' : 'question sentence'}
+                  {' · '}{chunkLabel(pair)}
+                  {' · '}answer attention {(pair.attentionScore * 100).toFixed(0)}%
+                </span>
+              </div>
+              <button
+                onClick={() => onLocate(pair.question.start, pair.answer.end)}
+                title="Show in the content"
+                style={{
+                  display: 'block',
+                  background: 'none',
+                  border: 'none',
+                  padding: 0,
+                  cursor: 'pointer',
+                  fontFamily: 'inherit',
+                  textAlign: 'left',
+                  fontSize: '13px',
+                  color: '#E6EDF3',
+                  marginBottom: '4px',
+                }}
+              >
+                {pair.question.text.replace(/^[#\s*_]+|[*_\s#]+$/g, '')}
+              </button>
+              <div style={{ fontSize: '12px', color: '#9CA3AF', lineHeight: 1.5 }}>
+                {pair.answer.text.slice(0, 200)}{pair.answer.text.length > 200 && '...'}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+
+const READABILITY_COLORS = { easy: '#4FD1C5', standard: '#9CA3AF', difficult: '#F59E0B' };
+
+const formatShare = (share) => `${(share * 100).toFixed(0)}% in`;
+
+// One line of a chunk's or paragraph's quality: definitional sentence,
+// readability and fact density
+export default function QualityMetrics({ quality }) {
+  const { readability } = quality;
+  return (
+    <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', fontSize: '10px', color: '#6B7280' }}>
+      <span
+        title={quality.definition ?? 'No sentence of the form "X is a ..." or "X refers to ..."'}
+        style={{ color: quality.definitions > 0 ? '#4FD1C5' : '#6B7280' }}
+      >
+        {quality.definitions > 0
+          ? `definition ${quality.firstDefinition === 0 ? 'first' : formatShare(quality.firstDefinition)}`
+          : 'no definition'}
+      </span>
+      {readability && (
+        <span title={readability.scale === 'Flesch' ? 'Flesch reading ease: higher is easier' : 'LIX: lower is easier'}>
+          {readability.scale} {readability.score.toFixed(0)}{' '}
+          <span style={{ color: READABILITY_COLORS[readability.label] }}>{readability.label}</span>
+        </span>
+      )}
+      <span title="Numbers, dates and entity mentions per 100 words">
+        {quality.facts} facts · {quality.factDensity.toFixed(1)}/100 words
+        {quality.firstFact !== null && quality.firstFact > 0 && ` · first ${formatShare(quality.firstFact)}`}
+      </span>
+    </div>
+  );
+}
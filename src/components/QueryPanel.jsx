@@ -0,0 +1,163 @@
+import React from 'react';
+import { getAttentionScore, getAttentionColor } from '../analysis/attention';
+
+const TOP_K_OPTIONS = [1, 3, 5];
+
+const getEstimateColor = (estimate) => {
+  if (estimate >= 0.7) return '#4FD1C5';
+  if (estimate >= 0.4) return '#F59E0B';
+  return '#FF4444';
+};
+
+// Attention curve of a chunk (header included) with a marker for every
+// matched query term
+const MatchStrip = ({ chunk, matches, curve }) => (
+  <div style={{ position: 'relative', height: '14px', marginTop: '8px' }}>
+    <div style={{ position: 'absolute', top: '5px', left: 0, right: 0, height: '4px', display: 'flex', gap: '1px' }}>
+      {Array.from({ length: 20 }).map((_, i) => (
+        <div
+          key={i}
+          style={{
+            flex: 1,
+            backgroundColor: getAttentionColor(getAttentionScore((i / 20) * chunk.embeddedTokenCount, chunk.embeddedTokenCount, curve)),
+            opacity: 0.35,
+          }}
+        />
+      ))}
+    </div>
+    {matches.map((m, i) => (
+      <div
+        key={i}
+        title={`"${m.term}" at token ${m.positionInChunk + 1}/${chunk.embeddedTokenCount} · ${(m.attentionScore * 100).toFixed(0)}% attention`}
+        style={{
+          position: 'absolute',
+          left: `${(m.positionInChunk / chunk.embeddedTokenCount) * 100}%`,
+          top: 0,
+          width: '3px',
+          height: '14px',
+          borderRadius: '1px',
+          backgroundColor: getAttentionColor(m.attentionScore),
+        }}
+      />
+    ))}
+  </div>
+);
+
+// Target questions ranked against the chunks with BM25
+export default function QueryPanel({ queries, onQueriesChange, topK, onTopKChange, rankings, chunks, curve }) {
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <span style={{ fontSize: '12px', color: '#6B7280' }}>
+          One question per line · ranked with BM25 over the current chunks
+        </span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px', color: '#6B7280' }}>
+          top
+          {TOP_K_OPTIONS.map(k => (
+            <button
+              key={k}
+              onClick={() => onTopKChange(k)}
+              style={{
+                padding: '4px 8px',
+                backgroundColor: topK === k ? '#4FD1C5' : '#1F2937',
+                color: topK === k ? '#0D1117' : '#E6EDF3',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontFamily: 'inherit',
+                fontSize: '11px',
+              }}
+            >
+              {k}
+            </button>
+          ))}
+        </div>
+      </div>
+      <textarea
+        value={queries}
+        onChange={(e) => onQueriesChange(e.target.value)}
+        placeholder={'What does the product cost?\nWho is it for?'}
+        style={{
+          width: '100%',
+          height: '80px',
+          backgroundColor: '#0D1117',
+          border: '1px solid #30363D',
+          borderRadius: '4px',
+          padding: '10px',
+          color: '#E6EDF3',
+          fontFamily: 'inherit',
+          fontSize: '12px',
+          resize: 'vertical',
+          outline: 'none',
+          marginBottom: '16px',
+        }}
+      />
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+        {rankings.map((ranking, q) => (
+          <div key={q}>
+            <div style={{ fontSize: '13px', color: '#E6EDF3', marginBottom: '4px' }}>
+              {ranking.query}
+            </div>
+            <div style={{ fontSize: '11px', color: '#4B5563', marginBottom: '8px' }}>
+              terms: {ranking.terms.length > 0 ? ranking.terms.join(', ') : '—'}
+            </div>
+            {ranking.results.length === 0 ? (
+              <div style={{ fontSize: '12px', color: '#FF4444' }}>
+                No chunk contains any of these terms; this question can't retrieve the page.
+              </div>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {ranking.results.map((result, rank) => {
+                  const chunk = chunks[result.chunkIndex];
+                  return (
+                    <div key={result.chunkIndex} style={{
+                      backgroundColor: '#0D1117',
+                      borderRadius: '4px',
+                      padding: '10px 12px',
+                      borderLeft: `3px solid ${getEstimateColor(result.citationEstimate)}`,
+                    }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px' }}>
+                        <span style={{ color: '#4FD1C5' }}>
+                          #{rank + 1} · Chunk {result.chunkIndex + 1}
+                        </span>
+                        <span style={{ color: '#6B7280' }}>
+                          BM25 {result.score.toFixed(2)}
+                          {' · '}{(result.coverage * 100).toFixed(0)}% of terms
+                          {' · '}attention {(result.attention * 100).toFixed(0)}%
+                          {' · '}
+                          <span
+                            title="BM25 relative to the top chunk × term coverage × attention of the best-placed matches"
+                            style={{ color: getEstimateColor(result.citationEstimate) }}
+                          >
+                            citation est. {(result.citationEstimate * 100).toFixed(0)}%
+                          </span>
+                        </span>
+                      </div>
+                      <div style={{
+                        fontSize: '12px',
+                        color: '#9CA3AF',
+                        lineHeight: 1.6,
+                        marginTop: '6px',
+                        maxHeight: '40px',
+                        overflow: 'hidden',
+                      }}>
+                        {chunk.text.slice(0, 160)}{chunk.text.length > 160 && '...'}
+                      </div>
+                      <MatchStrip chunk={chunk} matches={result.matches} curve={curve} />
+                      {result.missingTerms.length > 0 && (
+                        <div style={{ fontSize: '10px', color: '#F59E0B', marginTop: '4px' }}>
+                          missing: {result.missingTerms.join(', ')}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
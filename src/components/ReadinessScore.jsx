@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { DEFAULT_SCORE_WEIGHTS } from '../analysis/score';
+
+const GRADE_COLORS = {
+  ready: '#4FD1C5',
+  fair: '#F59E0B',
+  'needs work': '#FF4444',
+};
+
+const barColor = (value) => (value >= 0.8 ? '#4FD1C5' : value >= 0.6 ? '#F59E0B' : '#FF4444');
+
+// The page's citation-readiness score, with one row per weighted sub-score
+export default function ReadinessScore({ score, weights, onWeightsChange }) {
+  const [open, setOpen] = useState(false);
+  const color = GRADE_COLORS[score.grade];
+  const customized = Object.keys(DEFAULT_SCORE_WEIGHTS).some(id => weights[id] !== DEFAULT_SCORE_WEIGHTS[id]);
+
+  return (
+    <div style={{
+      backgroundColor: '#161B22',
+      border: '1px solid #30363D',
+      borderRadius: '6px',
+      padding: '16px',
+      marginBottom: '24px',
+    }}>
+      <div
+        onClick={() => setOpen(!open)}
+        style={{ display: 'flex', alignItems: 'center', gap: '16px', cursor: 'pointer', flexWrap: 'wrap' }}
+      >
+        <div style={{ fontSize: '36px', fontWeight: 600, color, lineHeight: 1 }}>
+          {score.total}
+          <span style={{ fontSize: '14px', color: '#4B5563' }}>/100</span>
+        </div>
+        <div style={{ flex: 1 }}>
+          <div style={{ fontSize: '12px', color: '#6B7280' }}>Citation Readiness</div>
+          <div style={{ fontSize: '11px', color, textTransform: 'uppercase', marginTop: '2px' }}>{score.grade}</div>
+        </div>
+        <div style={{ display: 'flex', height: '8px', width: '220px', borderRadius: '4px', overflow: 'hidden', backgroundColor: '#0D1117' }}>
+          {score.components.filter(c => c.points).map(c => (
+            <div
+              key={c.id}
+              title={`${c.label}: ${c.points.toFixed(1)} points`}
+              style={{ width: `${c.points}%`, backgroundColor: barColor(c.value), borderRight: '1px solid #161B22' }}
+            />
+          ))}
+        </div>
+        <span style={{ fontSize: '11px', color: '#6B7280' }}>{open ? '▾' : '▸'} breakdown</span>
+      </div>
+
+      {open && (
+        <div style={{ marginTop: '16px' }}>
+          <table style={{ borderCollapse: 'collapse', fontSize: '11px', width: '100%' }}>
+            <thead>
+              <tr style={{ color: '#6B7280', textAlign: 'left' }}>
+                <th style={{ padding: '4px 8px' }}>Component</th>
+                <th style={{ padding: '4px 8px' }}>Score</th>
+                <th style={{ padding: '4px 8px' }}>Weight</th>
+                <th style={{ padding: '4px 8px', textAlign: 'right' }}>Points</th>
+              </tr>
+            </thead>
+            <tbody>
+              {score.components.map(c => (
+                <tr key={c.id} style={{ borderTop: '1px solid #1F2937' }}>
+                  <td style={{ padding: '6px 8px' }}>
+                    <div style={{ color: '#E6EDF3' }}>{c.label}</div>
+                    <div style={{ color: '#4B5563', fontSize: '10px' }}>{c.detail}</div>
+                  </td>
+                  <td style={{ padding: '6px 8px', width: '160px' }}>
+                    {c.value === null ? (
+                      <span style={{ color: '#4B5563' }}>n/a</span>
+                    ) : (
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <div style={{ flex: 1, height: '6px', backgroundColor: '#0D1117', borderRadius: '3px' }}>
+                          <div style={{ width: `${c.value * 100}%`, height: '100%', backgroundColor: barColor(c.value), borderRadius: '3px' }} />
+                        </div>
+                        <span style={{ color: '#9CA3AF', width: '32px', textAlign: 'right' }}>{(c.value * 100).toFixed(0)}%</span>
+                      </div>
+                    )}
+                  </td>
+                  <td style={{ padding: '6px 8px' }}>
+                    <input
+                      type="number"
+                      min={0}
+                      value={weights[c.id]}
+                      onChange={(e) => onWeightsChange({ ...weights, [c.id]: Math.max(0, Number(e.target.value)) })}
+                      style={{
+                        width: '56px',
+                        padding: '4px 6px',
+                        backgroundColor: '#1F2937',
+                        color: '#E6EDF3',
+                        border: 'none',
+                        borderRadius: '4px',
+                        fontSize: '11px',
+                        fontFamily: 'inherit',
+                      }}
+                    />
+                  </td>
+                  <td style={{ padding: '6px 8px', textAlign: 'right', color: '#E6EDF3' }}>
+                    {c.points === null ? '–' : c.points.toFixed(1)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '8px', fontSize: '10px', color: '#4B5563' }}>
+            <span>Weights are relative; components with nothing to measure are left out.</span>
+            {customized && (
+              <button
+                onClick={() => onWeightsChange(DEFAULT_SCORE_WEIGHTS)}
+                style={{ background: 'none', border: 'none', color: '#6B7280', cursor: 'pointer', fontFamily: 'inherit', fontSize: '10px', padding: 0 }}
+              >
+                reset weights
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import React, { useMemo } from 'react';
+import { originalPieces, draftPieces } from '../analysis/rewrite';
+
+const KIND_LABELS = {
+  filler: 'Filler',
+  'front-load': 'Front-load',
+  split: 'Split',
+};
+
+const KIND_COLORS = {
+  filler: '#4FD1C5',
+  'front-load': '#F59E0B',
+  split: '#A78BFA',
+};
+
+// [key, label, digits, lower is better]
+const METRICS = [
+  ['tokens', 'GPT tokens', 0, true],
+  ['wordsPerToken', 'Words per token', 3, false],
+  ['chunks', 'Chunks', 0, true],
+  ['entitiesInFirstChunk', 'Entities in chunk 1', 0, false],
+  ['lowAttentionEntities', 'Low-attention entities', 0, true],
+  ['longParagraphs', 'Paragraphs over chunk size', 0, true],
+  ['fillerPhrases', 'Filler phrases', 0, true],
+];
+
+const paneStyle = {
+  backgroundColor: '#0D1117',
+  borderRadius: '4px',
+  padding: '12px',
+  fontSize: '12px',
+  lineHeight: 1.7,
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-word',
+  maxHeight: '420px',
+  overflowY: 'auto',
+  color: '#9CA3AF',
+};
+
+const buttonStyle = {
+  padding: '4px 10px',
+  backgroundColor: '#1F2937',
+  color: '#E6EDF3',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+  fontSize: '11px',
+};
+
+const cellStyle = {
+  padding: '6px 8px',
+  textAlign: 'right',
+  borderBottom: '1px solid #1F2937',
+};
+
+// Original and draft side by side. Every edit starts accepted; click it in
+// either pane or in the list to reject or restore it.
+export default function RewritePanel({ content, edits, rejected, onToggle, onSetAll, metrics, onUseDraft }) {
+  const isAccepted = (edit) => !rejected.has(edit.id);
+  const left = useMemo(() => originalPieces(content, edits), [content, edits]);
+  const right = draftPieces(content, edits, isAccepted);
+  const acceptedCount = edits.filter(isAccepted).length;
+
+  const renderPiece = (piece, i, side) => {
+    if (!piece.edit) return <span key={i}>{piece.text}</span>;
+    const { edit } = piece;
+    const accepted = isAccepted(edit);
+    const color = KIND_COLORS[edit.kind];
+    const style = !accepted
+      ? { borderBottom: '1px dotted #4B5563' }
+      : side === 'original' && edit.kind !== 'front-load'
+        ? { backgroundColor: '#FF444430', color: '#FF8A8A', textDecoration: 'line-through' }
+        : { backgroundColor: `${color}30`, color: '#E6EDF3' };
+    return (
+      <span
+        key={i}
+        onClick={() => onToggle(edit.id)}
+        title={`${edit.description} · click to ${accepted ? 'reject' : 'accept'}`}
+        style={{ ...style, cursor: 'pointer' }}
+      >
+        {side === 'draft' && accepted && edit.kind === 'split' && <span style={{ color }}>¶</span>}
+        {piece.text}
+      </span>
+    );
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '12px', flexWrap: 'wrap' }}>
+        <span style={{ fontSize: '12px', color: '#6B7280' }}>
+          {edits.length === 0
+            ? 'Nothing to rewrite: no filler phrases, buried entities or oversized paragraphs found.'
+            : `${acceptedCount} of ${edits.length} edits accepted`}
+        </span>
+        <span style={{ flex: 1 }} />
+        <button onClick={() => onSetAll(true)} style={buttonStyle}>Accept all</button>
+        <button onClick={() => onSetAll(false)} style={buttonStyle}>Reject all</button>
+        <button
+          onClick={onUseDraft}
+          disabled={acceptedCount === 0}
+          style={{
+            ...buttonStyle,
+            backgroundColor: acceptedCount > 0 ? '#4FD1C5' : '#1F2937',
+            color: acceptedCount > 0 ? '#0D1117' : '#4B5563',
+            cursor: acceptedCount > 0 ? 'pointer' : 'default',
+          }}
+        >
+          Use draft as content
+        </button>
+      </div>
+
+      {metrics && (
+        <table style={{ borderCollapse: 'collapse', fontSize: '11px', width: '100%', marginBottom: '16px' }}>
+          <thead>
+            <tr style={{ color: '#6B7280' }}>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Metric</th>
+              <th style={cellStyle}>Original</th>
+              <th style={cellStyle}>Draft</th>
+              <th style={cellStyle}>Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {METRICS.map(([key, label, digits, lowerIsBetter]) => {
+              const before = metrics.original[key];
+              const after = metrics.draft[key];
+              const delta = after - before;
+              const better = lowerIsBetter ? delta < 0 : delta > 0;
+              const unchanged = Math.abs(delta) < 10 ** -digits / 2;
+              return (
+                <tr key={key}>
+                  <td style={{ ...cellStyle, textAlign: 'left', color: '#9CA3AF' }}>{label}</td>
+                  <td style={{ ...cellStyle, color: '#E6EDF3' }}>{before.toFixed(digits)}</td>
+                  <td style={{ ...cellStyle, color: '#E6EDF3' }}>{after.toFixed(digits)}</td>
+                  <td style={{ ...cellStyle, color: unchanged ? '#4B5563' : better ? '#4FD1C5' : '#FF4444' }}>
+                    {unchanged ? '–' : `${delta > 0 ? '+' : ''}${delta.toFixed(digits)}`}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '16px' }}>
+        {[['original', 'Original', left], ['draft', 'Draft', right]].map(([side, title, pieces]) => (
+          <div key={side}>
+            <div style={{ fontSize: '11px', color: '#6B7280', marginBottom: '6px' }}>{title}</div>
+            <div style={paneStyle}>{pieces.map((piece, i) => renderPiece(piece, i, side))}</div>
+          </div>
+        ))}
+      </div>
+
+      {edits.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+          {edits.map(edit => (
+            <label
+              key={edit.id}
+              style={{
+                display: 'flex',
+                gap: '8px',
+                alignItems: 'center',
+                padding: '6px 8px',
+                backgroundColor: '#0D1117',
+                borderRadius: '4px',
+                fontSize: '11px',
+                color: isAccepted(edit) ? '#E6EDF3' : '#4B5563',
+                cursor: 'pointer',
+              }}
+            >
+              <input type="checkbox" checked={isAccepted(edit)} onChange={() => onToggle(edit.id)} />
+              <span style={{ color: KIND_COLORS[edit.kind], width: '72px', flexShrink: 0 }}>{KIND_LABELS[edit.kind]}</span>
+              <span>{edit.description}</span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
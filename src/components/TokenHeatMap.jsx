@@ -0,0 +1,101 @@
+import React from 'react';
+import { getAttentionScore, getAttentionColor } from '../analysis/attention';
+import { getChunkAttention } from '../analysis/chunking';
+
+const LEGEND = [
+  [0.9, 'hot ≥ 85%'],
+  [0.75, '70–85%'],
+  [0.65, '60–70%'],
+  [0.5, 'cold < 60%'],
+];
+
+// Full text with every token tinted by its attention in the chunk it belongs
+// to. Overlap tokens are drawn once, in the chunk that owns them; the copy in
+// the next chunk shows up in the tooltip. Contextual headers are drawn at the
+// start of their chunk, underlined.
+export default function TokenHeatMap({ chunks, curve }) {
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '12px', fontSize: '10px', color: '#6B7280', marginBottom: '8px', flexWrap: 'wrap' }}>
+        {LEGEND.map(([score, label]) => (
+          <span key={label} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            <span style={{ width: '10px', height: '10px', borderRadius: '2px', backgroundColor: getAttentionColor(score) }} />
+            {label}
+          </span>
+        ))}
+        <span>· hover a token for its index, chunk and score</span>
+      </div>
+      <div style={{
+        backgroundColor: '#0D1117',
+        borderRadius: '4px',
+        padding: '12px',
+        fontSize: '12px',
+        lineHeight: 1.9,
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word',
+        maxHeight: '520px',
+        overflowY: 'auto',
+      }}>
+        {chunks.map((chunk, k) => {
+          const next = chunks[k + 1];
+          return (
+            <React.Fragment key={k}>
+              {k > 0 && (
+                <span style={{
+                  color: '#F59E0B',
+                  borderLeft: '2px solid #F59E0B',
+                  padding: '0 4px',
+                  margin: '0 2px',
+                  fontSize: '10px',
+                  whiteSpace: 'nowrap',
+                }}>
+                  C{k + 1}
+                </span>
+              )}
+              {chunk.headerTokens.map((token, i) => {
+                const score = getAttentionScore(i, chunk.embeddedTokenCount, curve);
+                return (
+                  <span
+                    key={`header-${i}`}
+                    title={`header token · chunk ${k + 1} · position ${i + 1}/${chunk.embeddedTokenCount} · ${(score * 100).toFixed(0)}%`}
+                    style={{
+                      backgroundColor: `${getAttentionColor(score)}40`,
+                      color: '#4FD1C5',
+                      boxShadow: 'inset -1px 0 0 #0D1117',
+                      borderBottom: '1px solid #4FD1C5',
+                    }}
+                  >
+                    {token}
+                  </span>
+                );
+              })}
+              {chunk.tokens.slice(chunk.overlapTokens).map((token, j) => {
+                const i = chunk.overlapTokens + j;
+                const score = getChunkAttention(chunk, i, curve);
+                const tokenIndex = chunk.startToken + i;
+                const copy = next && tokenIndex >= next.startToken ? tokenIndex - next.startToken : null;
+                const detail = copy !== null
+                  ? `\nalso chunk ${k + 2} · ${(getChunkAttention(next, copy, curve) * 100).toFixed(0)}% (overlap)`
+                  : '';
+                return (
+                  <span
+                    key={i}
+                    title={`token #${tokenIndex} · chunk ${k + 1} · position ${chunk.headerTokenCount + i + 1}/${chunk.embeddedTokenCount} · ${(score * 100).toFixed(0)}%${detail}`}
+                    style={{
+                      backgroundColor: `${getAttentionColor(score)}40`,
+                      color: '#E6EDF3',
+                      boxShadow: 'inset -1px 0 0 #0D1117',
+                      borderBottom: copy !== null ? '1px dashed #F59E0B' : 'none',
+                    }}
+                  >
+                    {token}
+                  </span>
+                );
+              })}
+            </React.Fragment>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
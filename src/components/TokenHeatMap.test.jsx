@@ -0,0 +1,38 @@
+import React from 'react';
+import { describe, it, expect } from 'vitest';
+import { renderToStaticMarkup } from 'react-dom/server';
+import TokenHeatMap from './TokenHeatMap';
+import { chunkContent } from '../analysis/chunking';
+
+const words = (text) => text.match(/\S+\s*/g) ?? [];
+
+// Title attributes of the token spans, in order
+const tokenTitles = (html) => Array.from(html.matchAll(/title="([^"]*)"/g), m => m[1].replace(/&#x27;/g, "'"));
+
+describe('TokenHeatMap', () => {
+  const text = 'w0 w1 w2 w3 w4 w5 w6';
+  const tokens = words(text);
+
+  it('draws every token once, overlap tokens in the chunk that owns them', () => {
+    const chunks = chunkContent(text, tokens, 4, 1);
+    const titles = tokenTitles(renderToStaticMarkup(<TokenHeatMap chunks={chunks} />));
+    expect(titles).toHaveLength(tokens.length);
+    expect(titles[3]).toBe('token #3 · chunk 1 · position 4/4 · 63%\nalso chunk 2 · 95% (overlap)');
+    expect(titles[4]).toBe('token #4 · chunk 2 · position 2/4 · 63%');
+  });
+
+  it('marks chunk starts and draws contextual headers first', () => {
+    const chunks = chunkContent(text, tokens, 4).map(chunk => ({
+      ...chunk,
+      header: 'Guide\n',
+      headerTokens: ['Guide\n'],
+      headerTokenCount: 1,
+      embeddedTokenCount: chunk.tokenCount + 1,
+    }));
+    const html = renderToStaticMarkup(<TokenHeatMap chunks={chunks} />);
+    expect(html).toContain('C2');
+    const titles = tokenTitles(html);
+    expect(titles[0]).toBe('header token · chunk 1 · position 1/5 · 95%');
+    expect(titles[1]).toBe('token #0 · chunk 1 · position 2/5 · 64%');
+  });
+});
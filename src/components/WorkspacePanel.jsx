@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+
+const inputStyle = {
+  padding: '6px 8px',
+  backgroundColor: '#1F2937',
+  color: '#E6EDF3',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '12px',
+  fontFamily: 'inherit',
+};
+
+const buttonStyle = (primary) => ({
+  padding: '6px 12px',
+  backgroundColor: primary ? '#4FD1C5' : '#1F2937',
+  color: primary ? '#0D1117' : '#E6EDF3',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontFamily: 'inherit',
+});
+
+const linkStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#6B7280',
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+  fontSize: '11px',
+  padding: 0,
+};
+
+// [key, label, digits]
+const REVISION_METRICS = [
+  ['score', 'score', 0],
+  ['tokens', 'tokens', 0],
+  ['chunks', 'chunks', 0],
+  ['wordsPerToken', 'words/token', 3],
+  ['lowAttentionEntities', 'low-attention', 0],
+  ['hints', 'hints', 0],
+];
+
+const formatDate = (time) => new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Saved documents with tags and revision history, plus share links
+export default function WorkspacePanel({
+  documents,
+  currentId,
+  name,
+  tags,
+  onNameChange,
+  onTagsChange,
+  onSave,
+  onSaveAsNew,
+  onNew,
+  onOpen,
+  onDelete,
+  onRestore,
+  onShare,
+  status,
+}) {
+  const [open, setOpen] = useState(false);
+  const [tagFilter, setTagFilter] = useState(null);
+  const allTags = [...new Set(documents.flatMap(d => d.tags))].sort();
+  const shown = tagFilter ? documents.filter(d => d.tags.includes(tagFilter)) : documents;
+  const current = documents.find(d => d.id === currentId);
+
+  return (
+    <div style={{
+      marginBottom: '24px',
+      backgroundColor: '#161B22',
+      border: '1px solid #30363D',
+      borderRadius: '6px',
+      padding: '12px 16px',
+    }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+        <input
+          value={name}
+          onChange={(e) => onNameChange(e.target.value)}
+          placeholder="Document name"
+          style={{ ...inputStyle, width: '200px' }}
+        />
+        <input
+          value={tags}
+          onChange={(e) => onTagsChange(e.target.value)}
+          placeholder="tags, comma separated"
+          style={{ ...inputStyle, width: '180px' }}
+        />
+        <button onClick={onSave} style={buttonStyle(true)}>{currentId ? 'Save revision' : 'Save'}</button>
+        {currentId && <button onClick={onSaveAsNew} style={buttonStyle(false)}>Save as new</button>}
+        <button onClick={onNew} style={buttonStyle(false)}>New</button>
+        <button onClick={onShare} style={buttonStyle(false)}>Copy share link</button>
+        <span style={{ fontSize: '11px', color: status?.error ? '#FF4444' : '#6B7280' }}>{status?.message}</span>
+        <span style={{ flex: 1 }} />
+        <button onClick={() => setOpen(!open)} style={linkStyle}>
+          {open ? '▾' : '▸'} Documents ({documents.length})
+        </button>
+      </div>
+
+      {open && (
+        <div style={{ marginTop: '12px' }}>
+          {allTags.length > 0 && (
+            <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '8px' }}>
+              {[null, ...allTags].map(tag => (
+                <button
+                  key={tag ?? 'all'}
+                  onClick={() => setTagFilter(tag)}
+                  style={{ ...buttonStyle(tagFilter === tag), padding: '2px 8px', fontSize: '10px' }}
+                >
+                  {tag ?? 'all'}
+                </button>
+              ))}
+            </div>
+          )}
+          {shown.length === 0 && (
+            <div style={{ fontSize: '11px', color: '#4B5563' }}>No saved documents yet. Name the content and press Save.</div>
+          )}
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            {shown.map(doc => (
+              <div
+                key={doc.id}
+                style={{
+                  display: 'flex',
+                  gap: '12px',
+                  alignItems: 'center',
+                  padding: '6px 8px',
+                  backgroundColor: doc.id === currentId ? '#1F2937' : '#0D1117',
+                  borderRadius: '4px',
+                  fontSize: '12px',
+                }}
+              >
+                <button onClick={() => onOpen(doc)} style={{ ...linkStyle, color: '#E6EDF3', fontSize: '12px' }}>
+                  {doc.name}
+                </button>
+                {doc.tags.map(tag => (
+                  <span key={tag} style={{ fontSize: '10px', color: '#4FD1C5' }}>#{tag}</span>
+                ))}
+                <span style={{ flex: 1 }} />
+                <span style={{ fontSize: '10px', color: '#4B5563' }}>
+                  {doc.revisions.length} revision{doc.revisions.length === 1 ? '' : 's'} · {formatDate(doc.updatedAt)}
+                </span>
+                <button onClick={() => onDelete(doc)} style={linkStyle} title="Delete document">✕</button>
+              </div>
+            ))}
+          </div>
+
+          {current && (
+            <div style={{ marginTop: '12px' }}>
+              <div style={{ fontSize: '11px', color: '#6B7280', marginBottom: '6px' }}>History · {current.name}</div>
+              <table style={{ borderCollapse: 'collapse', fontSize: '11px', width: '100%' }}>
+                <thead>
+                  <tr style={{ color: '#4B5563', textAlign: 'right' }}>
+                    <th style={{ padding: '4px 8px', textAlign: 'left' }}>Saved</th>
+                    {REVISION_METRICS.map(([key, label]) => <th key={key} style={{ padding: '4px 8px' }}>{label}</th>)}
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...current.revisions].reverse().map(revision => (
+                    <tr key={revision.savedAt} style={{ borderTop: '1px solid #1F2937', textAlign: 'right', color: '#9CA3AF' }}>
+                      <td style={{ padding: '4px 8px', textAlign: 'left' }}>{formatDate(revision.savedAt)}</td>
+                      {REVISION_METRICS.map(([key, , digits]) => (
+                        <td key={key} style={{ padding: '4px 8px' }}>
+                          {revision.metrics[key] === undefined ? '–' : Number(revision.metrics[key]).toFixed(digits)}
+                        </td>
+                      ))}
+                      <td style={{ padding: '4px 8px' }}>
+                        <button onClick={() => onRestore(revision)} style={linkStyle}>restore</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+// HTML main-content extraction. Picks the article body the way a crawler's
+// boilerplate filter would, drops navigation/ads/footers, and serializes what
+// is left as Markdown so headings, lists and tables survive as structure.
+
+const ALWAYS_REMOVED = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'canvas',
+  'form', 'button', 'input', 'select', 'textarea', 'dialog', 'nav', 'aside',
+  '[role="navigation"]', '[role="complementary"]', '[role="search"]', '[role="dialog"]',
+  '[aria-hidden="true"]', '[hidden]',
+].join(', ');
+
+// Page chrome that is only removed when it isn't part of the chosen article
+const PAGE_CHROME = 'header, footer, [role="banner"], [role="contentinfo"]';
+
+const BOILERPLATE_HINT = /(^|[\s_-])(nav|navbar|menu|footer|sidebar|cookies?|consent|banner|breadcrumbs?|share|sharing|social|related|promo|advert|ads?|sponsor|newsletter|subscribe|comments?|popup|modal|skip)([\s_-]|$)/i;
+
+const MAIN_SELECTORS = ['article', 'main', '[role="main"]', '[itemprop="articleBody"]'];
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'figure', 'figcaption',
+  'dl', 'dt', 'dd', 'address', 'details', 'summary',
+]);
+
+const collapse = (text) => text.replace(/\s+/g, ' ');
+
+const textLength = (el) => collapse(el.textContent).trim().length;
+
+const linkDensity = (el) => {
+  const total = textLength(el);
+  if (total === 0) return 0;
+  const linked = Array.from(el.querySelectorAll('a')).reduce((sum, a) => sum + textLength(a), 0);
+  return linked / total;
+};
+
+// Readability-style scoring: each paragraph credits its parent fully and its
+// grandparent by half; link-heavy containers are penalized
+const findContentRoot = (body) => {
+  for (const selector of MAIN_SELECTORS) {
+    const candidates = Array.from(body.querySelectorAll(selector));
+    const best = candidates.sort((a, b) => textLength(b) - textLength(a))[0];
+    if (best && textLength(best) > 200) return best;
+  }
+
+  const scores = new Map();
+  for (const p of body.querySelectorAll('p, pre, td, li')) {
+    const length = textLength(p);
+    if (length < 25) continue;
+    const score = 1 + Math.min(length / 100, 3) + (p.textContent.match(/,/g) || []).length;
+    const parent = p.parentElement;
+    const grandparent = parent?.parentElement;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  }
+
+  let root = body;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    if (adjusted > bestScore) {
+      bestScore = adjusted;
+      root = el;
+    }
+  }
+  return root;
+};
+
+const removeBoilerplate = (root) => {
+  root.querySelectorAll(ALWAYS_REMOVED).forEach(el => el.remove());
+  if (root.tagName === 'BODY') root.querySelectorAll(PAGE_CHROME).forEach(el => el.remove());
+  root.querySelectorAll('[class], [id]').forEach(el => {
+    const hint = `${el.getAttribute('class') || ''} ${el.getAttribute('id') || ''}`;
+    // Short, link-heavy blocks with chrome-like names; long prose is kept even if mislabelled
+    if (BOILERPLATE_HINT.test(hint) && (linkDensity(el) > 0.3 || textLength(el) < 200)) el.remove();
+  });
+};
+
+const inline = (node) => collapse(serializeChildren(node, 0)).trim();
+
+const serializeList = (list, depth) => {
+  const ordered = list.tagName === 'OL';
+  const items = Array.from(list.children).filter(el => el.tagName === 'LI');
+  return '\n\n' + items.map((li, i) => {
+    const marker = ordered ? `${i + 1}.` : '-';
+    const nested = Array.from(li.children).filter(el => el.tagName === 'UL' || el.tagName === 'OL');
+    nested.forEach(el => el.remove());
+    const line = `${'  '.repeat(depth)}${marker} ${inline(li)}`;
+    return [line, ...nested.map(el => serializeList(el, depth + 1).replace(/^\n+|\n+$/g, ''))].join('\n');
+  }).join('\n') + '\n\n';
+};
+
+const serializeTable = (table) => {
+  const rows = Array.from(table.querySelectorAll('tr')).map(tr =>
+    Array.from(tr.children).map(cell => inline(cell).replace(/\|/g, '\\|')));
+  if (rows.length === 0) return '';
+  const width = Math.max(...rows.map(r => r.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] ?? '').join(' | ')} |`;
+  return '\n\n' + [
+    line(rows[0]),
+    line(Array(width).fill('---')),
+    ...rows.slice(1).map(line),
+  ].join('\n') + '\n\n';
+};
+
+// Source line breaks are just whitespace in HTML, except in code
+const serializeText = (node) => (node.parentElement?.closest('pre, code') ? node.textContent : collapse(node.textContent));
+
+const serializeNode = (node, depth) => {
+  if (node.nodeType === 3) return serializeText(node);
+  if (node.nodeType !== 1) return '';
+
+  const tag = node.tagName.toLowerCase();
+  if (/^h[1-6]$/.test(tag)) return `\n\n${'#'.repeat(Number(tag[1]))} ${inline(node)}\n\n`;
+  if (tag === 'br') return '\n';
+  if (tag === 'hr') return '\n\n';
+  if (tag === 'ul' || tag === 'ol') return serializeList(node, depth);
+  if (tag === 'table') return serializeTable(node);
+  if (tag === 'pre') return `\n\n\`\`\`\n${node.textContent.replace(/\n+$/, '')}\n\`\`\`\n\n`;
+  if (tag === 'blockquote') {
+    const quoted = serializeChildren(node, depth).trim().split('\n').map(l => `> ${l}`.trimEnd());
+    return `\n\n${quoted.join('\n')}\n\n`;
+  }
+  if (tag === 'img') return '';
+  if (BLOCK_TAGS.has(tag)) return `\n\n${serializeChildren(node, depth)}\n\n`;
+  return serializeChildren(node, depth);
+};
+
+const serializeChildren = (node, depth) =>
+  Array.from(node.childNodes).map(child => serializeNode(child, depth)).join('');
+
+// Collapse inline whitespace line by line (code fences and nested list
+// indentation stay verbatim) and keep at most one blank line between blocks
+const tidy = (markdown) => {
+  let inFence = false;
+  return markdown
+    .split('\n')
+    .map(line => {
+      if (line.trim().startsWith('```')) {
+        inFence = !inFence;
+        return line.trim();
+      }
+      if (inFence) return line;
+      const indent = /^ *(?:-|\d+\.) /.test(line) ? line.match(/^ */)[0] : '';
+      return indent + line.replace(/[ \t\u00a0]+/g, ' ').trim();
+    })
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+export const extractHtmlContent = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, style, noscript, template').forEach(el => el.remove());
+  const pageLength = textLength(doc.body);
+  const title = collapse(doc.querySelector('title')?.textContent || '').trim()
+    || collapse(doc.querySelector('h1')?.textContent || '').trim();
+
+  const root = findContentRoot(doc.body);
+  removeBoilerplate(root);
+  const text = tidy(serializeNode(root, 0));
+
+  return {
+    text,
+    title,
+    // Share of the page's visible text dropped as boilerplate
+    removedRatio: pageLength > 0 ? Math.max(0, 1 - collapse(text).length / pageLength) : 0,
+  };
+};
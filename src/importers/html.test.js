@@ -0,0 +1,69 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { extractHtmlContent } from './html';
+
+const page = (body) => `<html><head><title>Guide</title></head><body>${body}</body></html>`;
+
+describe('extractHtmlContent', () => {
+  it('joins source line breaks inside a paragraph', () => {
+    const { text } = extractHtmlContent(page(`
+      <p>Acme Cloud is a hosted vector database
+        for retrieval-augmented generation.
+        It indexes
+        documents overnight.</p>
+      <p>Second paragraph.</p>`));
+
+    expect(text).toBe([
+      'Acme Cloud is a hosted vector database for retrieval-augmented generation. It indexes documents overnight.',
+      'Second paragraph.',
+    ].join('\n\n'));
+  });
+
+  it('joins wrapped list items', () => {
+    const { text } = extractHtmlContent(page(`
+      <ul>
+        <li>Fast
+          setup</li>
+        <li>Hybrid search</li>
+      </ul>`));
+
+    expect(text).toBe('- Fast setup\n- Hybrid search');
+  });
+
+  it('keeps line breaks in code', () => {
+    const { text } = extractHtmlContent(page(`
+      <p>Install it:</p>
+      <pre><code>npm install
+npm run build</code></pre>`));
+
+    expect(text).toBe('Install it:\n\n```\nnpm install\nnpm run build\n```');
+  });
+
+  it('keeps the article and drops the page chrome around it', () => {
+    const article = 'Acme Cloud is a hosted vector database, built for retrieval, search and ranking. '.repeat(4);
+    const { text, title, removedRatio } = extractHtmlContent(page(`
+      <nav>${['Home', 'Docs', 'Pricing', 'Blog', 'Careers', 'Contact'].map(l => `<a href="/">${l}</a>`).join(' ')}</nav>
+      <div class="cookie-banner">We use cookies to improve your experience. Accept all?</div>
+      <article>
+        <h1>Getting started</h1>
+        <p>${article}</p>
+        <h2>Plans</h2>
+        <table><tr><th>Plan</th><th>Price</th></tr><tr><td>Pro</td><td>$20</td></tr></table>
+      </article>
+      <footer>© Acme Inc. All rights reserved. Terms · Privacy · Status</footer>`));
+
+    expect(title).toBe('Guide');
+    expect(text).toBe([
+      '# Getting started',
+      article.trim(),
+      '## Plans',
+      '| Plan | Price |\n| --- | --- |\n| Pro | $20 |',
+    ].join('\n\n'));
+    expect(removedRatio).toBeGreaterThan(0);
+  });
+
+  it('nests lists by indentation', () => {
+    const { text } = extractHtmlContent(page('<ol><li>Install<ul><li>npm</li><li>yarn</li></ul></li><li>Run</li></ol>'));
+    expect(text).toBe('1. Install\n  - npm\n  - yarn\n2. Run');
+  });
+});
@@ -0,0 +1,30 @@
+// File import for the content input. Everything is normalized to Markdown-ish
+// text so the chunking strategies see headings, lists and tables.
+import { extractHtmlContent } from './html';
+import { normalizeMarkdown, normalizeText } from './markdown';
+
+export const CONTENT_FILE_ACCEPT = '.html,.htm,.md,.markdown,.txt';
+
+const formatOf = (name) => {
+  const ext = name.toLowerCase().split('.').pop();
+  if (ext === 'html' || ext === 'htm') return 'html';
+  if (ext === 'md' || ext === 'markdown') return 'markdown';
+  if (ext === 'txt') return 'text';
+  return null;
+};
+
+export const isContentFile = (file) => formatOf(file.name) !== null;
+
+export const importContentFile = async (file) => {
+  const format = formatOf(file.name);
+  if (!format) throw new Error(`${file.name}: unsupported file type (expected ${CONTENT_FILE_ACCEPT})`);
+  const raw = await file.text();
+
+  if (format === 'html') {
+    const { text, title, removedRatio } = extractHtmlContent(raw);
+    if (!text) throw new Error(`${file.name}: no main content found`);
+    return { name: file.name, format, text, title, removedRatio };
+  }
+  if (format === 'markdown') return { name: file.name, format, ...normalizeMarkdown(raw), removedRatio: 0 };
+  return { name: file.name, format, text: normalizeText(raw), title: '', removedRatio: 0 };
+};
@@ -0,0 +1,30 @@
+// Markdown and plain-text normalization. Keeps heading, list and table syntax
+// (the chunker reads it as structure) but drops what a renderer never shows.
+
+const FRONT_MATTER = /^---\n([\s\S]*?)\n---(?:\n|$)/;
+
+export const normalizeText = (text) => text
+  .replace(/^\uFEFF/, '')
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t]+$/gm, '')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+export const normalizeMarkdown = (markdown) => {
+  const source = normalizeText(markdown);
+  const frontMatter = source.match(FRONT_MATTER);
+  const frontTitle = frontMatter?.[1].match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1];
+
+  const text = normalizeText(source
+    .replace(FRONT_MATTER, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    // Images and links keep only their visible text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\[[^\]]+\]:\s+\S+.*$/gm, '')
+    // Inline HTML tags (not autolinks like <https://...>)
+    .replace(/<\/?[a-z][a-z0-9-]*(?:\s[^<>]*)?>/gi, ''));
+
+  const heading = text.match(/^#{1,6}[ \t]+(.+?)[ \t#]*$/m)?.[1];
+  return { text, title: frontTitle || heading || '' };
+};
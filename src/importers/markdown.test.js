@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeMarkdown, normalizeText } from './markdown';
+
+describe('normalizeMarkdown', () => {
+  it('keeps structure and drops what a renderer never shows', () => {
+    const markdown = [
+      '---',
+      'title: "Acme Guide"',
+      '---',
+      '# Getting started',
+      '',
+      '<!-- draft note -->',
+      'Read the [docs](https://acme.dev/docs) and see ![the diagram](diagram.png).',
+      '',
+      '',
+      '',
+      '- <b>Fast</b> setup',
+      '',
+      '[docs]: https://acme.dev/docs',
+    ].join('\r\n');
+    expect(normalizeMarkdown(markdown)).toEqual({
+      text: '# Getting started\n\nRead the docs and see the diagram.\n\n- Fast setup',
+      title: 'Acme Guide',
+    });
+  });
+
+  it('takes the title from the first heading without front matter', () => {
+    expect(normalizeMarkdown('Intro.\n\n## Setup ##\n\nText.').title).toBe('Setup');
+  });
+});
+
+describe('normalizeText', () => {
+  it('normalizes line endings, trailing spaces and blank-line runs', () => {
+    expect(normalizeText('﻿One  \r\n\r\n\r\n\r\nTwo\rThree\n')).toBe('One\n\nTwo\nThree');
+  });
+});
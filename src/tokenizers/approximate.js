@@ -0,0 +1,59 @@
+// Pattern-based approximations for models whose vocabularies don't ship with
+// the app. Latin words break into short pieces; other alphabets into shorter
+// ones, since both vocabularies hold far fewer merges for them. A CJK ideograph
+// or Hangul syllable is about one token, kana about two characters.
+const LATIN_UPPER = '(?:(?=\\p{Lu})\\p{Script=Latin})';
+const LATIN_LOWER = '(?:(?=\\p{Ll})\\p{Script=Latin}|\\p{M})';
+const LATIN = '[\\p{Script=Latin}\\p{M}]';
+const CJK = /[\p{Script=Han}\p{Script=Hangul}]/uy;
+const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}ー]{1,2}/uy;
+const OTHER_LETTERS = /[\p{L}\p{M}]{1,3}/uy;
+
+// Patterns are sticky and matched in place, so long text stays linear. The
+// first pattern that matches at the position wins; anything else is one code
+// point (never half of a surrogate pair).
+const tokenizeWith = (patterns) => (text) => {
+  if (!text) return [];
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    let token = null;
+    for (const pattern of patterns) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(text);
+      if (match) {
+        token = match[0];
+        break;
+      }
+    }
+    token ??= String.fromCodePoint(text.codePointAt(position));
+    tokens.push(token);
+    position += token.length;
+  }
+  return tokens;
+};
+
+// Claude tokenizer approximation (slightly different patterns)
+export const approximateClaudeTokenize = tokenizeWith([
+  /\s+/y,
+  CJK,
+  KANA,
+  new RegExp(`${LATIN_UPPER}${LATIN_LOWER}{0,5}`, 'uy'), // Claude tends to split caps differently
+  new RegExp(`${LATIN_LOWER}{1,5}`, 'uy'), // Shorter word chunks
+  OTHER_LETTERS,
+  /\p{N}+/uy,
+  /[.,!?;:'"()\[\]{}]/y,
+  /[^\s\p{L}\p{N}]/uy,
+]);
+
+// Gemini approximation (SentencePiece-like)
+export const approximateGeminiTokenize = tokenizeWith([
+  new RegExp(`▁?${LATIN}{1,6}`, 'uy'), // SentencePiece underscore prefix
+  /\s+/y,
+  CJK,
+  KANA,
+  OTHER_LETTERS,
+  /\p{N}+/uy,
+  /[^\s\p{L}\p{N}]/uy,
+]);
@@ -0,0 +1,67 @@
+// OpenAI's tiktoken encodings through js-tiktoken.
+// Merge ranks ship with the app (js-tiktoken/ranks), so counts are exact and work offline.
+import { Tiktoken } from 'js-tiktoken/lite';
+
+export const ENCODINGS = {
+  cl100k_base: {
+    label: 'GPT-4',
+    load: () => import('js-tiktoken/ranks/cl100k_base'),
+  },
+  o200k_base: {
+    label: 'GPT-4o',
+    load: () => import('js-tiktoken/ranks/o200k_base'),
+  },
+};
+
+// Decoding an incomplete UTF-8 sequence ends in the replacement character,
+// unless the text itself has one there
+const INCOMPLETE = /�+$/;
+
+export const createBpeEncoder = ({ name, ...ranks }) => {
+  const tiktoken = new Tiktoken(ranks);
+
+  // Special tokens are never emitted: content is encoded as ordinary text
+  const encode = (text) => (text ? tiktoken.encode(text, [], []) : []);
+
+  return {
+    name,
+    encode,
+    // Token strings concatenate back to the input. A character whose UTF-8 bytes
+    // span several tokens is attributed to the token that completes it, so the
+    // leading tokens decode to ''.
+    tokenize: (text) => {
+      const ids = encode(text);
+      const strings = [];
+      let pending = [];
+      let position = 0;
+      let emitted = 0;
+      ids.forEach((id, i) => {
+        pending.push(id);
+        const decoded = tiktoken.decode(pending);
+        const complete = i === ids.length - 1 || text.startsWith(decoded, position)
+          ? decoded.length
+          : decoded.replace(INCOMPLETE, '').length;
+        strings.push(decoded.slice(emitted, complete));
+        if (complete === decoded.length) {
+          position += decoded.length;
+          pending = [];
+          emitted = 0;
+        } else {
+          emitted = complete;
+        }
+      });
+      return strings;
+    },
+  };
+};
+
+const loaded = {};
+
+// Rank tables are large, so each encoding is fetched and parsed once on demand
+export const loadEncoding = (name) => {
+  if (!loaded[name]) {
+    loaded[name] = ENCODINGS[name].load()
+      .then(({ default: data }) => createBpeEncoder({ name, ...data }));
+  }
+  return loaded[name];
+};
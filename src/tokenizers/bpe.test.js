@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { loadEncoding } from './bpe';
+
+describe('loadEncoding', () => {
+  it('encodes with the exact cl100k_base ranks', async () => {
+    const encoder = await loadEncoding('cl100k_base');
+    expect(encoder.encode('hello world')).toEqual([15339, 1917]);
+    expect(encoder.tokenize('hello world')).toEqual(['hello', ' world']);
+  });
+
+  it('loads each encoding once', async () => {
+    expect(await loadEncoding('o200k_base')).toBe(await loadEncoding('o200k_base'));
+  });
+
+  it('returns token strings that concatenate back to the text', async () => {
+    const encoder = await loadEncoding('cl100k_base');
+    const text = 'Ünïcödé 🧑‍🚀 rockets, 東京 and <|endoftext|> as plain text.';
+    const tokens = encoder.tokenize(text);
+    expect(tokens.join('')).toBe(text);
+    expect(tokens).toHaveLength(encoder.encode(text).length);
+    // A character split across byte tokens belongs to the token that completes it
+    expect(tokens).toContain('');
+  });
+});
@@ -0,0 +1,62 @@
+// Paragraph-level token cache. Text is cut after every blank-line run that is
+// followed by a non-space character. The built-in pre-tokenizers never merge
+// across such a cut (a newline run ends the token it belongs to), so the
+// tokens of the whole are the tokens of its pieces, and an edit only
+// re-tokenizes the paragraph it touches. The analyses keep their
+// per-paragraph and per-sentence results in the same kind of cache.
+const PARAGRAPH_CUT = /\n\s*\n(?=\S)/g;
+
+// Cached paragraphs per tokenizer; least recently used are dropped first
+const MAX_SEGMENTS = 4000;
+
+export const splitSegments = (text) => {
+  const segments = [];
+  let start = 0;
+  for (const match of text.matchAll(PARAGRAPH_CUT)) {
+    const end = match.index + match[0].length;
+    segments.push(text.slice(start, end));
+    start = end;
+  }
+  if (start < text.length) segments.push(text.slice(start));
+  return segments;
+};
+
+// Map that keeps its maxSize most recently used entries
+export const createLruCache = (maxSize) => {
+  const entries = new Map();
+  return {
+    has: (key) => entries.has(key),
+    get: (key) => {
+      const value = entries.get(key);
+      if (value !== undefined) {
+        entries.delete(key);
+        entries.set(key, value);
+      }
+      return value;
+    },
+    set: (key, value) => {
+      entries.delete(key);
+      if (entries.size >= maxSize) entries.delete(entries.keys().next().value);
+      entries.set(key, value);
+      return value;
+    },
+  };
+};
+
+// Wrap tokenize(text) so every paragraph is tokenized once. The wrapper also
+// exposes tokenizeSegment and isCached, so a caller can fill the cache one
+// paragraph at a time and report progress.
+export const withParagraphCache = (tokenize) => {
+  const cache = createLruCache(MAX_SEGMENTS);
+  const tokenizeSegment = (segment) => cache.get(segment) ?? cache.set(segment, tokenize(segment));
+
+  const cached = (text) => {
+    if (!text) return [];
+    const segments = splitSegments(text);
+    if (segments.length === 1) return tokenizeSegment(text).slice();
+    return segments.flatMap(tokenizeSegment);
+  };
+  cached.tokenizeSegment = tokenizeSegment;
+  cached.isCached = (segment) => cache.has(segment);
+  return cached;
+};
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { splitSegments, createLruCache, withParagraphCache } from './cache';
+
+describe('splitSegments', () => {
+  it('cuts after blank lines that are followed by text', () => {
+    expect(splitSegments('One.\n\nTwo.\n  \n\nThree.')).toEqual(['One.\n\n', 'Two.\n  \n\n', 'Three.']);
+    expect(splitSegments('One.\nStill one.\n\n')).toEqual(['One.\nStill one.\n\n']);
+    expect(splitSegments('')).toEqual([]);
+  });
+});
+
+describe('createLruCache', () => {
+  it('drops the least recently used entry when full', () => {
+    const cache = createLruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.get('c')).toBe(3);
+  });
+});
+
+describe('withParagraphCache', () => {
+  const words = (text) => text.match(/\S+\s*/g) ?? [];
+
+  it('matches the uncached tokenizer and tokenizes each paragraph once', () => {
+    const calls = [];
+    const tokenize = withParagraphCache((text) => {
+      calls.push(text);
+      return words(text);
+    });
+    const text = 'Acme Cloud stores vectors.\n\nIt scales.\n\nIt is fast.';
+    expect(tokenize(text)).toEqual(words(text));
+    expect(calls).toHaveLength(3);
+
+    expect(tokenize('Acme Cloud stores vectors.\n\nIt scales well.\n\nIt is fast.')).toHaveLength(10);
+    expect(calls).toEqual([...calls.slice(0, 3), 'It scales well.\n\n']);
+    expect(tokenize.isCached('It is fast.')).toBe(true);
+  });
+
+  it('hands out a copy for single-paragraph text', () => {
+    const tokenize = withParagraphCache(words);
+    tokenize('Acme Cloud').push('extra');
+    expect(tokenize('Acme Cloud')).toEqual(['Acme ', 'Cloud']);
+  });
+});
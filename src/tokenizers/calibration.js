@@ -0,0 +1,169 @@
+// Calibration of the approximate tokenizers against real token counts, e.g.
+// from API usage logs. Each approximation gets one scale factor; a calibrated
+// tokenizer re-cuts the approximate tokens to scale times as many, so counts,
+// chunk boundaries and everything downstream follow the calibration.
+import { splitSegments } from './cache';
+
+// Columns accepted for the true count, in order of preference
+const COUNT_COLUMNS = ['tokens', 'token_count', 'input_tokens', 'count'];
+
+// Scale factors are kept within this range and rounded to 3 decimals
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 4;
+
+// Split text into `parts` pieces of about equal length, never inside a code point
+const splitEvenly = (text, parts) => {
+  const points = [...text];
+  const count = Math.min(parts, points.length);
+  const pieces = [];
+  for (let i = 0; i < count; i++) {
+    pieces.push(points.slice(Math.round((i * points.length) / count), Math.round(((i + 1) * points.length) / count)).join(''));
+  }
+  return pieces;
+};
+
+// Re-cut tokens so there are about scale times as many: below 1 neighbours
+// merge, above 1 tokens split. The pieces still concatenate to the text.
+export const scaleTokens = (tokens, scale) => {
+  if (scale === 1) return tokens;
+  const scaled = [];
+  let carried = '';
+  let expected = 0;
+  for (const token of tokens) {
+    expected += scale;
+    const parts = Math.round(expected) - scaled.length;
+    if (parts <= 0) {
+      carried += token;
+      continue;
+    }
+    scaled.push(...splitEvenly(carried + token, parts));
+    carried = '';
+  }
+  if (carried) {
+    if (scaled.length > 0) scaled[scaled.length - 1] += carried;
+    else scaled.push(carried);
+  }
+  return scaled;
+};
+
+export const withCalibration = (tokenize, scale) => (scale === 1 ? tokenize : (text) => scaleTokens(tokenize(text), scale));
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, quotes ("") and newlines
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+};
+
+// CSV with a header row naming model, text and tokens (or token_count,
+// input_tokens, count) columns, one sample per row.
+// Returns { samples: [{ model, text, tokens }], skipped }
+export const parseCalibrationCsv = (csv) => {
+  const [header, ...rows] = parseCsvRows(csv);
+  const columns = (header ?? []).map(name => name.trim().toLowerCase());
+  const modelColumn = columns.indexOf('model');
+  const textColumn = columns.indexOf('text');
+  const countColumn = COUNT_COLUMNS.map(name => columns.indexOf(name)).find(index => index >= 0) ?? -1;
+  if (modelColumn < 0 || textColumn < 0 || countColumn < 0) {
+    throw new Error('Expected a header row with model, text and tokens columns.');
+  }
+
+  const samples = [];
+  let skipped = 0;
+  for (const row of rows) {
+    const model = (row[modelColumn] ?? '').trim();
+    const text = row[textColumn] ?? '';
+    const tokens = Number(row[countColumn]);
+    if (model && text.trim() && Number.isFinite(tokens) && tokens > 0) samples.push({ model, text, tokens });
+    else skipped += 1;
+  }
+  return { samples, skipped };
+};
+
+// The registry model a sample's model name refers to: its id or label, or a
+// full model name that starts with the id ("claude-sonnet-4", "gemini-2.5-pro")
+export const matchSampleModel = (model, tokenizers) => {
+  const name = model.toLowerCase();
+  return tokenizers.find(t => t.id === name || t.label.toLowerCase() === name)
+    ?? tokenizers.find(t => name.startsWith(t.id));
+};
+
+// Mean absolute error as a share of the true count, and the signed error of
+// the totals (positive means the estimate counts too many)
+const measureError = (rows, key) => {
+  const total = rows.reduce((sum, r) => sum + r.tokens, 0);
+  return {
+    mape: rows.reduce((sum, r) => sum + Math.abs(r[key] - r.tokens) / r.tokens, 0) / rows.length,
+    bias: (rows.reduce((sum, r) => sum + r[key], 0) - total) / total,
+  };
+};
+
+// Per model with samples: the fitted scale and the error before and after.
+// Approximations (entries with an uncalibrated tokenize) get a scale that
+// minimizes the squared relative error; exact tokenizers are only checked.
+export const fitCalibration = (samples, tokenizers) => {
+  const byModel = new Map();
+  for (const sample of samples) {
+    const tokenizer = matchSampleModel(sample.model, tokenizers);
+    if (!tokenizer) continue;
+    if (!byModel.has(tokenizer.id)) byModel.set(tokenizer.id, { tokenizer, samples: [] });
+    byModel.get(tokenizer.id).samples.push(sample);
+  }
+
+  return [...byModel.values()].map(({ tokenizer, samples: modelSamples }) => {
+    const estimate = tokenizer.uncalibrated ?? tokenizer.tokenize;
+    const rows = modelSamples.map(s => ({ ...s, before: estimate(s.text).length }));
+    if (!tokenizer.uncalibrated) {
+      return { id: tokenizer.id, label: tokenizer.label, sampleCount: rows.length, exact: true, before: measureError(rows, 'before') };
+    }
+
+    const ratios = rows.map(r => r.before / r.tokens);
+    const squares = ratios.reduce((sum, x) => sum + x * x, 0);
+    const fitted = squares > 0 ? ratios.reduce((sum, x) => sum + x, 0) / squares : 1;
+    const scale = Number(Math.min(MAX_SCALE, Math.max(MIN_SCALE, fitted)).toFixed(3));
+    // Counted per paragraph, as the registry's cached tokenizers count
+    const calibrated = withCalibration(tokenizer.uncalibrated, scale);
+    rows.forEach(r => { r.after = splitSegments(r.text).reduce((sum, segment) => sum + calibrated(segment).length, 0); });
+    return {
+      id: tokenizer.id,
+      label: tokenizer.label,
+      sampleCount: rows.length,
+      exact: false,
+      scale,
+      before: measureError(rows, 'before'),
+      after: measureError(rows, 'after'),
+    };
+  });
+};
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { scaleTokens, parseCalibrationCsv, matchSampleModel, fitCalibration } from './calibration';
+
+const words = (text) => text.match(/\S+\s*/g) ?? [];
+
+const tokenizers = [
+  { id: 'gpt', label: 'GPT-4', tokenize: words },
+  { id: 'claude', label: 'Claude', tokenize: words, uncalibrated: words },
+];
+
+describe('scaleTokens', () => {
+  const tokens = ['Acme ', 'Cloud ', 'stores ', 'vectors.'];
+
+  it('splits or merges tokens to about scale times as many', () => {
+    expect(scaleTokens(tokens, 2)).toHaveLength(8);
+    expect(scaleTokens(tokens, 0.5)).toEqual(['Acme ', 'Cloud stores vectors.']);
+    expect(scaleTokens(tokens, 1)).toBe(tokens);
+  });
+
+  it('keeps the text and never splits a code point', () => {
+    const scaled = scaleTokens(['🧑‍🚀', 'ok'], 3);
+    expect(scaled.join('')).toBe('🧑‍🚀ok');
+    scaled.forEach(piece => expect(piece).not.toMatch(/^[\uDC00-\uDFFF]|[\uD800-\uDBFF]$/));
+  });
+});
+
+describe('parseCalibrationCsv', () => {
+  it('reads quoted fields and skips incomplete rows', () => {
+    const csv = 'Model,Text,Input_Tokens\r\nclaude,"Hello, ""world""\nagain",5\ngpt,,3\nclaude,Hi,none\n';
+    expect(parseCalibrationCsv(csv)).toEqual({ samples: [{ model: 'claude', text: 'Hello, "world"\nagain', tokens: 5 }], skipped: 2 });
+  });
+
+  it('requires the model, text and count columns', () => {
+    expect(() => parseCalibrationCsv('model,text\nclaude,Hi')).toThrow('Expected a header row');
+  });
+});
+
+describe('matchSampleModel', () => {
+  it('matches ids, labels and full model names', () => {
+    expect(matchSampleModel('GPT-4', tokenizers).id).toBe('gpt');
+    expect(matchSampleModel('claude-sonnet-4', tokenizers).id).toBe('claude');
+    expect(matchSampleModel('llama', tokenizers)).toBeUndefined();
+  });
+});
+
+describe('fitCalibration', () => {
+  it('fits a scale for approximations and only checks exact tokenizers', () => {
+    const samples = [
+      { model: 'claude-3', text: 'Acme Cloud stores vectors.', tokens: 8 },
+      { model: 'claude-3', text: 'It scales.', tokens: 4 },
+      { model: 'gpt-4', text: 'It scales.', tokens: 3 },
+      { model: 'llama', text: 'It scales.', tokens: 3 },
+    ];
+    const [claude, gpt] = fitCalibration(samples, tokenizers);
+    expect(claude).toMatchObject({ id: 'claude', sampleCount: 2, exact: false, scale: 2 });
+    expect(claude.before.bias).toBe(-0.5);
+    expect(claude.after).toEqual({ mape: 0, bias: 0 });
+    expect(gpt).toMatchObject({ id: 'gpt', sampleCount: 1, exact: true });
+    expect(gpt.before.mape).toBeCloseTo(1 / 3);
+    expect(gpt.after).toBeUndefined();
+  });
+});
@@ -0,0 +1,456 @@
+// Hugging Face tokenizer.json support (BPE, Unigram/SentencePiece, WordPiece, WordLevel).
+// Runs the normalizer → pre-tokenizer → model pipeline and keeps every character
+// aligned to its offset in the input, so the emitted tokens are slices of the
+// original text (the analyzer relies on tokens concatenating back to the content).
+// Added/special tokens are not matched: analyzed content is plain prose.
+
+// A piece is { text, align }: align[i] is the input offset of text[i], and
+// align[text.length] is the offset just past the piece.
+const identityPiece = (text) => ({
+  text,
+  align: Array.from({ length: text.length + 1 }, (_, i) => i),
+});
+
+const slicePiece = ({ text, align }, start, end) => ({
+  text: text.slice(start, end),
+  align: align.slice(start, end + 1),
+});
+
+// Replace every match of `pattern`; replacement chars inherit the match's offset
+const transform = ({ text, align }, pattern, replace) => {
+  let out = '';
+  const outAlign = [];
+  let last = 0;
+  const keep = (from, to) => {
+    out += text.slice(from, to);
+    for (let i = from; i < to; i++) outAlign.push(align[i]);
+  };
+  for (const match of text.matchAll(pattern)) {
+    keep(last, match.index);
+    const replacement = replace(match[0]);
+    out += replacement;
+    for (let i = 0; i < replacement.length; i++) outAlign.push(align[match.index]);
+    last = match.index + match[0].length;
+  }
+  keep(last, text.length);
+  outAlign.push(align[text.length]);
+  return { text: out, align: outAlign };
+};
+
+const prependToPiece = ({ text, align }, prefix) => ({
+  text: prefix + text,
+  align: [...Array(prefix.length).fill(align[0]), ...align],
+});
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rust/Oniguruma patterns use scoped flags like (?i:'s|'t) that JS lacks,
+// so letters inside those groups are expanded into [sS] classes.
+const toRegExp = (pattern) => {
+  if (pattern.String !== undefined) return new RegExp(escapeRegExp(pattern.String), 'gu');
+  const source = pattern.Regex.replace(/\(\?i:((?:[^()\\]|\\.)*)\)/g, (_, body) => {
+    const expanded = body.replace(/\\[pP]\{[^}]*\}|\\.|\[(?:[^\]\\]|\\.)*\]|[a-zA-Z]/g, token =>
+      /^[a-zA-Z]$/.test(token) ? `[${token.toLowerCase()}${token.toUpperCase()}]` : token);
+    return `(?:${expanded})`;
+  });
+  return new RegExp(source, 'gu');
+};
+
+// ─── Normalizers ───────────────────────────────────────────────────────────
+
+const CODE_POINT = /[\s\S]/gu;
+const GRAPHEME = /\P{M}\p{M}*|\p{M}+/gu;
+const CJK = /[一-鿿㐀-䶿\u{20000}-\u{2A6DF}\u{2A700}-\u{2CEAF}豈-﫿\u{2F800}-\u{2FA1F}]/gu;
+
+const createNormalizer = (config) => {
+  if (!config) return piece => piece;
+
+  switch (config.type) {
+    case 'Sequence': {
+      const steps = config.normalizers.map(createNormalizer);
+      return piece => steps.reduce((p, step) => step(p), piece);
+    }
+    case 'NFC':
+    case 'NFD':
+    case 'NFKC':
+    case 'NFKD':
+      return piece => transform(piece, GRAPHEME, g => g.normalize(config.type));
+    // SentencePiece's precompiled charsmap is essentially NFKC
+    case 'Precompiled':
+      return piece => transform(piece, GRAPHEME, g => g.normalize('NFKC'));
+    case 'Lowercase':
+      return piece => transform(piece, CODE_POINT, c => c.toLowerCase());
+    case 'StripAccents':
+      return piece => transform(piece, /\p{Mn}/gu, () => '');
+    case 'Strip':
+      return piece => {
+        let p = piece;
+        if (config.strip_left !== false) p = transform(p, /^\s+/gu, () => '');
+        if (config.strip_right !== false) p = transform(p, /\s+$/gu, () => '');
+        return p;
+      };
+    case 'Replace': {
+      const pattern = toRegExp(config.pattern);
+      return piece => transform(piece, pattern, () => config.content);
+    }
+    case 'Prepend':
+      return piece => (piece.text ? prependToPiece(piece, config.prepend) : piece);
+    case 'BertNormalizer': {
+      const lowercase = config.lowercase !== false;
+      const stripAccents = config.strip_accents ?? lowercase;
+      return piece => {
+        let p = piece;
+        if (config.clean_text !== false) {
+          p = transform(p, /[\0�]|(?![\t\n\r])\p{Cc}/gu, () => '');
+          p = transform(p, /\s/gu, () => ' ');
+        }
+        if (config.handle_chinese_chars !== false) p = transform(p, CJK, c => ` ${c} `);
+        if (stripAccents) {
+          p = transform(p, GRAPHEME, g => g.normalize('NFD'));
+          p = transform(p, /\p{Mn}/gu, () => '');
+        }
+        if (lowercase) p = transform(p, CODE_POINT, c => c.toLowerCase());
+        return p;
+      };
+    }
+    default:
+      return piece => piece;
+  }
+};
+
+// ─── Pre-tokenizers ────────────────────────────────────────────────────────
+
+const GPT2_PATTERN = /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+const BERT_PUNCTUATION = /[!-/:-@[-`{-~\p{P}]/gu;
+
+// GPT-2's reversible byte → printable character table
+const BYTE_TO_CHAR = (() => {
+  const bytes = [];
+  for (let b = 33; b <= 126; b++) bytes.push(b);
+  for (let b = 161; b <= 172; b++) bytes.push(b);
+  for (let b = 174; b <= 255; b++) bytes.push(b);
+  const chars = [...bytes];
+  let n = 0;
+  for (let b = 0; b < 256; b++) {
+    if (!bytes.includes(b)) {
+      bytes.push(b);
+      chars.push(256 + n++);
+    }
+  }
+  const table = [];
+  bytes.forEach((b, i) => { table[b] = String.fromCharCode(chars[i]); });
+  return table;
+})();
+
+const utf8 = new TextEncoder();
+const toByteChars = (char) => Array.from(utf8.encode(char), b => BYTE_TO_CHAR[b]).join('');
+
+// Split a piece around the pattern's matches (the delimiters, or the content when inverted)
+const splitPiece = (piece, pattern, behavior, invert = false) => {
+  const segments = [];
+  let last = 0;
+  for (const match of piece.text.matchAll(pattern)) {
+    if (!match[0]) continue;
+    if (match.index > last) segments.push({ start: last, end: match.index, isDelimiter: invert });
+    segments.push({ start: match.index, end: match.index + match[0].length, isDelimiter: !invert });
+    last = match.index + match[0].length;
+  }
+  if (last < piece.text.length) segments.push({ start: last, end: piece.text.length, isDelimiter: invert });
+
+  const merged = [];
+  let pendingNext = null;
+  for (const segment of segments) {
+    const previous = merged[merged.length - 1];
+    if (pendingNext) {
+      segment.start = pendingNext.start;
+      pendingNext = null;
+    }
+    if (!segment.isDelimiter) {
+      merged.push(segment);
+      continue;
+    }
+    switch (behavior) {
+      case 'Removed':
+        break;
+      case 'MergedWithPrevious':
+        if (previous) previous.end = segment.end;
+        else merged.push(segment);
+        break;
+      case 'MergedWithNext':
+        pendingNext = segment;
+        break;
+      case 'Contiguous':
+        if (previous?.isDelimiter && previous.end === segment.start) previous.end = segment.end;
+        else merged.push(segment);
+        break;
+      default: // Isolated
+        merged.push(segment);
+    }
+  }
+  if (pendingNext) merged.push(pendingNext);
+
+  return merged.map(({ start, end }) => slicePiece(piece, start, end));
+};
+
+const createPreTokenizer = (config) => {
+  // SentencePiece-style tokenizers leave splitting to the model. Cutting before
+  // each run of word boundaries keeps the model linear on long documents; merges
+  // across words are vanishingly rare in those vocabularies.
+  if (!config) return piece => splitPiece(piece, /[▁\s]*[^▁\s]+|[▁\s]+/gu, 'Isolated');
+
+  switch (config.type) {
+    case 'Sequence': {
+      const steps = config.pretokenizers.map(createPreTokenizer);
+      return piece => steps.reduce((pieces, step) => pieces.flatMap(step), [piece]);
+    }
+    case 'Whitespace':
+      return piece => splitPiece(piece, /\w+|[^\w\s]+/gu, 'Removed', true);
+    case 'WhitespaceSplit':
+      return piece => splitPiece(piece, /\s+/gu, 'Removed');
+    case 'BertPreTokenizer':
+      return piece => splitPiece(piece, /\s+/gu, 'Removed')
+        .flatMap(p => splitPiece(p, BERT_PUNCTUATION, 'Isolated'));
+    case 'Punctuation':
+      return piece => splitPiece(piece, BERT_PUNCTUATION, config.behavior ?? 'Isolated');
+    case 'Digits':
+      return piece => splitPiece(piece, config.individual_digits ? /\p{N}/gu : /\p{N}+/gu, 'Isolated');
+    case 'CharDelimiterSplit':
+      return piece => splitPiece(piece, new RegExp(escapeRegExp(config.delimiter), 'gu'), 'Removed');
+    case 'Split': {
+      const pattern = toRegExp(config.pattern);
+      return piece => splitPiece(piece, pattern, config.behavior, config.invert);
+    }
+    case 'ByteLevel':
+      return piece => {
+        let p = piece;
+        if (config.add_prefix_space && !p.text.startsWith(' ')) p = prependToPiece(p, ' ');
+        const pieces = config.use_regex === false ? [p] : splitPiece(p, GPT2_PATTERN, 'Isolated');
+        return pieces.map(sub => transform(sub, CODE_POINT, toByteChars));
+      };
+    case 'Metaspace': {
+      const replacement = config.replacement ?? '▁';
+      const scheme = config.prepend_scheme ?? (config.add_prefix_space === false ? 'never' : 'always');
+      return piece => {
+        let p = transform(piece, / /gu, () => replacement);
+        const prepend = scheme === 'always' || (scheme === 'first' && p.align[0] === 0);
+        if (prepend && p.text && !p.text.startsWith(replacement)) p = prependToPiece(p, replacement);
+        return config.split === false
+          ? [p]
+          : splitPiece(p, new RegExp(escapeRegExp(replacement), 'gu'), 'MergedWithNext');
+      };
+    }
+    default:
+      return piece => [piece];
+  }
+};
+
+// ─── Models ────────────────────────────────────────────────────────────────
+// A model maps a pre-token to [{ id, start }], start being a UTF-16 offset into it.
+
+const toMap = (vocab) => new Map(Array.isArray(vocab) ? vocab : Object.entries(vocab));
+
+const byteFallbackTokens = (vocab, char, start) => {
+  const ids = Array.from(utf8.encode(char), b =>
+    vocab.get(`<0x${b.toString(16).toUpperCase().padStart(2, '0')}>`));
+  return ids.every(id => id !== undefined) ? ids.map(id => ({ id, start })) : null;
+};
+
+// Consecutive unknown tokens collapse into one, as HF does with fuse_unk
+const pushUnknown = (tokens, unkId, start, fuse) => {
+  const previous = tokens[tokens.length - 1];
+  if (fuse && previous?.unknown) return;
+  tokens.push({ id: unkId, start, unknown: true });
+};
+
+const createBpeModel = (config) => {
+  const vocab = toMap(config.vocab);
+  const prefix = config.continuing_subword_prefix ?? '';
+  const suffix = config.end_of_word_suffix ?? '';
+  const unkId = config.unk_token != null ? vocab.get(config.unk_token) : undefined;
+  const ranks = new Map();
+  config.merges.forEach((merge, rank) => {
+    const [a, b] = Array.isArray(merge) ? merge : merge.split(' ');
+    ranks.set(`${a}\u0000${b}`, rank);
+  });
+
+  return (word) => {
+    if (config.ignore_merges && vocab.has(word)) return [{ id: vocab.get(word), start: 0 }];
+
+    const symbols = [];
+    let offset = 0;
+    for (const char of word) {
+      symbols.push({ value: (offset > 0 ? prefix : '') + char, raw: char, start: offset });
+      offset += char.length;
+    }
+    if (suffix && symbols.length) symbols[symbols.length - 1].value += suffix;
+
+    while (symbols.length > 1) {
+      let minRank = Infinity;
+      let minIndex = -1;
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = ranks.get(`${symbols[i].value}\u0000${symbols[i + 1].value}`);
+        if (rank !== undefined && rank < minRank) {
+          minRank = rank;
+          minIndex = i;
+        }
+      }
+      if (minIndex === -1) break;
+      const [a, b] = [symbols[minIndex], symbols[minIndex + 1]];
+      const tail = prefix && b.value.startsWith(prefix) ? b.value.slice(prefix.length) : b.value;
+      symbols.splice(minIndex, 2, { value: a.value + tail, raw: a.raw + b.raw, start: a.start });
+    }
+
+    const tokens = [];
+    for (const symbol of symbols) {
+      if (vocab.has(symbol.value)) {
+        tokens.push({ id: vocab.get(symbol.value), start: symbol.start });
+        continue;
+      }
+      const fallback = config.byte_fallback && byteFallbackTokens(vocab, symbol.raw, symbol.start);
+      if (fallback) tokens.push(...fallback);
+      else pushUnknown(tokens, unkId, symbol.start, config.fuse_unk);
+    }
+    return tokens;
+  };
+};
+
+// Viterbi search for the highest-scoring segmentation
+const createUnigramModel = (config) => {
+  const pieces = new Map();
+  let minScore = Infinity;
+  let maxLength = 0;
+  config.vocab.forEach(([piece, score], id) => {
+    pieces.set(piece, { id, score });
+    minScore = Math.min(minScore, score);
+    maxLength = Math.max(maxLength, piece.length);
+  });
+  const byteVocab = new Map([...pieces].map(([piece, { id }]) => [piece, id]));
+  const unkScore = minScore - 10;
+
+  return (word) => {
+    const bounds = [0];
+    for (const char of word) bounds.push(bounds[bounds.length - 1] + char.length);
+
+    const best = [{ score: 0 }];
+    for (let end = 1; end < bounds.length; end++) {
+      for (let start = end - 1; start >= 0 && bounds[end] - bounds[start] <= maxLength; start--) {
+        const piece = pieces.get(word.slice(bounds[start], bounds[end]));
+        const score = piece && best[start].score + piece.score;
+        if (piece && (!best[end] || score > best[end].score)) {
+          best[end] = { score, from: start, id: piece.id };
+        }
+      }
+      if (!best[end]) best[end] = { score: best[end - 1].score + unkScore, from: end - 1, unknown: true };
+    }
+
+    const path = [];
+    for (let end = bounds.length - 1; end > 0; end = best[end].from) path.unshift({ ...best[end], end });
+
+    const tokens = [];
+    for (const step of path) {
+      const start = bounds[step.from];
+      if (!step.unknown) {
+        tokens.push({ id: step.id, start });
+        continue;
+      }
+      const fallback = config.byte_fallback
+        && byteFallbackTokens(byteVocab, word.slice(start, bounds[step.end]), start);
+      if (fallback) tokens.push(...fallback);
+      else pushUnknown(tokens, config.unk_id, start, true);
+    }
+    return tokens;
+  };
+};
+
+// Greedy longest-match-first, as in BERT
+const createWordPieceModel = (config) => {
+  const vocab = toMap(config.vocab);
+  const prefix = config.continuing_subword_prefix ?? '##';
+  const maxChars = config.max_input_chars_per_word ?? 100;
+  const unkId = vocab.get(config.unk_token ?? '[UNK]');
+
+  return (word) => {
+    const chars = [...word];
+    if (chars.length > maxChars) return [{ id: unkId, start: 0 }];
+
+    const tokens = [];
+    let start = 0;
+    let offset = 0;
+    while (start < chars.length) {
+      let end = chars.length;
+      let id;
+      while (start < end) {
+        const sub = (start > 0 ? prefix : '') + chars.slice(start, end).join('');
+        if (vocab.has(sub)) {
+          id = vocab.get(sub);
+          break;
+        }
+        end--;
+      }
+      if (id === undefined) return [{ id: unkId, start: 0 }];
+      tokens.push({ id, start: offset });
+      offset += chars.slice(start, end).join('').length;
+      start = end;
+    }
+    return tokens;
+  };
+};
+
+const createWordLevelModel = (config) => {
+  const vocab = toMap(config.vocab);
+  const unkId = vocab.get(config.unk_token);
+  return (word) => [{ id: vocab.has(word) ? vocab.get(word) : unkId, start: 0 }];
+};
+
+const MODELS = {
+  BPE: createBpeModel,
+  Unigram: createUnigramModel,
+  WordPiece: createWordPieceModel,
+  WordLevel: createWordLevelModel,
+};
+
+const MAX_CACHE_SIZE = 50000;
+
+// Build a registry tokenizer from a parsed tokenizer.json
+export const createHuggingFaceTokenizer = (json, { id, label }) => {
+  const type = json?.model?.type ?? (json?.model?.merges ? 'BPE' : undefined);
+  if (!MODELS[type]) {
+    throw new Error(`Unsupported tokenizer model type "${type ?? 'unknown'}". Expected BPE, Unigram, WordPiece or WordLevel.`);
+  }
+
+  const normalize = createNormalizer(json.normalizer);
+  const preTokenize = createPreTokenizer(json.pre_tokenizer);
+  const model = MODELS[type](json.model);
+  const cache = new Map();
+  const vocabSize = Array.isArray(json.model.vocab)
+    ? json.model.vocab.length
+    : Object.keys(json.model.vocab).length;
+
+  const encodeWord = (word) => {
+    let tokens = cache.get(word);
+    if (!tokens) {
+      tokens = model(word);
+      if (cache.size >= MAX_CACHE_SIZE) cache.clear();
+      cache.set(word, tokens);
+    }
+    return tokens;
+  };
+
+  return {
+    id,
+    label,
+    sub: `${type.toLowerCase()} · ${vocabSize.toLocaleString()} vocab`,
+    tokenize: (text) => {
+      if (!text) return [];
+      const starts = [];
+      for (const piece of preTokenize(normalize(identityPiece(text)))) {
+        for (const token of encodeWord(piece.text)) {
+          starts.push(Math.max(piece.align[token.start], starts[starts.length - 1] ?? 0));
+        }
+      }
+      // Each token owns the input from its start up to the next token's start;
+      // text dropped by normalization or pre-tokenization joins the preceding token.
+      return starts.map((start, i) => text.slice(i === 0 ? 0 : start, starts[i + 1] ?? text.length));
+    },
+  };
+};
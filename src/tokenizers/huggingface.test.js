@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { createHuggingFaceTokenizer } from './huggingface';
+import { loadTokenizerFile, createTokenizerRegistry } from './registry';
+import { loadEncoding } from './bpe';
+
+const tokenize = (json, text) => createHuggingFaceTokenizer(json, { id: 'test', label: 'Test' }).tokenize(text);
+
+describe('createHuggingFaceTokenizer', () => {
+  it('applies BPE merges in rank order', () => {
+    const json = {
+      model: {
+        type: 'BPE',
+        vocab: { l: 0, o: 1, w: 2, e: 3, r: 4, ' ': 5, lo: 6, low: 7, er: 8 },
+        merges: ['l o', 'lo w', 'e r'],
+      },
+    };
+    expect(tokenize(json, 'low lower')).toEqual(['low', ' ', 'low', 'er']);
+  });
+
+  it('maps normalized WordPiece tokens back onto the original text', () => {
+    const json = {
+      normalizer: { type: 'BertNormalizer', lowercase: true },
+      pre_tokenizer: { type: 'BertPreTokenizer' },
+      model: { type: 'WordPiece', vocab: { '[UNK]': 0, un: 1, '##aff': 2, '##able': 3, '!': 4 } },
+    };
+    expect(tokenize(json, 'Unaffable!')).toEqual(['Un', 'aff', 'able', '!']);
+  });
+
+  it('finds the best Unigram segmentation after a Metaspace pre-tokenizer', () => {
+    const json = {
+      pre_tokenizer: { type: 'Metaspace', replacement: '▁', prepend_scheme: 'always' },
+      model: {
+        type: 'Unigram',
+        unk_id: 0,
+        vocab: [['<unk>', 0], ['▁', -1], ['▁hel', -2], ['lo', -2], ['h', -5], ['e', -5], ['l', -5], ['o', -5]],
+      },
+    };
+    expect(tokenize(json, 'hello')).toEqual(['hel', 'lo']);
+  });
+
+  it('gives text dropped by the pre-tokenizer to the preceding token', () => {
+    const json = {
+      pre_tokenizer: { type: 'Whitespace' },
+      model: { type: 'WordLevel', vocab: { '[UNK]': 0, hello: 1, world: 2 }, unk_token: '[UNK]' },
+    };
+    expect(tokenize(json, 'hello  world!')).toEqual(['hello  ', 'world', '!']);
+  });
+
+  it('rejects model types it cannot run', () => {
+    expect(() => tokenize({ model: { type: 'Custom', vocab: {} } }, 'x')).toThrow(/Unsupported tokenizer model type "Custom"/);
+  });
+});
+
+describe('loadTokenizerFile', () => {
+  it('names the tokenizer after its file and adds it to the registry', async () => {
+    const json = { model: { type: 'WordLevel', vocab: { hi: 0 }, unk_token: 'hi' } };
+    const tokenizer = await loadTokenizerFile(new File([JSON.stringify(json)], 'llama-3.json'));
+    expect(tokenizer.label).toBe('llama-3');
+    expect(tokenizer.id).toMatch(/^custom-\d+$/);
+    expect(tokenizer.json).toEqual(json);
+
+    const registry = createTokenizerRegistry(await loadEncoding('cl100k_base'), [tokenizer], {});
+    expect(registry.map(t => [t.id, Boolean(t.custom)])).toEqual([['gpt', false], ['claude', false], ['gemini', false], [tokenizer.id, true]]);
+  });
+
+  it('reports a file that is not JSON', async () => {
+    await expect(loadTokenizerFile(new File(['{'], 'broken.json'))).rejects.toThrow('broken.json is not valid JSON.');
+  });
+});
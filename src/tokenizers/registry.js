@@ -0,0 +1,84 @@
+// Tokenizer registry: every model the analyzer counts, compares and chunks with.
+// A tokenizer is { id, label, sub, tokenize }, where tokenize(text) returns token
+// strings that concatenate back to the text. Built-in tokenizers cache per
+// paragraph. Approximations also carry their uncalibrated tokenize, and apply
+// the calibration scale given for their id (see calibration.js).
+import { ENCODINGS } from './bpe';
+import { approximateClaudeTokenize, approximateGeminiTokenize } from './approximate';
+import { createHuggingFaceTokenizer } from './huggingface';
+import { withParagraphCache } from './cache';
+import { withCalibration } from './calibration';
+
+export const BASELINE_TOKENIZER_ID = 'gpt';
+
+// One cache per tokenizer, kept across registry rebuilds
+const cachedEncoders = new WeakMap();
+const cachedEncoder = (gptEncoder) => {
+  if (!cachedEncoders.has(gptEncoder)) cachedEncoders.set(gptEncoder, withParagraphCache(gptEncoder.tokenize));
+  return cachedEncoders.get(gptEncoder);
+};
+const APPROXIMATIONS = [
+  { id: 'claude', label: 'Claude', sub: 'anthropic', tokenize: approximateClaudeTokenize },
+  { id: 'gemini', label: 'Gemini', sub: 'sentencepiece', tokenize: approximateGeminiTokenize },
+];
+
+// Models that are always there, whatever tokenizer.json files are loaded
+export const BUILTIN_TOKENIZER_IDS = [BASELINE_TOKENIZER_ID, ...APPROXIMATIONS.map(a => a.id)];
+
+// The cached tokenizer for each approximation's current scale
+const calibratedApproximations = new Map();
+const calibratedApproximation = (approximation, scale) => {
+  const current = calibratedApproximations.get(approximation.id);
+  if (current?.scale === scale) return current.tokenize;
+  const tokenize = withParagraphCache(withCalibration(approximation.tokenize, scale));
+  calibratedApproximations.set(approximation.id, { scale, tokenize });
+  return tokenize;
+};
+
+// calibration = { [id]: scale }; approximations without one are used as is
+export const getBuiltinTokenizers = (gptEncoder, calibration = {}) => [
+  {
+    id: BASELINE_TOKENIZER_ID,
+    label: ENCODINGS[gptEncoder.name].label,
+    sub: gptEncoder.name,
+    tokenize: cachedEncoder(gptEncoder),
+  },
+  ...APPROXIMATIONS.map(approximation => {
+    const scale = calibration[approximation.id] ?? 1;
+    return {
+      id: approximation.id,
+      label: approximation.label,
+      sub: scale === 1 ? approximation.sub : `${approximation.sub} · calibrated ×${scale}`,
+      tokenize: calibratedApproximation(approximation, scale),
+      uncalibrated: approximation.tokenize,
+    };
+  }),
+];
+
+export const createTokenizerRegistry = (gptEncoder, customTokenizers, calibration) => [
+  ...getBuiltinTokenizers(gptEncoder, calibration),
+  ...customTokenizers.map(t => ({ ...t, custom: true })),
+];
+
+// A custom tokenizer from its parsed tokenizer.json, which is kept so a
+// worker can rebuild the same tokenizer
+export const createCustomTokenizer = ({ id, label, json }) => ({ ...createHuggingFaceTokenizer(json, { id, label }), json });
+
+let customCount = 0;
+
+// Parse a dropped/picked tokenizer.json into a custom registry entry
+export const loadTokenizerFile = async (file) => {
+  let json;
+  try {
+    json = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON.`);
+  }
+  customCount += 1;
+  const baseName = file.name.replace(/\.json$/i, '');
+  return createCustomTokenizer({
+    id: `custom-${customCount}`,
+    label: baseName && baseName !== 'tokenizer' ? baseName : `Custom ${customCount}`,
+    json,
+  });
+};
@@ -0,0 +1,6 @@
+// Worker entry: runs analysis tasks off the main thread
+import { createTaskRunner, handleTaskMessage } from './tasks';
+
+const runner = createTaskRunner();
+
+self.onmessage = ({ data }) => handleTaskMessage(runner, data, message => self.postMessage(message));
@@ -0,0 +1,118 @@
+// Main-thread side of the analysis worker, and the hook components use to run
+// a task whenever its input changes. Where module workers are unavailable the
+// same tasks run inline, still in slices.
+import { useEffect, useState } from 'react';
+import { createTaskRunner, handleTaskMessage } from './tasks';
+
+// Quiet period after the last change before a task is sent
+const DEBOUNCE_MS = 250;
+
+// Progress is only shown for tasks that run longer than this, and refreshed
+// at most this often so long tasks don't re-render the page on every slice
+const SLOW_TASK_MS = 400;
+const PROGRESS_INTERVAL_MS = 200;
+
+const createAnalysisClient = () => {
+  const pending = new Map();
+  let nextId = 0;
+
+  const receive = ({ type, id, progress, result, message }) => {
+    const request = pending.get(id);
+    if (!request) return;
+    if (type === 'progress') {
+      request.onProgress(progress);
+      return;
+    }
+    pending.delete(id);
+    if (type === 'error') request.reject(new Error(message));
+    else request.resolve(type === 'cancelled' ? { cancelled: true } : { result });
+  };
+
+  let send;
+  if (typeof Worker === 'undefined') {
+    const runner = createTaskRunner();
+    send = (message) => handleTaskMessage(runner, message, receive);
+  } else {
+    const worker = new Worker(new URL('./analysis.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => receive(data);
+    send = (message) => worker.postMessage(message);
+  }
+
+  return {
+    // { encodingName, customTokenizers: [{ id, label, json }], calibration: { [id]: scale } }
+    configure: (config) => send({ type: 'configure', config }),
+    // Resolves { result }, or { cancelled: true } once a newer task for the slot replaced it
+    run: (slot, task, input, onProgress) => new Promise((resolve, reject) => {
+      nextId += 1;
+      pending.set(nextId, { resolve, reject, onProgress });
+      send({ type: 'run', id: nextId, slot, task, input });
+    }),
+    cancel: (slot) => send({ type: 'cancel', slot }),
+  };
+};
+
+// One worker for the page, created on first use
+let client = null;
+export const getAnalysisClient = () => {
+  if (!client) client = createAnalysisClient();
+  return client;
+};
+
+// Run a task whenever its (memoized) input changes; a null input clears the
+// result. Returns the latest result together with the input it was computed
+// from, so callers can pair them while a newer run is pending. progress is
+// { phase, done, total }, and only set once a run is slow.
+export const useAnalysisTask = (slot, task, input) => {
+  const [outcome, setOutcome] = useState({ result: null, input: null, error: null });
+  const [pending, setPending] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    const analysisClient = getAnalysisClient();
+    if (!input) {
+      analysisClient.cancel(slot);
+      setOutcome({ result: null, input: null, error: null });
+      setPending(false);
+      setProgress(null);
+      return undefined;
+    }
+
+    let active = true;
+    let latest = null;
+    let slowTimer = null;
+    let progressTimer = null;
+    setPending(true);
+
+    const debounceTimer = setTimeout(() => {
+      slowTimer = setTimeout(() => {
+        setProgress(latest ?? { phase: 'tokenizing', done: 0, total: 0 });
+        progressTimer = setInterval(() => setProgress(latest), PROGRESS_INTERVAL_MS);
+      }, SLOW_TASK_MS);
+
+      analysisClient.run(slot, task, input, update => { latest = update; })
+        .then(({ result, cancelled }) => {
+          if (!active || cancelled) return;
+          setOutcome({ result, input, error: null });
+        })
+        .catch(err => {
+          if (active) setOutcome(prev => ({ ...prev, error: err.message }));
+        })
+        .finally(() => {
+          if (!active) return;
+          clearTimeout(slowTimer);
+          clearInterval(progressTimer);
+          setPending(false);
+          setProgress(null);
+        });
+    }, DEBOUNCE_MS);
+
+    return () => {
+      active = false;
+      clearTimeout(debounceTimer);
+      clearTimeout(slowTimer);
+      clearInterval(progressTimer);
+    };
+  }, [slot, task, input]);
+
+  return { ...outcome, pending, progress };
+};
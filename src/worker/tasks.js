@@ -0,0 +1,98 @@
+// Analysis tasks as they run inside the worker (or inline where workers are
+// unavailable). Each task belongs to a slot ('analysis', 'compare', ...); a
+// newer task for the same slot supersedes the older one, which stops at its
+// next yield. Tokenization fills the paragraph caches in slices so progress
+// can be reported and superseded work dropped; the rest of the analysis then
+// runs on cached tokens, reusing what earlier runs found in the paragraphs
+// and sentences an edit didn't touch.
+import { loadEncoding } from '../tokenizers/bpe';
+import { createTokenizerRegistry, createCustomTokenizer } from '../tokenizers/registry';
+import { splitSegments } from '../tokenizers/cache';
+import { analyzeContent } from '../analysis/analyze';
+import { measureDraft } from '../analysis/rewrite';
+import { assembleContexts } from '../analysis/contextWindow';
+
+// Work between yields, so cancel messages and progress get through
+const SLICE_MS = 30;
+
+const TASKS = {
+  analyze: ({ content, options }, tokenizers) => analyzeContent(content, { ...options, tokenizers }),
+  measure: ({ text, options }, tokenizers) => measureDraft(text, { ...options, tokenizers }),
+  assemble: (input, tokenizers) => assembleContexts(tokenizers, input),
+};
+
+// Text a task tokenizes, for warming the caches
+const taskText = (input) => input.content ?? input.text ?? '';
+
+export const createTaskRunner = () => {
+  let registry = null;
+  const customTokenizers = new Map();
+  const latest = new Map();
+
+  // { encodingName, customTokenizers: [{ id, label, json }], calibration: { [id]: scale } }
+  const configure = ({ encodingName, customTokenizers: definitions, calibration }) => {
+    const ids = new Set(definitions.map(d => d.id));
+    [...customTokenizers.keys()].filter(id => !ids.has(id)).forEach(id => customTokenizers.delete(id));
+    const custom = definitions.map(definition => {
+      if (!customTokenizers.has(definition.id)) customTokenizers.set(definition.id, createCustomTokenizer(definition));
+      return customTokenizers.get(definition.id);
+    });
+    registry = loadEncoding(encodingName).then(encoder => createTokenizerRegistry(encoder, custom, calibration));
+  };
+
+  // Tokenize every uncached paragraph, yielding between slices; false once
+  // the task has been superseded
+  const warm = async (text, tokenizers, onProgress, isCurrent) => {
+    const segments = splitSegments(text);
+    const work = tokenizers
+      .filter(t => t.tokenize.isCached)
+      .flatMap(t => segments.filter(s => !t.tokenize.isCached(s)).map(segment => ({ tokenize: t.tokenize, segment })));
+    const total = work.reduce((sum, w) => sum + w.segment.length, 0);
+    let done = 0;
+    let sliceStart = Date.now();
+    for (const { tokenize, segment } of work) {
+      tokenize.tokenizeSegment(segment);
+      done += segment.length;
+      if (Date.now() - sliceStart > SLICE_MS) {
+        onProgress({ phase: 'tokenizing', done, total });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (!isCurrent()) return false;
+        sliceStart = Date.now();
+      }
+    }
+    return true;
+  };
+
+  // Resolves { result }, or { cancelled: true } when superseded
+  const run = async ({ id, slot, task, input }, onProgress) => {
+    latest.set(slot, id);
+    const isCurrent = () => latest.get(slot) === id;
+    const tokenizers = await registry;
+    if (!isCurrent() || !(await warm(taskText(input), tokenizers, onProgress, isCurrent))) return { cancelled: true };
+    onProgress({ phase: 'analyzing' });
+    const result = TASKS[task](input, tokenizers);
+    if (isCurrent()) latest.delete(slot);
+    return { result };
+  };
+
+  const cancel = (slot) => latest.delete(slot);
+
+  return { configure, run, cancel };
+};
+
+// Answer one protocol message, as the worker does:
+// in  { type: 'configure', config } | { type: 'run', id, slot, task, input } | { type: 'cancel', slot }
+// out { type: 'progress' | 'result' | 'cancelled' | 'error', id, ... }
+export const handleTaskMessage = async (runner, message, post) => {
+  if (message.type === 'configure') runner.configure(message.config);
+  if (message.type === 'cancel') runner.cancel(message.slot);
+  if (message.type !== 'run') return;
+
+  const { id } = message;
+  try {
+    const outcome = await runner.run(message, progress => post({ type: 'progress', id, progress }));
+    post(outcome.cancelled ? { type: 'cancelled', id } : { type: 'result', id, result: outcome.result });
+  } catch (err) {
+    post({ type: 'error', id, message: err.message });
+  }
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { createTaskRunner, handleTaskMessage } from './tasks';
+
+const configure = { type: 'configure', config: { encodingName: 'cl100k_base', customTokenizers: [], calibration: {} } };
+
+const send = async (runner, message) => {
+  const posted = [];
+  await handleTaskMessage(runner, message, m => posted.push(m));
+  return posted;
+};
+
+describe('handleTaskMessage', () => {
+  it('runs a task and posts its result', async () => {
+    const runner = createTaskRunner();
+    await send(runner, configure);
+    const posted = await send(runner, { type: 'run', id: 1, slot: 'rewrite', task: 'measure', input: { text: ' ', options: {} } });
+    expect(posted.at(-2)).toEqual({ type: 'progress', id: 1, progress: { phase: 'analyzing' } });
+    expect(posted.at(-1)).toEqual({ type: 'result', id: 1, result: null });
+  });
+
+  it('cancels a task superseded in its slot, but not in other slots', async () => {
+    const runner = createTaskRunner();
+    await send(runner, configure);
+    const run = (id, slot) => send(runner, { type: 'run', id, slot, task: 'measure', input: { text: '', options: {} } });
+    const [first, second, other] = await Promise.all([run(1, 'rewrite'), run(2, 'rewrite'), run(3, 'compare')]);
+    expect(first).toEqual([{ type: 'cancelled', id: 1 }]);
+    expect(second.at(-1)).toEqual({ type: 'result', id: 2, result: null });
+    expect(other.at(-1)).toEqual({ type: 'result', id: 3, result: null });
+  });
+
+  it('drops a cancelled slot and reports errors', async () => {
+    const runner = createTaskRunner();
+    await send(runner, configure);
+    const pending = send(runner, { type: 'run', id: 1, slot: 'analysis', task: 'measure', input: { text: '', options: {} } });
+    await send(runner, { type: 'cancel', slot: 'analysis' });
+    expect(await pending).toEqual([{ type: 'cancelled', id: 1 }]);
+
+    const posted = await send(runner, { type: 'run', id: 2, slot: 'analysis', task: 'unknown', input: {} });
+    expect(posted.at(-1)).toMatchObject({ type: 'error', id: 2 });
+  });
+});
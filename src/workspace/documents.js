@@ -0,0 +1,64 @@
+// Saved documents in IndexedDB. A document is { id, name, tags, createdAt,
+// updatedAt, state, revisions }, where state is the content plus every
+// setting that shapes the analysis, and each revision keeps the state and the
+// headline metrics at the time it was saved.
+const DB_NAME = 'rag-token-analyzer';
+const DB_VERSION = 1;
+const STORE = 'documents';
+
+// Oldest revisions are dropped past this many
+const MAX_REVISIONS = 50;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request in its own transaction; resolves once the transaction commits
+const run = async (mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Most recently saved first
+export const listDocuments = async () => {
+  const documents = await run('readonly', store => store.getAll());
+  return documents.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const getDocument = (id) => run('readonly', store => store.get(id));
+
+export const deleteDocument = (id) => run('readwrite', store => store.delete(id));
+
+// Create a document (no id, or an id that no longer exists) or add a revision
+// to an existing one
+export const saveDocument = async ({ id, name, tags, state, metrics }) => {
+  const existing = id ? await getDocument(id) : null;
+  const now = Date.now();
+  const document = {
+    id: existing?.id ?? `doc-${now}`,
+    name: name.trim() || 'Untitled',
+    tags,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+    state,
+    revisions: [...(existing?.revisions ?? []), { savedAt: now, state, metrics }].slice(-MAX_REVISIONS),
+  };
+  await run('readwrite', store => store.put(document));
+  return document;
+};
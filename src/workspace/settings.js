@@ -0,0 +1,85 @@
+// Workspace settings as they are saved in documents and carried by share
+// links, and their validation. A link can be crafted or come from an older
+// version, so every setting is checked the way its control limits it; a value
+// no control could produce falls back to the default.
+import { CHUNK_STRATEGIES } from '../analysis/strategies';
+import { LANGUAGES } from '../analysis/language';
+import { DEFAULT_ATTENTION_CURVE, isValidAttentionCurve } from '../analysis/attention';
+import { ENCODINGS } from '../tokenizers/bpe';
+import { BASELINE_TOKENIZER_ID, BUILTIN_TOKENIZER_IDS } from '../tokenizers/registry';
+
+export const CHUNK_SIZE_OPTIONS = [90, 100, 120, 256, 512];
+export const OVERLAP_UNITS = ['percent', 'tokens'];
+export const MAX_OVERLAP_PERCENT = 90;
+
+export const DEFAULT_WORKSPACE_SETTINGS = {
+  chunkSize: 100,
+  overlapValue: 0,
+  overlapUnit: 'percent',
+  strategy: 'fixed',
+  headerTemplate: '',
+  language: 'auto',
+  encodingName: 'cl100k_base',
+  chunkModelId: BASELINE_TOKENIZER_ID,
+  attentionCurve: DEFAULT_ATTENTION_CURVE,
+  glossary: '',
+  queries: '',
+  topK: 3,
+  keywords: '',
+  contextSettings: { topK: 5, competitorsAhead: 0, systemPromptTokens: 500 },
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// A whole number clamped to [min, max], or null for anything else
+const toCount = (value, min, max = Infinity) => (isNumber(value) ? clamp(Math.round(value), min, max) : null);
+
+// The chunk size option nearest to a number, or null for anything else
+const toChunkSizeOption = (value) => (isNumber(value)
+  ? CHUNK_SIZE_OPTIONS.reduce((best, option) => (Math.abs(option - value) < Math.abs(best - value) ? option : best))
+  : null);
+
+const sanitizeContextSettings = (value) => {
+  const defaults = DEFAULT_WORKSPACE_SETTINGS.contextSettings;
+  if (!value || typeof value !== 'object') return defaults;
+  return {
+    topK: toCount(value.topK, 1) ?? defaults.topK,
+    competitorsAhead: toCount(value.competitorsAhead, 0) ?? defaults.competitorsAhead,
+    systemPromptTokens: toCount(value.systemPromptTokens, 0) ?? defaults.systemPromptTokens,
+  };
+};
+
+// The saved settings that are present, each valid or replaced by its default.
+// modelIds are the tokenizers a document may chunk with.
+export const sanitizeWorkspaceSettings = (settings, modelIds = BUILTIN_TOKENIZER_IDS) => {
+  if (!settings || typeof settings !== 'object') return {};
+  const defaults = DEFAULT_WORKSPACE_SETTINGS;
+  const text = (value, fallback) => (typeof value === 'string' ? value : fallback);
+  const oneOf = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+  const chunkSize = toChunkSizeOption(settings.chunkSize) ?? defaults.chunkSize;
+  const overlapUnit = oneOf(settings.overlapUnit, OVERLAP_UNITS, defaults.overlapUnit);
+  const validators = {
+    chunkSize: () => chunkSize,
+    overlapValue: (value) => (isNumber(value)
+      ? clamp(value, 0, overlapUnit === 'percent' ? MAX_OVERLAP_PERCENT : chunkSize - 1)
+      : defaults.overlapValue),
+    overlapUnit: () => overlapUnit,
+    strategy: (value) => oneOf(value, CHUNK_STRATEGIES.map(s => s.id), defaults.strategy),
+    headerTemplate: (value) => text(value, defaults.headerTemplate),
+    language: (value) => oneOf(value, ['auto', ...LANGUAGES.map(l => l.id)], defaults.language),
+    encodingName: (value) => oneOf(value, Object.keys(ENCODINGS), defaults.encodingName),
+    chunkModelId: (value) => oneOf(value, modelIds, defaults.chunkModelId),
+    attentionCurve: (value) => (isValidAttentionCurve(value) ? value : defaults.attentionCurve),
+    glossary: (value) => text(value, defaults.glossary),
+    queries: (value) => text(value, defaults.queries),
+    topK: (value) => toCount(value, 1) ?? defaults.topK,
+    keywords: (value) => text(value, defaults.keywords),
+    contextSettings: sanitizeContextSettings,
+  };
+
+  return Object.fromEntries(Object.entries(validators)
+    .filter(([key]) => settings[key] !== undefined)
+    .map(([key, validate]) => [key, validate(settings[key])]));
+};
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeWorkspaceSettings, DEFAULT_WORKSPACE_SETTINGS } from './settings';
+import { ATTENTION_PRESETS } from '../analysis/attention';
+
+describe('sanitizeWorkspaceSettings', () => {
+  it('keeps valid settings', () => {
+    const settings = {
+      chunkSize: 256,
+      overlapValue: 20,
+      overlapUnit: 'tokens',
+      strategy: 'markdown',
+      language: 'de',
+      chunkModelId: 'gemini',
+      attentionCurve: ATTENTION_PRESETS[2],
+      topK: 5,
+      contextSettings: { topK: 4, competitorsAhead: 2, systemPromptTokens: 800 },
+    };
+    expect(sanitizeWorkspaceSettings(settings)).toEqual(settings);
+  });
+
+  it('leaves out settings the link does not carry', () => {
+    expect(sanitizeWorkspaceSettings({ strategy: 'sentence' })).toEqual({ strategy: 'sentence' });
+  });
+
+  it('clamps numbers to what the controls allow', () => {
+    const valid = sanitizeWorkspaceSettings({ chunkSize: 0, overlapValue: -5, topK: 0, contextSettings: { topK: -1, competitorsAhead: 2.6, systemPromptTokens: 'lots' } });
+    expect(valid.chunkSize).toBe(90);
+    expect(valid.overlapValue).toBe(0);
+    expect(valid.topK).toBe(1);
+    expect(valid.contextSettings).toEqual({ topK: 1, competitorsAhead: 3, systemPromptTokens: 500 });
+    expect(sanitizeWorkspaceSettings({ chunkSize: 100, overlapValue: 500, overlapUnit: 'tokens' }).overlapValue).toBe(99);
+    expect(sanitizeWorkspaceSettings({ overlapValue: 500 }).overlapValue).toBe(90);
+  });
+
+  it('snaps the chunk size to the nearest size the selector offers', () => {
+    const chunkSize = (value) => sanitizeWorkspaceSettings({ chunkSize: value }).chunkSize;
+    expect(chunkSize(91)).toBe(90);
+    expect(chunkSize(200)).toBe(256);
+    expect(chunkSize(4096)).toBe(512);
+    expect(sanitizeWorkspaceSettings({ chunkSize: 300, overlapValue: 500, overlapUnit: 'tokens' }).overlapValue).toBe(255);
+  });
+
+  it('falls back to the default for unknown ids and malformed values', () => {
+    const valid = sanitizeWorkspaceSettings({
+      chunkSize: '100',
+      overlapUnit: 'lines',
+      strategy: 'magic',
+      language: 'xx',
+      encodingName: 'p50k_base',
+      chunkModelId: 'custom-123',
+      glossary: ['Acme'],
+      contextSettings: null,
+    });
+    expect(valid).toEqual({
+      chunkSize: DEFAULT_WORKSPACE_SETTINGS.chunkSize,
+      overlapUnit: DEFAULT_WORKSPACE_SETTINGS.overlapUnit,
+      strategy: DEFAULT_WORKSPACE_SETTINGS.strategy,
+      language: DEFAULT_WORKSPACE_SETTINGS.language,
+      encodingName: DEFAULT_WORKSPACE_SETTINGS.encodingName,
+      chunkModelId: DEFAULT_WORKSPACE_SETTINGS.chunkModelId,
+      glossary: DEFAULT_WORKSPACE_SETTINGS.glossary,
+      contextSettings: DEFAULT_WORKSPACE_SETTINGS.contextSettings,
+    });
+  });
+
+  it('accepts a loaded custom tokenizer', () => {
+    expect(sanitizeWorkspaceSettings({ chunkModelId: 'custom-123' }, ['gpt', 'custom-123'])).toEqual({ chunkModelId: 'custom-123' });
+  });
+
+  it('rejects attention curves the editor could not draw', () => {
+    const curve = (points) => sanitizeWorkspaceSettings({ attentionCurve: { id: 'edited', label: 'Edited', points } }).attentionCurve;
+    const fallback = DEFAULT_WORKSPACE_SETTINGS.attentionCurve;
+    expect(curve([{ x: 0, y: 0.9 }, { x: 1, y: 0.8 }])).not.toBe(fallback);
+    expect(curve([{ x: 0, y: 0.9 }])).toBe(fallback);
+    expect(curve([{ x: 0, y: 0.9 }, { x: 0.5, y: 2 }, { x: 1, y: 0.8 }])).toBe(fallback);
+    expect(curve([{ x: 0, y: 0.9 }, { x: 0.7, y: 0.5 }, { x: 0.3, y: 0.5 }, { x: 1, y: 0.8 }])).toBe(fallback);
+    expect(curve([{ x: 0.2, y: 0.9 }, { x: 1, y: 0.8 }])).toBe(fallback);
+    expect(curve('u-shaped')).toBe(fallback);
+    expect(sanitizeWorkspaceSettings({ attentionCurve: { points: [{ x: 0, y: 1 }, { x: 1, y: 1 }] } }).attentionCurve).toBe(fallback);
+  });
+});
@@ -0,0 +1,42 @@
+// Shareable links: the workspace state is serialized into the URL fragment,
+// which never reaches a server. Deflated when the browser has
+// CompressionStream ("z."), plain JSON otherwise ("j.").
+const PREFIX = '#share=';
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+const pipe = async (bytes, transform) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+
+export const isShareFragment = (hash) => hash.startsWith(PREFIX);
+
+export const encodeShareFragment = async (state) => {
+  const json = new TextEncoder().encode(JSON.stringify(state));
+  if (typeof CompressionStream === 'undefined') return `${PREFIX}j.${toBase64Url(json)}`;
+  return `${PREFIX}z.${toBase64Url(await pipe(json, new CompressionStream('deflate-raw')))}`;
+};
+
+// The state encoded in a fragment; throws on a malformed or truncated link
+export const decodeShareFragment = async (hash) => {
+  const [format, payload] = hash.slice(PREFIX.length).split('.');
+  if (!payload || !['z', 'j'].includes(format)) throw new Error('This share link is not in a format the analyzer understands.');
+  try {
+    const bytes = fromBase64Url(payload);
+    const json = format === 'z' ? await pipe(bytes, new DecompressionStream('deflate-raw')) : bytes;
+    return JSON.parse(new TextDecoder().decode(json));
+  } catch {
+    throw new Error('This share link is damaged or incomplete.');
+  }
+};
+
+export const buildShareUrl = async (state) =>
+  `${window.location.origin}${window.location.pathname}${window.location.search}${await encodeShareFragment(state)}`;
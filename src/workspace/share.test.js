@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { encodeShareFragment, decodeShareFragment, isShareFragment } from './share';
+
+const state = {
+  content: '# Guide\n\nAcme Cloud stores vectors — schnell, 東京 🚀. '.repeat(20),
+  settings: { chunkSize: 256, strategy: 'markdown', language: 'auto' },
+};
+
+describe('share fragments', () => {
+  it('round-trips the workspace state through a compressed fragment', async () => {
+    const fragment = await encodeShareFragment(state);
+    expect(isShareFragment(fragment)).toBe(true);
+    expect(fragment).toMatch(/^#share=z\.[A-Za-z0-9_-]+$/);
+    expect(fragment.length).toBeLessThan(JSON.stringify(state).length);
+    expect(await decodeShareFragment(fragment)).toEqual(state);
+  });
+
+  it('reads uncompressed fragments', async () => {
+    const json = Buffer.from(JSON.stringify(state)).toString('base64url');
+    expect(await decodeShareFragment(`#share=j.${json}`)).toEqual(state);
+  });
+
+  it('rejects unknown formats and damaged links', async () => {
+    await expect(decodeShareFragment('#share=x.abc')).rejects.toThrow('not in a format the analyzer understands');
+    const fragment = await encodeShareFragment(state);
+    await expect(decodeShareFragment(fragment.slice(0, fragment.length / 2))).rejects.toThrow('damaged or incomplete');
+  });
+});
@@ -7,5 +7,11 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     sourcemap: false,
-  }
+    // BPE rank tables are lazy-loaded chunks of 1-2.5 MB each
+    chunkSizeWarningLimit: 2500,
+  },
+  // The analysis worker lazy-loads the same rank tables, which needs ES module output
+  worker: {
+    format: 'es',
+  },
 })